@@ -2,9 +2,9 @@
 // key of an index to efficiently find and return documents of a specific type
 // by equality of one property, sorted by a separate property.
 //
-// To do this both properties are saved to the same string field in the
-// database, with virtual getters and setters defined to allow transparent
-// access as separate properties for users of the model:
+// To do this both properties are composed into the sort key of the index,
+// which DynamoDM writes to its own attribute whenever a document is saved, and
+// queries are written against the separate properties:
 //
 //
 import DynamoDM from 'dynamodm';
@@ -15,61 +15,44 @@ const ddm = DynamoDM();
 // get a reference to a table:
 const table = ddm.Table('my-dynamodb-table');
 
+// the index shared by Comments and Uploads, with a sort key composed from
+// .user and .time (saved to the attribute 'user#time'):
+const findByUserAndTime = {
+    hashKey: 'type',
+    sortKey: { compose: ['user', 'time'], separator: '#' }
+};
+
 // Create User and Comment models with their JSON schemas in this table:
 const UserSchema = ddm.Schema('user', { });
 
 const CommentSchema = ddm.Schema('comment', {
     properties: {
         text: { type: 'string' },
-        user_and_time: { type: 'string' }
+        user: ddm.DocId,
+        time: ddm.Timestamp
     }
 }, {
-    index: {
-        findByUserAndTime: {
-            hashKey: 'type',
-            sortKey: 'user_and_time'
-        }
-    }
+    index: { findByUserAndTime }
 });
 
 const UploadSchema = ddm.Schema('upload', {
     properties: {
         url: { type: 'string' },
-        user_and_time: { type: 'string' }
+        user: ddm.DocId,
+        time: ddm.Timestamp
     }
 }, {
-    // ...
+    index: { findByUserAndTime }
 });
 
-// define virtual getters and setters for easy access to the
-// separate parts of the compound fields
-UploadSchema.virtuals.user = CommentSchema.virtuals.user = {
-    get() {
-        return this.user_and_time.split('/')[0];
-    },
-    set(v) {
-        this.user_and_time = v.toString() + '/' + (this.user_and_time || '/').split('/')[1];
-    },
-};
-
-UploadSchema.virtuals.time = CommentSchema.virtuals.time = {
-    get() {
-        return Date.parse(this.user_and_time.split('/')[1]);
-    },
-    set(v) {
-        this.user_and_time = (this.user_and_time || '/').split('/')[0] + '/' + v.toISOString();
-    },
-};
-
-// define static helper functions to make the details of
-// composing the query internal to the models:
+// define static helper functions to make the details of the query internal
+// to the models:
 UploadSchema.statics.getForUserSince =
 CommentSchema.statics.getForUserSince = async function(user, sinceTime) {
     return await this.queryMany({
         type: this.type,
-        user_and_time: {
-            $between: [ `${user}/${sinceTime.toISOString()}`, `${user}/9999` ]
-        }
+        user,
+        time: { $gte: sinceTime }
     });
 };
 
@@ -89,18 +72,15 @@ const firstCommentTime = Date.now();
 for (const user of [u1, u2]) {
     console.log(`creating records for ${user.id}...`);
     for (let i = 0; i < 10; i ++) {
-        // The virtual fields can be assigned even during construction:
         const comment = new Comment({text: `Text of comment ${i} by user ${user.id}.`, user: user.id, time: new Date(firstCommentTime + i * 10000)});
         await comment.save();
 
-        const upload = new Upload({url: `https://example.com/example-url-${i}`});
-        upload.user = user.id;
-        upload.time = new Date(firstCommentTime + i * 10000);
+        const upload = new Upload({url: `https://example.com/example-url-${i}`, user: user.id, time: new Date(firstCommentTime + i * 10000)});
         await upload.save();
     }
 }
 
-// both these queries will use the findByUser index. Since the hash
+// both these queries will use the findByUserAndTime index. Since the hash
 // key of the index is `type`, we can be sure that only documents
 // of the correct type are returned to each query:
 for (const user of [u1, u2]) {
@@ -5,7 +5,8 @@ const { Schema } = require('./lib/schema.js');
 
 const {
     DocId, Timestamp, Binary,
-    DocIdField, TypeField, VersionField, CreatedAtField, UpdatedAtField
+    DocIdField, TypeField, VersionField, CreatedAtField, UpdatedAtField,
+    ConditionFailedError
 } = require('./lib/shared.js');
 
 const createLogger = (loggingOptions) => {
@@ -59,6 +60,9 @@ function DynamoDM(options) {
         VersionField,
         CreatedAtField,
         UpdatedAtField,
+
+        // Error types
+        ConditionFailedError,
     };
     return PublicAPI;
 }
@@ -66,6 +70,7 @@ function DynamoDM(options) {
 module.exports = DynamoDM;
 module.exports.DynamoDM = DynamoDM;
 module.exports.default = DynamoDM;
+module.exports.ConditionFailedError = ConditionFailedError;
 
 // provide a helpful error message if someone forgets to call the API generator:
 module.exports.Table = module.exports.Schema = function incorrectUsage(){
@@ -1,29 +1,48 @@
 'use strict';
 const { inspect } = require('util');
-const { PutCommand, GetCommand, BatchGetCommand, DeleteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { createHash } = require('crypto');
+const { PutCommand, GetCommand, BatchGetCommand, DeleteCommand, QueryCommand, ScanCommand, UpdateCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
 
 const {
     kExtendedTypeDate,
 
-    ajv, defaultIgnoringAjv,
+    ajv, marshallingAjv, defaultIgnoringAjv, abortSignalSchema,
 
 
     kModelTable,
     kModelSchema,
     kModelLogger,
+    kModelPrepareSave,
+    kModelPrepareRemove,
+    kModelPrepareUpdate,
+    kModelPrepareConditionCheck,
+    kModelCreateFromMarshalled,
+    kModelPrimaryKey,
 
     kTableIsReady,
     kTableDDBClient,
     kTableIndices,
     kTableGetBackoffDelayMs,
+    kTableScan,
 
     kSchemaCompiled,
     kSchemaMarshall,
+    kSchemaMarshallPartial,
     kSchemaUnMarshall,
+    kSchemaUnMarshallPartial,
+    kSchemaIndices,
     kSchemaNewId,
+    kSchemaDerivedAttributes,
     kOptionSkipValidation,
+    kMultikeyParentAttribute,
+    kTransactWriteItemLimit,
+    kScanSegmentsLimit,
 
     delayMs,
+    checkAborted,
+    composeKey,
+
+    ConditionFailedError,
 } = require('./shared.js');
 
 
@@ -34,7 +53,19 @@ const kConditionGT  = Symbol('>');
 const kConditionGTE = Symbol('>=');
 const kConditionBetween = Symbol('between');
 const kConditionBegins = Symbol('begins');
+const kConditionNotEqual = Symbol('<>');
+const kConditionExists = Symbol('exists');
+const kConditionIn = Symbol('in');
+const kConditionContains = Symbol('contains');
+const kConditionSize = Symbol('size');
+const kConditionNot = Symbol('not');
 const kBatchGetItemLimit = 100;
+// the number of batches of documents that queryIterator fetches ahead of the
+// documents being consumed:
+const kQueryIteratorPrefetchBatches = 2;
+// the maximum number of queries run in parallel for an $in condition on an
+// index hash key:
+const kQueryFanOutConcurrency = 4;
 
 const supportedQueryConditions = new Map([
     // dynamodm query condition => [internal identifier, number of arguments required]
@@ -43,14 +74,38 @@ const supportedQueryConditions = new Map([
     ['$lt', [kConditionLT, 1]],
     ['$lte', [kConditionLTE, 1]],
     ['$between', [kConditionBetween, 2]],
-    ['$begins', [kConditionBegins, 1]]
+    ['$begins', [kConditionBegins, 1]],
+    // $in is only supported on index hash keys, by running one query for each
+    // value (0 for any number of arguments)
+    ['$in', [kConditionIn, 0]]
+]);
+
+// conditions that can be used in condition objects for conditional writes and
+// query filters (see conditionExpression), in addition to the query conditions:
+const supportedFilterConditions = new Map([
+    // dynamodm condition => [internal identifier, number of arguments required (0 for any number)]
+    ...supportedQueryConditions,
+    ['$ne', [kConditionNotEqual, 1]],
+    ['$exists', [kConditionExists, 1]],
+    ['$contains', [kConditionContains, 1]],
+    ['$size', [kConditionSize, 1]],
+    ['$not', [kConditionNot, 1]]
 ]);
+// https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Expressions.OperatorsAndFunctions.html
+const kConditionInValuesLimit = 100;
+
+const supportedUpdateOperators = ['$set', '$unset', '$inc', '$push', '$addToSet'];
+// upserts additionally support setting values only when a document is inserted:
+const supportedUpsertOperators = ['$setOnInsert', ...supportedUpdateOperators];
 
 // Marshalling of query values:
 const marshallValue = (propSchema, value) => {
     // anything which is a date in the schema needs marshalling to a number:
     if (propSchema?.extendedType === kExtendedTypeDate) {
         return value.getTime();
+    } else if (typeof value === 'boolean') {
+        // booleans are only queried as index keys, which are stored as numbers:
+        return value? 1 : 0;
     } else {
         return value;
     }
@@ -66,6 +121,565 @@ const deepCloneObjectsAndArrays = (v) => {
     }
 };
 
+// Resolve a (possibly nested) dot-separated property path, like 'a.b.0.c',
+// into its segments (numeric segments are array indexes), the schema for the
+// property, and the schema of the object containing it. The property schema
+// is undefined if the path is not described by the schema, but is allowed by
+// it.
+const resolvePropertyPath = (schema, path) => {
+    const segments = [];
+    let propSchema = schema.source;
+    let parentSchema;
+    for (const part of path.split('.')) {
+        if (!part.length) {
+            throw new Error(`Invalid property path "${path}".`);
+        }
+        parentSchema = propSchema;
+        if (propSchema?.type === 'array' && /^[0-9]+$/.test(part)) {
+            segments.push(Number(part));
+            propSchema = propSchema.items;
+        } else if (propSchema?.properties?.[part]) {
+            segments.push(part);
+            propSchema = propSchema.properties[part];
+        } else if (propSchema?.additionalProperties === false) {
+            throw new Error(`Property .${path} is not defined by the schema for ${schema.name}.`);
+        } else {
+            segments.push(part);
+            propSchema = (typeof propSchema?.additionalProperties === 'object')? propSchema.additionalProperties : undefined;
+        }
+    }
+    return {segments, propSchema, parentSchema};
+};
+
+// Check a value against the schema of a single property, and marshall it for
+// dynamodb using the same marshalling as kSchemaMarshall applies to whole
+// documents. The marshalling keywords modify their parent data, so the value is
+// wrapped in an object for validation. Compiled validators are cached per
+// property schema:
+const propertyMarshallers = new WeakMap();
+const marshallPropertyValue = (path, propSchema, value) => {
+    if (typeof value === 'undefined') {
+        throw new Error(`Value for .${path} is undefined.`);
+    }
+    value = deepCloneObjectsAndArrays(value);
+    if (!propSchema) {
+        return value;
+    }
+    let marshall = propertyMarshallers.get(propSchema);
+    if (!marshall) {
+        marshall = marshallingAjv.compile({type: 'object', properties: { value: propSchema }});
+        propertyMarshallers.set(propSchema, marshall);
+    }
+    const wrapped = { value };
+    if (!marshall(wrapped)) {
+        const e = new Error(`Value does not match schema for ${path}: ${marshall.errors[0].instancePath.replace(/^\/value/, '')} ${marshall.errors[0].message}.`);
+        e.validationErrors = marshall.errors;
+        throw e;
+    }
+    return wrapped.value;
+};
+
+// Accumulates ExpressionAttributeNames and ExpressionAttributeValues for
+// generated expressions. Each separately generated expression uses a different
+// placeholder prefix, so that they can be merged:
+class ExpressionAttributes {
+    names = {};
+    values = {};
+    #prefix = '';
+    #namePlaceholders = new Map();
+    #valueCount = 0;
+
+    constructor(prefix) {
+        this.#prefix = prefix;
+    }
+
+    // the expression for a path of segments from resolvePropertyPath
+    path(segments) {
+        return segments.map((s, i) => {
+            if (typeof s === 'number') {
+                return `[${s}]`;
+            }
+            return (i? '.' : '') + this.#name(s);
+        }).join('');
+    }
+
+    value(v) {
+        const placeholder = `:${this.#prefix}${this.#valueCount++}`;
+        this.values[placeholder] = v;
+        return placeholder;
+    }
+
+    // the Expression* parameters for a dynamodb command, (empty names and
+    // values are not accepted by dynamodb):
+    commandParams() {
+        return {
+            ...(Object.keys(this.names).length && {ExpressionAttributeNames: this.names}),
+            ...(this.#valueCount && {ExpressionAttributeValues: this.values})
+        };
+    }
+
+    #name(attributeName) {
+        if (!this.#namePlaceholders.has(attributeName)) {
+            const placeholder = `#${this.#prefix}${this.#namePlaceholders.size}`;
+            this.#namePlaceholders.set(attributeName, placeholder);
+            this.names[placeholder] = attributeName;
+        }
+        return this.#namePlaceholders.get(attributeName);
+    }
+}
+
+// Generate the UpdateExpression for a list of update actions (see
+// BaseModel.#convertUpdate), and the conditions required for $addToSet
+// actions:
+const updateExpression = (actions, attrs) => {
+    const set = [], remove = [], conditions = [];
+    for (const {op, segments, value, values} of actions) {
+        const path = attrs.path(segments);
+        if (op === '$set') {
+            set.push(`${path} = ${attrs.value(value)}`);
+        } else if (op === '$setOnInsert') {
+            set.push(`${path} = if_not_exists(${path}, ${attrs.value(value)})`);
+        } else if (op === '$unset') {
+            remove.push(path);
+        } else if (op === '$inc') {
+            set.push(`${path} = if_not_exists(${path}, ${attrs.value(0)}) + ${attrs.value(value)}`);
+        } else {
+            // $push and $addToSet, lists are created if they don't already
+            // exist:
+            set.push(`${path} = list_append(if_not_exists(${path}, ${attrs.value([])}), ${attrs.value(values)})`);
+            if (op === '$addToSet') {
+                conditions.push(...values.map(v => `NOT contains(${path}, ${attrs.value(v)})`));
+            }
+        }
+    }
+    return {
+        UpdateExpression: [
+            set.length && `SET ${set.join(', ')}`,
+            remove.length && `REMOVE ${remove.join(', ')}`
+        ].filter(x => x).join(' '),
+        conditions
+    };
+};
+
+// compare values for equality, including Dates, Buffers and (unmarshalled
+// from dynamodb) Uint8Arrays by value:
+const valuesEqual = (a, b) => {
+    if (a === b) {
+        return true;
+    } else if ((a instanceof Uint8Array) && (b instanceof Uint8Array)) {
+        return Buffer.compare(a, b) === 0;
+    } else if ((a instanceof Date) && (b instanceof Date)) {
+        return a.getTime() === b.getTime();
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((v, i) => valuesEqual(v, b[i]));
+    } else if (a?.constructor === Object && b?.constructor === Object) {
+        const keysA = Object.keys(a).filter(k => typeof a[k] !== 'undefined');
+        const keysB = Object.keys(b).filter(k => typeof b[k] !== 'undefined');
+        return keysA.length === keysB.length && keysA.every(k => valuesEqual(a[k], b[k]));
+    }
+    return false;
+};
+
+// compare (unmarshalled) index key values in the order that dynamodb sorts
+// them: numbers by value, and strings and binary values by their (UTF-8) bytes:
+const compareKeyValues = (a, b) => {
+    if ((typeof a === 'number') && (typeof b === 'number')) {
+        return a - b;
+    }
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+};
+
+// Generate a ConditionExpression from a mongo-like condition object, where each
+// (possibly nested, dot-separated) path must match a value, or satisfy
+// conditions:
+// { path: value, path: {$gt: value, $lt: value}, path: {$exists: true}, ... }
+// Values are checked against the schema for the property, and all conditions
+// must be satisfied.
+const conditionExpression = (schema, condition, attrs) => {
+    if (condition?.constructor !== Object) {
+        throw new Error('Invalid condition: must be an object of property paths and values or conditions.');
+    }
+    const expressions = [];
+    for (const [path, v] of Object.entries(condition)) {
+        const {segments, propSchema} = resolvePropertyPath(schema, path);
+        const p = attrs.path(segments);
+        const operators = (v?.constructor === Object)? Object.keys(v).filter(k => k.startsWith('$')) : [];
+        if (!operators.length) {
+            expressions.push(`${p} = ${attrs.value(marshallPropertyValue(path, propSchema, v))}`);
+            continue;
+        } else if (operators.length !== Object.keys(v).length) {
+            throw new Error(`Invalid condition for .${path}: conditions cannot be combined with other properties.`);
+        }
+        expressions.push(...operatorExpressions(path, propSchema, p, v, attrs));
+    }
+    return expressions.join(' AND ');
+};
+
+// the expressions for an object of conditions {$op: arg, ...} on the property
+// at path, for which p is the placeholder:
+const operatorExpressions = (path, propSchema, p, conditions, attrs) => {
+    const expressions = [];
+    for (const [op, arg] of Object.entries(conditions)) {
+        const [kind, nArgs] = supportedFilterConditions.get(op) ?? [];
+        if (!kind) {
+            throw new Error(`Condition "${op}" is not supported. Supported conditions are: ${[...supportedFilterConditions.keys()].join(', ')}.`);
+        } else if (kind === kConditionExists) {
+            if (typeof arg !== 'boolean') {
+                throw new Error(`Condition "${op}" for .${path} requires a boolean value.`);
+            }
+            expressions.push(arg? `attribute_exists(${p})` : `attribute_not_exists(${p})`);
+        } else if (kind === kConditionSize) {
+            if (!Number.isInteger(arg) || arg < 0) {
+                throw new Error(`Condition "${op}" for .${path} requires a non-negative integer value.`);
+            }
+            expressions.push(`size(${p}) = ${attrs.value(arg)}`);
+        } else if (kind === kConditionContains) {
+            // strings contain substrings, and arrays contain items:
+            const valueSchema = (propSchema?.type === 'string')? {type: 'string'} : (propSchema?.type === 'array')? propSchema.items : undefined;
+            expressions.push(`contains(${p}, ${attrs.value(marshallPropertyValue(path, valueSchema, arg))})`);
+        } else if (kind === kConditionNot) {
+            if (arg?.constructor !== Object || !Object.keys(arg).length || !Object.keys(arg).every(k => k.startsWith('$'))) {
+                throw new Error(`Condition "${op}" for .${path} requires an object of conditions.`);
+            }
+            expressions.push(`NOT (${operatorExpressions(path, propSchema, p, arg, attrs).join(' AND ')})`);
+        } else if (nArgs === 1) {
+            const value = attrs.value(marshallPropertyValue(path, propSchema, arg));
+            if (kind === kConditionBegins) {
+                expressions.push(`begins_with(${p}, ${value})`);
+            } else {
+                const comparator = {[kConditionNotEqual]: '<>', [kConditionLT]: '<', [kConditionLTE]: '<=', [kConditionGT]: '>', [kConditionGTE]: '>='}[kind];
+                expressions.push(`${p} ${comparator} ${value}`);
+            }
+        } else {
+            // conditions with multiple values, which must be an array:
+            if (!Array.isArray(arg) || (nArgs && arg.length !== nArgs) || !arg.length || arg.length > kConditionInValuesLimit) {
+                throw new Error(`Condition "${op}" for .${path} requires an array of ${nArgs || `1 to ${kConditionInValuesLimit}`} values.`);
+            }
+            const values = arg.map(x => attrs.value(marshallPropertyValue(path, propSchema, x)));
+            if (kind === kConditionBetween) {
+                expressions.push(`${p} BETWEEN ${values[0]} AND ${values[1]}`);
+            } else {
+                expressions.push(`${p} IN (${values.join(', ')})`);
+            }
+        }
+    }
+    return expressions;
+};
+
+// tables with more than one model have the built-in type index, and in
+// single-model tables all items are documents of the same model:
+const hasTypeIndex = (table) => table[kTableIndices].some(index => index.index.IndexName === 'type');
+
+// tables with multikey indexes also contain the items of those indexes, which
+// are not documents of any model:
+const hasMultikeyIndex = (table) => table[kTableIndices].some(index => index.multikey);
+
+// The table's primary key is the id field, and for models with a sort key
+// the sort key field as well. Documents of models with a sort key are
+// identified by an [id, sortKeyValue] pair, instead of by their id alone.
+// Returns the (marshalled) primary key for an id:
+const primaryKey = (schema, id) => {
+    if (!schema.sortKeyFieldName) {
+        if ((typeof id !== 'string') || (!id.length)) {
+            throw new Error('Invalid id: must be string of nonzero length.');
+        }
+        return { [schema.idFieldName]: id };
+    }
+    if (!Array.isArray(id) || id.length !== 2 || (typeof id[0] !== 'string') || (!id[0].length)) {
+        throw new Error(`Invalid id: must be an [id, ${schema.sortKeyFieldName}] pair for models with a sort key.`);
+    }
+    return {
+        [schema.idFieldName]: id[0],
+        [schema.sortKeyFieldName]: marshallPropertyValue(schema.sortKeyFieldName, schema.source.properties[schema.sortKeyFieldName], id[1])
+    };
+};
+
+// the primary key of a document:
+const documentKey = (schema, doc) => ({
+    [schema.idFieldName]: doc[schema.idFieldName],
+    ...(schema.sortKeyFieldName && {[schema.sortKeyFieldName]: marshallValue(schema.source.properties[schema.sortKeyFieldName], doc[schema.sortKeyFieldName])})
+});
+
+// the primary key of marshalled item data, (with the attributes in the same
+// order as primaryKey, so that keys can be compared as JSON):
+const itemKey = (schema, item) => ({
+    [schema.idFieldName]: item[schema.idFieldName],
+    ...(schema.sortKeyFieldName && {[schema.sortKeyFieldName]: item[schema.sortKeyFieldName]})
+});
+
+// the id of marshalled item data, as returned by the id query APIs:
+const itemId = (schema, item) => {
+    if (!schema.sortKeyFieldName) {
+        return item[schema.idFieldName];
+    }
+    const sortKeyValue = item[schema.sortKeyFieldName];
+    return [item[schema.idFieldName], (schema.source.properties[schema.sortKeyFieldName].extendedType === kExtendedTypeDate)? new Date(sortKeyValue) : sortKeyValue];
+};
+
+// for models with a sort key, the table's primary key can be queried like an
+// index which projects all attributes:
+const primaryKeyIndex = (schema) => ({
+    index: {
+        KeySchema: [
+            { AttributeName: schema.idFieldName, KeyType: 'HASH' },
+            { AttributeName: schema.sortKeyFieldName, KeyType: 'RANGE' }
+        ],
+        Projection: { ProjectionType: 'ALL' }
+    },
+    hashKey: schema.idFieldName,
+    sortKey: schema.sortKeyFieldName
+});
+
+// The value of a derived index key attribute (see parseIndexSpecification) for
+// a document, or undefined if the attribute should not be written:
+const derivedAttributeValue = (schema, derived, doc) => {
+    const value = derived.compute(doc);
+    if ((typeof value === 'undefined') || value === null) {
+        return undefined;
+    } else if (derived.type && typeof value !== derived.type) {
+        throw new Error(`The computed index key .${derived.attributeName} for the model .${schema.idFieldName}="${doc[schema.idFieldName]}" must be a ${derived.type} (compute returned ${typeof value}).`);
+    }
+    return value;
+};
+
+// The properties of a schema which are index keys. Null values of these
+// properties are not written, so that the documents are left out of the index
+// (DynamoDB index keys cannot be null):
+const indexKeyProperties = (schema) => schema[kSchemaIndices].flatMap(
+    ({hashKey, sortKey}) => [hashKey, sortKey]
+).filter(k => k && (k in schema.source.properties));
+
+// The top-level properties that a derived index key is derived from, or
+// undefined for keys computed by functions (which may use any property):
+const derivedKeySources = ({parts, path}) => parts ?? (path && [path[0]]);
+
+// The schema of a query field, which is a property, or the path of a nested
+// property used as a (derived) index key:
+const queryFieldSchema = (schema, key) => {
+    if (schema[kSchemaDerivedAttributes].some(({attributeName, path}) => path && attributeName === key)) {
+        return resolvePropertyPath(schema, key).propSchema;
+    }
+    return schema.source.properties[key];
+};
+
+// an upper bound for composed key values starting with a prefix, (the highest
+// code point sorts after any other UTF-8 string):
+const kComposedKeyMax = '\u{10ffff}';
+
+// A range condition on the last part of a composed key, as a condition on the
+// key itself, or undefined if the condition cannot be converted. If the key
+// has preceding parts (which must be equal to prefix), then the condition is
+// bounded by the prefix, and exclusive bounds are then only supported for
+// Timestamps, where they are adjusted by 1ms:
+const composedRangeCondition = (part, partSchema, separator, {condition, values}, prefix) => {
+    const isDate = partSchema?.extendedType === kExtendedTypeDate;
+    if (isDate? !values.every(v => v instanceof Date) : (partSchema?.type !== 'string' || !values.every(v => typeof v === 'string'))) {
+        return undefined;
+    }
+    const encode = (v) => prefix + composeKey([part], separator, [v]);
+    if (condition === kConditionBegins) {
+        return isDate? undefined : {condition, values: [encode(values[0])]};
+    } else if (!prefix || condition === kConditionBetween) {
+        return {condition, values: values.map(encode)};
+    } else if (condition === kConditionGTE) {
+        return {condition: kConditionBetween, values: [encode(values[0]), prefix + kComposedKeyMax]};
+    } else if (condition === kConditionLTE) {
+        return {condition: kConditionBetween, values: [prefix, encode(values[0])]};
+    } else if (isDate && condition === kConditionGT) {
+        return {condition: kConditionBetween, values: [encode(new Date(values[0].getTime() + 1)), prefix + kComposedKeyMax]};
+    } else if (isDate && condition === kConditionLT) {
+        return {condition: kConditionBetween, values: [prefix, encode(new Date(values[0].getTime() - 1))]};
+    }
+    return undefined;
+};
+
+// Query entries for the keys of an index which are composed from other
+// properties, which consume the entries for the parts of the key: equality
+// conditions on all the parts become an equality condition on the key, and
+// for sort keys equality conditions on the leading parts become a $begins
+// condition on the key, (or with a range condition on the remaining part, a
+// range condition on the key):
+const composedKeyQueryEntries = (schema, index, queryEntries) => {
+    const entries = [];
+    for (const {attributeName, parts, separator} of index.derivedKeys ?? []) {
+        if (!parts) {
+            continue;
+        }
+        const equalEntries = [];
+        for (const part of parts) {
+            const entry = queryEntries.find(e => e.key === part && e.condition === kConditionEqual && e.values[0] !== null && typeof e.values[0] !== 'undefined');
+            if (!entry) {
+                break;
+            }
+            equalEntries.push(entry);
+        }
+        const n = equalEntries.length;
+        const composed = n? composeKey(parts.slice(0, n), separator, equalEntries.map(e => e.values[0])) : '';
+        if (n === parts.length) {
+            entries.push({key: attributeName, values: [composed], condition: kConditionEqual, operators: [], consumes: equalEntries});
+        } else if (attributeName === index.sortKey) {
+            const prefix = n? composed + separator : '';
+            const rangeEntry = (n === parts.length - 1) && queryEntries.find(e => e.key === parts[n] && e.condition && e.condition !== kConditionEqual && e.condition !== kConditionIn);
+            const range = rangeEntry && composedRangeCondition(parts[n], schema.source.properties[parts[n]], separator, rangeEntry, prefix);
+            if (range) {
+                entries.push({key: attributeName, ...range, operators: rangeEntry.operators, consumes: [...equalEntries, rangeEntry]});
+            } else if (n) {
+                entries.push({key: attributeName, values: [prefix], condition: kConditionBegins, operators: [], consumes: equalEntries});
+            }
+        }
+    }
+    return entries;
+};
+
+// Query entries for the hash key of a multikey index, which consume equality
+// and $in conditions on the array property that it indexes, (matching the
+// documents where the array contains the value):
+const multikeyQueryEntries = (index, queryEntries) => queryEntries.filter(
+    e => index.multikey && e.key === index.multikey && (e.condition === kConditionEqual || e.condition === kConditionIn)
+).map(e => ({key: index.hashKey, values: e.values, condition: e.condition, operators: e.operators, consumes: [e]}));
+
+// The multikey indexes of a schema (see multikeyIndexAttribute), with one
+// index for each indexed property, (indexes of the same property share the
+// same index items):
+const multikeyIndexes = (schema) => [...new Map(
+    schema[kSchemaIndices].filter(index => index.multikey).map(index => [index.hashKey, index])
+).values()];
+
+// the distinct (marshalled) values of the array indexed by a multikey index,
+// in a document or a snapshot of its values, by their JSON:
+const multikeyValues = (schema, {multikey}, values) => {
+    const itemSchema = schema.source.properties[multikey].items;
+    const marshalled = (values?.[multikey] ?? []).filter(v => v !== null && typeof v !== 'undefined').map(v => marshallValue(itemSchema, v));
+    return new Map(marshalled.map(v => [JSON.stringify(v), v]));
+};
+
+// The primary key of the item of a multikey index for a value of the indexed
+// array in the document with (marshalled) primary key docKey. The id of
+// the item is derived from the document's id and a hash of the value, and its
+// sort key (if any) is the document's:
+const multikeyItemKey = (schema, index, docKey, value) => ({
+    [schema.idFieldName]: `${docKey[schema.idFieldName]}#${index.hashKey}#${createHash('sha256').update(JSON.stringify(value)).digest('base64url')}`,
+    ...(schema.sortKeyFieldName && {[schema.sortKeyFieldName]: docKey[schema.sortKeyFieldName]})
+});
+
+// The writes (as TransactWriteItems items) which update the items of the
+// multikey indexes of the document with primary key docKey, from the
+// previously saved values (undefined for a new document) to the current
+// values (undefined when the document is removed):
+const multikeyIndexWrites = (schema, table, docKey, previous, current) => {
+    const writes = [];
+    for (const index of multikeyIndexes(schema)) {
+        const previousValues = multikeyValues(schema, index, previous);
+        const currentValues = multikeyValues(schema, index, current);
+        for (const [k, value] of currentValues) {
+            if (!previousValues.has(k)) {
+                writes.push({Put: {TableName: table.name, Item: {
+                    ...multikeyItemKey(schema, index, docKey, value),
+                    [index.hashKey]: value,
+                    [kMultikeyParentAttribute]: docKey[schema.idFieldName]
+                }}});
+            }
+        }
+        for (const [k, value] of previousValues) {
+            if (!currentValues.has(k)) {
+                writes.push({Delete: {TableName: table.name, Key: multikeyItemKey(schema, index, docKey, value)}});
+            }
+        }
+    }
+    return writes;
+};
+
+// the keys of the documents that the items queried from a multikey index
+// refer to:
+const multikeyDocumentKeys = (schema, items) => items.map(item => ({
+    [schema.idFieldName]: item[kMultikeyParentAttribute],
+    ...(schema.sortKeyFieldName && {[schema.sortKeyFieldName]: item[schema.sortKeyFieldName]})
+}));
+
+// whether an error from sending a prepared write (see #prepareSave), which is
+// sent in a transaction if it has index items, is caused by the condition of
+// the document's write failing:
+const isConditionFailure = (e) => e.name === 'ConditionalCheckFailedException' ||
+    (e.name === 'TransactionCanceledException' && e.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed');
+
+// the attributes loaded for options.select: the key, type and version fields
+// are always included, so that partial documents can still be identified, and
+// saved with a version check:
+const selectedAttributes = (schema, select) => [...new Set(
+    [schema.idFieldName, schema.sortKeyFieldName, schema.typeFieldName, schema.versionFieldName, ...select].filter(x => x)
+)];
+
+// options.select can only list top-level properties defined by the schema:
+const checkSelect = (schema, select) => {
+    const invalid = select?.find(name => !Object.hasOwn(schema.source.properties, name));
+    if (typeof invalid !== 'undefined') {
+        throw new Error(`Invalid options: select must only list top-level properties of the ${schema.name} schema, and "${invalid}" is not one.`);
+    }
+};
+
+const projectionParams = (schema, select) => {
+    const attrs = new ExpressionAttributes('p');
+    return {
+        ProjectionExpression: selectedAttributes(schema, select).map(name => attrs.path([name])).join(', '),
+        ...attrs.commandParams()
+    };
+};
+
+// Pagination cursors for queryPage encode the LastEvaluatedKey of a query, and
+// a hash of the model, index, key condition and filter of the query, so that a
+// cursor cannot be used to continue a different query. Key attributes can only be
+// strings, numbers, or binary, and binary values are base64 encoded in
+// {B: ...} objects:
+const queryCursorBinding = (schema, rawQuery) => createHash('sha256').update(JSON.stringify([
+    schema.name,
+    rawQuery.IndexName,
+    rawQuery.KeyConditionExpression,
+    rawQuery.FilterExpression ?? null,
+    rawQuery.ExpressionAttributeNames,
+    rawQuery.ExpressionAttributeValues
+], (k, v) => (v instanceof Uint8Array)? {B: Buffer.from(v).toString('base64')} : v)).digest('base64url').slice(0, 22);
+
+const encodeQueryCursor = (binding, key) => Buffer.from(JSON.stringify({
+    b: binding,
+    k: Object.fromEntries(Object.entries(key).map(([name, v]) => [name, (v instanceof Uint8Array)? {B: Buffer.from(v).toString('base64')} : v]))
+})).toString('base64url');
+
+const decodeQueryCursor = (binding, cursor) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+        // the error is reported below
+    }
+    if (decoded?.constructor !== Object || decoded.k?.constructor !== Object || typeof decoded.b !== 'string') {
+        throw new Error('Invalid cursor.');
+    }
+    if (decoded.b !== binding) {
+        throw new Error('Invalid cursor: the cursor is for a different query.');
+    }
+    return Object.fromEntries(Object.entries(decoded.k).map(([name, v]) => [name, (typeof v?.B === 'string')? Buffer.from(v.B, 'base64') : v]));
+};
+
+// get the value at a path of segments from resolvePropertyPath in an object
+const valueAtPath = (object, segments) => segments.reduce((v, s) => v?.[s], object);
+
+// clone a document's values for comparison with later changes, unlike
+// deepCloneObjectsAndArrays this also copies Dates and Buffers, which could be
+// modified in-place:
+const deepCloneValues = (v) => {
+    if (Array.isArray(v)) {
+        return v.map(deepCloneValues);
+    } else if (v instanceof Date) {
+        return new Date(v.getTime());
+    } else if (Buffer.isBuffer(v)) {
+        return Buffer.from(v);
+    } else if ((v?.constructor === Object) || (v instanceof BaseModel)) {
+        return Object.fromEntries(Object.entries(v).map(([k2,v2]) => [k2, deepCloneValues(v2)]));
+    } else {
+        return v;
+    }
+};
+
 // generate getter and setter functions for a Model's prototype from schema.virtuals:
 const generateGettersAndSetters = function(schema) {
     const descriptors = { };
@@ -112,6 +726,9 @@ class BaseModel {
     #modelIsNew = false;
     #modelIsPartial = false;
     #logger = null;
+    // the property values when this document was created, loaded or last
+    // saved, used to track modifications:
+    #snapshot = null;
 
     constructor({schema, params, options, logger}) {
         params = params ?? {};
@@ -140,50 +757,116 @@ class BaseModel {
         this.#logger = logger;
 
         Object.assign(this, params);
+        this.#takeSnapshot();
         return this;
     }
 
     // public methods:
-    async save() { return this.#save(); }
-    async remove() { return this.#remove(); }
+    // options: {if: condition}, only write if the stored document satisfies
+    // the condition, (see conditionExpression), otherwise reject with a
+    // ConditionFailedError.
+    async save(options={}) {
+        if (!BaseModel.#write_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#write_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return this.#save(options);
+    }
+    async remove(options={}) {
+        if (!BaseModel.#write_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#write_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return this.#remove(options);
+    }
+    async reload(options={}) {
+        if (!BaseModel.#reload_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#reload_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return this.#reload(options);
+    }
     async toObject({virtuals=true, ...otherOptions}={}) { return this.#toObject({virtuals, ...otherOptions}); }
 
+    // Modification tracking: changes are relative to the values when the
+    // document was constructed, loaded, or last saved.
+    // isModified(path) -> true if the (possibly nested, dot-separated) path
+    //                     has been modified, or if path is omitted whether
+    //                     anything has been modified
+    // modifiedPaths()  -> [names of modified top-level properties]
+    // revert()         -> discard all modifications
+    isModified(path) {
+        if (typeof path === 'undefined') {
+            return this.#modifiedPaths().length > 0;
+        }
+        const segments = String(path).split('.');
+        return !valuesEqual(valueAtPath(this, segments), valueAtPath(this.#snapshot, segments));
+    }
+    modifiedPaths() { return this.#modifiedPaths(); }
+    revert() {
+        for (const k of Object.keys(this)) {
+            delete this[k];
+        }
+        Object.assign(this, deepCloneValues(this.#snapshot));
+        return this;
+    }
+
 
     // public static methods:
-    // options: {ConsistentRead: true, abortSignal: ...} ... dynamoDB consistent read option (defaults to false), and dynamoDB abortSignal options
-    static #abortSignalSchema = {
-        type: 'object',
-        apiArgument: {
-            validate: (data) => (typeof data.aborted === 'boolean') && (typeof data.addEventListener === 'function'),
-            error: 'Must be an AbortController Signal.'
-        }
+    // options: {ConsistentRead: true, abortSignal: ..., select: [...]} ... dynamoDB consistent read option (defaults to false), and dynamoDB abortSignal options.
+    // options.select loads only the listed top-level attributes (and the id, type and version fields), creating partial models.
+    static #selectSchema = {
+        type: 'array',
+        items: {type: 'string', minLength: 1}
     };
     static #getById_options_validate = ajv.compile({
         type: 'object',
         properties: {
-            abortSignal: this.#abortSignalSchema,
+            abortSignal: abortSignalSchema,
             ConsistentRead: {type:'boolean'},
+            select: this.#selectSchema,
         },
         additionalProperties: false
     });
-    static async getById(id, options={}) {
+    static async getById(id, ...args) {
+        // models with a sort key are loaded with .getById(id, sortKeyValue, options)
+        const schema = this[kModelSchema];
+        const sortKeyValue = schema.sortKeyFieldName? args.shift() : undefined;
+        const options = args[0] ?? {};
         if (!BaseModel.#getById_options_validate(options)) {
             throw new Error(`Invalid options: ${inspect(BaseModel.#getById_options_validate.errors, {breakLength:Infinity})}.`);
         }
+        checkSelect(schema, options.select);
         // get one model by its id
         // forward the derived class we were called on to the private
         // implementation (since the private implementation must be called on
         // the base class)
-        return BaseModel.#getById(this, id, options);
+        return BaseModel.#getById(this, primaryKey(schema, schema.sortKeyFieldName? [id, sortKeyValue] : id), options);
     }
 
+    // options: {if: <condition object>} ... a condition which the stored document must satisfy for the write to succeed
+    static #write_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            if: {type: 'object'},
+        },
+        additionalProperties: false
+    });
+    // options: {ConsistentRead: true, abortSignal: ...} ... as for getById
+    static #reload_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+            ConsistentRead: {type:'boolean'},
+        },
+        additionalProperties: false
+    });
+
     // TODO: I don't think this should be public, but it's nice to be able to test it directly
     // options: {ConsistentRead: true, abortSignal: ...} ... dynamoDB consistent read option (defaults to false), and dynamoDB abortSignal options
     static #getByIds_options_validate = ajv.compile({
         type: 'object',
         properties: {
-            abortSignal: this.#abortSignalSchema,
+            abortSignal: abortSignalSchema,
             ConsistentRead: {type:'boolean'},
+            select: this.#selectSchema,
         },
         additionalProperties: false
     });
@@ -191,42 +874,192 @@ class BaseModel {
         if(!BaseModel.#getByIds_options_validate(options)){
             throw new Error(`Invalid options: ${inspect(BaseModel.#getByIds_options_validate.errors, {breakLength:Infinity})}.`);
         }
+        checkSelect(this[kModelSchema], options.select);
         // get an array of models (of the same type) by id
-        return BaseModel.#getByIds(this, ids, options);
+        const schema = this[kModelSchema];
+        if (!Array.isArray(ids) || (!schema.sortKeyFieldName && !ids.every(id => (typeof id === 'string') && id.length))) {
+            throw new Error(schema.sortKeyFieldName?
+                `Invalid ids: must be array of [id, ${schema.sortKeyFieldName}] pairs.` :
+                'Invalid ids: must be array of strings of nonzero length.'
+            );
+        }
+        return BaseModel.#getByKeys(this, ids.map(id => primaryKey(schema, id)), options);
+    }
+
+    // Update API
+    // Atomically update a document by id without loading it first, using
+    // mongo-like update operators:
+    // {
+    //   $set: {path: value, ...},         set the values of (possibly nested) properties
+    //   $unset: {path: true, ...},        remove properties
+    //   $inc: {path: n, ...},             increment numeric properties by n (missing properties are treated as 0)
+    //   $push: {path: value, ...},        append a value (or {$each:[values]}) to an array
+    //   $addToSet: {path: value, ...},    append a value (or {$each:[values]}) to an array, if it is not already present
+    // }
+    // If all the $addToSet values are already present, and there is nothing
+    // else to update, the document (including its version and updatedAt
+    // fields) is not modified.
+    // Paths may refer to nested properties using dot-separated names, e.g.
+    // 'a.b.0.c'. Values are checked against the schema for the property.
+    // Resolves with the updated document, or null if no document exists with
+    // this id.
+    static #updateById_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    static async updateById(id, update, options={}) {
+        if (!BaseModel.#updateById_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#updateById_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return BaseModel.#updateById(this, id, update, options);
+    }
+
+    // Atomically update a document by id, or insert it if it does not exist,
+    // using the same update operators as updateById, and additionally:
+    // {
+    //   $setOnInsert: {path: value, ...}, set the values of properties only if the document is inserted
+    // }
+    // The type, version, and createdAt fields are filled in for inserted
+    // documents. Resolves with the updated or inserted document.
+    static #upsert_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    static async upsert(id, update, options={}) {
+        if (!BaseModel.#upsert_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#upsert_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return BaseModel.#upsert(this, id, update, options);
+    }
+
+    // Atomically update the first document matching a query (as for
+    // queryOne), using the same update operators as updateById. The update is
+    // conditional on the document still matching the query when it is
+    // written. Resolves with the document as it was before the update (or
+    // after the update if options.returnNew is true), or null if no document
+    // matches the query.
+    static #findOneAndUpdate_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+            returnNew: {type: 'boolean'},
+        },
+        additionalProperties: false
+    });
+    static async findOneAndUpdate(query, update, options={}) {
+        if (!BaseModel.#findOneAndUpdate_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#findOneAndUpdate_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return BaseModel.#findOneAndUpdate(this, query, update, options);
+    }
+
+    // Atomically increment (or with negative values decrement) numeric
+    // properties of a document by id: {path: n, ...}. If options.max or
+    // options.min are specified, then the increment is conditional on no
+    // property going beyond the bound, otherwise rejecting with a
+    // ConditionFailedError. Resolves with the new values of the properties
+    // {path: value, ...}, or null if no document exists with this id.
+    static #increment_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+            min: {type: 'number'},
+            max: {type: 'number'},
+        },
+        additionalProperties: false
+    });
+    static async increment(id, increments, options={}) {
+        if (!BaseModel.#increment_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#increment_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return BaseModel.#increment(this, id, increments, options);
+    }
+
+    // Bulk write API
+    // Save or remove many documents of this type using batched writes (see
+    // Table.batchWrite). Versions are not checked. Resolves with an array of
+    // {ok: true} or {ok: false, error} results in the same order as the
+    // documents.
+    // saveMany([doc, ...], options)
+    // removeMany([doc or id, ...], options)
+    static #bulkWrite_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    static async saveMany(docs, options={}) {
+        if (!BaseModel.#bulkWrite_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#bulkWrite_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        if (!Array.isArray(docs) || !docs.every(doc => doc?.constructor === this)) {
+            throw new Error(`Invalid documents: must be an array of ${this[kModelSchema].name} documents.`);
+        }
+        return this[kModelTable].batchWrite(docs.map(doc => ({save: doc})), options);
+    }
+    static async removeMany(docsOrIds, options={}) {
+        if (!BaseModel.#bulkWrite_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(BaseModel.#bulkWrite_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        // (documents of models with a sort key are identified by [id, sortKeyValue] pairs)
+        const isId = (x) => (typeof x === 'string') || Array.isArray(x);
+        if (!Array.isArray(docsOrIds) || !docsOrIds.every(x => isId(x) || x?.constructor === this)) {
+            throw new Error(`Invalid documents: must be an array of ${this[kModelSchema].name} documents or ids.`);
+        }
+        return this[kModelTable].batchWrite(docsOrIds.map(x => isId(x)? {remove: x, Model: this} : {remove: x}), options);
     }
 
     // Query API
     //  * using options.abortSignal (from an AbortController) for cancellation, and passing this through to the underlying AWS command send() calls.
     //  * queryMany supports options.limit
-    //  * queryMany is the preferred option, queryIterator might be added...
+    //  * queryIterator and queryIteratorIds handle pagination internally, for
+    //    processing result sets that are too large to load at once.
     //  * options.onlyProjected allows constructing models from an indexes
-    //    projected attributes only. A partially populated model cannot be
-    //    saved without being fully loaded first, but possibly support for
-    //    updating a partially loaded model could be added using update
-    //    expressions in the future. Partially populated models are also likely
-    //    to lack the required version field, so they cannot be .remove()ed
-    //    either.
+    //    projected attributes only. Saving a partially populated model only
+    //    updates the modified attributes, and .reload() can be used to fully
+    //    populate it. Partially populated models are likely to lack the
+    //    required version field, so they cannot be .remove()ed without being
+    //    reloaded first.
+    //  * options.select similarly creates partial models, loading only the
+    //    listed attributes in the fetch phase.
     //
     // implemented = x
     //
     // x async .queryOne(query, options) -> doc
     // x async .queryMany(query, options) -> [doc, ...]
-    //   async .queryIterator(query, ?options) -> async iterator (doc)
+    // x async .queryIterator(query, ?options) -> async iterator (doc)
+    // x async .queryPage(query, ?options) -> {items: [doc, ...], nextCursor}
     //
     // x async .queryOneId(query, options) -> id
     // x async .queryManyIds(query, options) -> [id, ...]
-    //   async .queryIteratorIds(query, ?options) -> async iterator (id)
+    // x async .queryIteratorIds(query, ?options) -> async iterator (id)
+    //
+    // x async .countDocuments(query, ?options) -> number
+    // x async .estimatedCount(?options) -> number
     //
     //         Raw queries only support ids:
     // x async .rawQueryOneId(options) -> id
     // x async .rawQueryManyIds(options) -> [id, ...]
     // x async .rawQueryIteratorIds(options, cancelationPromise) -> async iterator (id)
+    //
+    // x async .listAllIds(?options) -> async iterator (id)
 
-    // There is no Scan API. Because we use by default the ID as a table hash
-    // key, we cannot usefully scan across IDs other than to return the
-    // entire contents of the table. So, a scan API would only be useful
-    // for indexes, and only to return items with identical hash keys and
-    // some range of a range key - but that's a simple query anyway.
+    // Scan API
+    // Because we use by default the ID as a table hash key, we cannot usefully
+    // scan ranges of IDs, so scans return the entire contents of the table (or
+    // all the documents of a model), and are intended for migrations and
+    // maintenance jobs rather than for serving requests. Use
+    // options.segments to run parallel scans of segments of the table.
+    //
+    // x async .scan(?options) -> async iterator (doc)
+    // x async table.scanAll(?options) -> async iterator (doc of any model)
 
     // Query API Methods:
     // For all non-ids methods a separate request is required to fetch the models, rather than just their IDs, which uses options from options.rawFetchOptions
@@ -258,11 +1091,12 @@ class BaseModel {
         type: 'object',
         properties: {
             limit: {type:'number', const: 1},
-            abortSignal: this.#abortSignalSchema,
+            abortSignal: abortSignalSchema,
             startAfter: {type: 'object'},
             rawQueryOptions: this.#rawQueryOptionsSchema,
             rawFetchOptions: this.#rawFetchOptionsSchema,
-            onlyProjected: {type: 'boolean'}
+            onlyProjected: {type: 'boolean'},
+            select: this.#selectSchema
         },
         additionalProperties: false
     });
@@ -271,8 +1105,10 @@ class BaseModel {
         if(!BaseModel.#queryOne_options_validate(options)){
             throw new Error(`Invalid options: ${inspect(BaseModel.#queryOne_options_validate.errors, {breakLength:Infinity})}.`);
         }
-        // TODO: would be better to specialise this, but for now just use queryMany with limit:1, and rawQueryOptions.Limit: 1, note that rawQueryOptions.Limit:1 would be a bad choice if rawQueryOptions.FilterExpression is provided, so if you provide a FilterExpression also set Limit to something higher
-        options = Object.assign({}, options, {limit:1, rawQueryOptions: Object.assign({Limit:1}, options?.rawQueryOptions)});
+        // TODO: would be better to specialise this, but for now just use
+        // queryMany with limit:1, (which also sets the dynamodb Limit to 1,
+        // unless the query is filtered)
+        options = Object.assign({}, options, {limit:1});
         return (await this.queryMany(query, options))[0] || null;
     }
 
@@ -280,7 +1116,7 @@ class BaseModel {
         type: 'object',
         properties: {
             limit: {type:'number', const: 1},
-            abortSignal: this.#abortSignalSchema,
+            abortSignal: abortSignalSchema,
             startAfter: {type: 'object'},
             rawQueryOptions: this.#rawQueryOptionsSchema,
         },
@@ -291,7 +1127,7 @@ class BaseModel {
         if(!BaseModel.#queryOneId_options_validate(options)){
             throw new Error(`Invalid options: ${inspect(BaseModel.#queryOneId_options_validate.errors, {breakLength:Infinity})}.`);
         }
-        options = Object.assign({}, options, {limit:1, rawQueryOptions: Object.assign({Limit:1}, options?.rawQueryOptions)});
+        options = Object.assign({}, options, {limit:1});
         return (await this.queryManyIds(query, options))[0] || null;
     }
 
@@ -299,11 +1135,12 @@ class BaseModel {
         type: 'object',
         properties: {
             limit: {type:'number', default: 50},
-            abortSignal: this.#abortSignalSchema,
+            abortSignal: abortSignalSchema,
             startAfter: {type: 'object'},
             rawQueryOptions: this.#rawQueryOptionsSchema,
             rawFetchOptions: this.#rawFetchOptionsSchema,
-            onlyProjected: {type: 'boolean'}
+            onlyProjected: {type: 'boolean'},
+            select: this.#selectSchema
         },
         additionalProperties: false
     });
@@ -330,10 +1167,14 @@ class BaseModel {
     //
     //   onlyProjected: true/false (default is false): return documents
     //                  constructed only from the attributes projected into
-    //                  the index matched by the query. These partial documents
-    //                  are still validated against the model's schema, so the
-    //                  schema must not require attributes which are not
-    //                  projected.
+    //                  the index matched by the query. Required attributes
+    //                  which are not projected are not required to be
+    //                  present in these partial documents.
+    //
+    //   select: [attributeName, ...]: load only these top-level attributes
+    //           (and the id, type and version fields) in the fetch phase,
+    //           returning partial documents. Required attributes which are
+    //           not selected are not required to be present.
     //
     //   rawQueryOptions: {
     //      ... raw options passed to DynamoDB.QueryCommand for the query phase, e.g. ScanIndexForward: false to reverse the results
@@ -346,10 +1187,11 @@ class BaseModel {
         if(!BaseModel.#queryMany_options_validate(options)){
             throw new Error(`Invalid options: ${inspect(BaseModel.#queryMany_options_validate.errors, {breakLength:Infinity})}.`);
         }
+        checkSelect(this[kModelSchema], options.select);
         let {rawQueryOptions, rawFetchOptions, ...otherOptions} = options;
 
         // returns an array of models (possibly empty)
-        const {rawQuery, matchedIndex} = BaseModel.#convertQuery(this, query, Object.assign({startAfter: otherOptions.startAfter, limit: otherOptions.limit}, rawQueryOptions));
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(this, query, Object.assign({startAfter: otherOptions.startAfter, limit: otherOptions.limit}, rawQueryOptions));
         if (matchedIndex.index.Projection?.ProjectionType === 'ALL' || options.onlyProjected) {
             // if the match index projects all attributes, or if we've been
             // explicitly asked to produce results with only the projected
@@ -357,20 +1199,20 @@ class BaseModel {
             // the results without additional get-item operations:
             const createPartial = matchedIndex.index.Projection?.ProjectionType !== 'ALL';
             const models = [];
-            for await (const batch of BaseModel.#rawQueryProjectedBatchIterator(this, rawQuery, otherOptions)) {
-                models.push(batch.map(data => BaseModel.#createFromMarshalled(this, data, {createPartial})));
+            for await (const batch of BaseModel.#rawQueryMergedBatchIterator(this, rawQueries, matchedIndex, otherOptions)) {
+                models.push(batch.map(data => BaseModel.#createFromMarshalled(this, data, {createPartial, select: otherOptions.select})));
             }
             return models.flat();
         } else {
             const pending = [];
             let errorOccurred = false;
-            const idFieldName = this[kModelSchema].idFieldName;
+            const schema = this[kModelSchema];
             const setErrorOccurred = () => { errorOccurred = true; };
-            // ... relying on #rawQueryProjectedBatchIterator to return the right number in total, based on otherOptions.limit
-            for await (const batch of BaseModel.#rawQueryProjectedBatchIterator(this, rawQuery, otherOptions)) {
+            // ... relying on #rawQueryMergedBatchIterator to return the right number in total, based on otherOptions.limit
+            for await (const batch of BaseModel.#rawQueryMergedBatchIterator(this, rawQueries, matchedIndex, otherOptions)) {
                 if (errorOccurred) break;
                 // start fetching the models from the IDs of this batch immediately, but don't await yet so requests can be parallelised
-                const pendingGetByIds = BaseModel.#getByIds(this, batch.map(data => data[idFieldName]), Object.assign({abortSignal: otherOptions.abortSignal}, rawFetchOptions));
+                const pendingGetByIds = BaseModel.#getByKeys(this, batch.map(data => itemKey(schema, data)), Object.assign({abortSignal: otherOptions.abortSignal, select: otherOptions.select}, rawFetchOptions));
                 pending.push(pendingGetByIds);
                 // however, we must .catch any errors, so we can fail fast (and prevent PromiseRejectionHandledWarning logs)
                 pendingGetByIds.catch(setErrorOccurred);
@@ -383,7 +1225,7 @@ class BaseModel {
         type: 'object',
         properties: {
             limit: {type:'number', default:50},
-            abortSignal: this.#abortSignalSchema,
+            abortSignal: abortSignalSchema,
             startAfter: {type: 'object'},
             rawQueryOptions: this.#rawQueryOptionsSchema
         },
@@ -396,60 +1238,244 @@ class BaseModel {
         // options are as queryMany, except Ids are returned, so there are no rawFetchOptions
         let {rawQueryOptions, ...otherOptions} = options;
         otherOptions = Object.assign({limit: 50}, otherOptions);
-        const {rawQuery} = BaseModel.#convertQuery(this, query, Object.assign({startAfter: otherOptions.startAfter, limit: otherOptions.limit}, rawQueryOptions));
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(this, query, Object.assign({startAfter: otherOptions.startAfter, limit: otherOptions.limit}, rawQueryOptions));
         const results = [];
-        const idFieldName = this[kModelSchema].idFieldName;
-        for await (const batch of BaseModel.#rawQueryProjectedBatchIterator(this, rawQuery, otherOptions)) {
-            results.push(batch.map(data => data[idFieldName]));
+        const schema = this[kModelSchema];
+        for await (const batch of BaseModel.#rawQueryMergedBatchIterator(this, rawQueries, matchedIndex, otherOptions)) {
+            results.push(batch.map(data => itemId(schema, data)));
         }
         return results.flat();
     }
 
-    // TODO: I'm not sure queryIterator is a useful API, at least for the non-Ids case? The hidden internal batching isn't very useful?
-    // TODO: if this api is supported, it will need to listen to the abortSignal inbetween yielding each result, in addition to passing the abortSignal the AWS sdk
-    // yield all the results of this query up to options.limit (which may be undefined,==Infinity), handling continuation internally, until .return or .throw is called on the returned generator
-    // static async* queryIterator(query, options) {
-    // }
-    // static async* queryIteratorIds(query, options) {
-    // }
-
-    static async rawQueryOneId(rawQuery, options={}) {
-        return BaseModel.#rawQueryOneId(this, rawQuery, options);
-    }
-    static async rawQueryManyIds(rawQuery, options={}) {
-        // TODO: schema for options which assigns default limit, checks types
-        options = Object.assign({limit: 50}, options);
-        const results = [];
-        rawQuery = {
-            TableName: this[kModelTable].name,
-            ...rawQuery
-        };
-        const idFieldName = this[kModelSchema].idFieldName;
-        for await (const batch of BaseModel.#rawQueryProjectedBatchIterator(this, rawQuery, options)) {
-            results.push(batch.map(data => data[idFieldName]));
+    static #queryIterator_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            limit: {type:'number'},
+            abortSignal: abortSignalSchema,
+            startAfter: {type: 'object'},
+            rawQueryOptions: this.#rawQueryOptionsSchema,
+            rawFetchOptions: this.#rawFetchOptionsSchema,
+            onlyProjected: {type: 'boolean'},
+            select: this.#selectSchema
+        },
+        additionalProperties: false
+    });
+    // yield all the results of this query up to options.limit (which defaults
+    // to Infinity), handling continuation internally, until .return or .throw
+    // is called on the returned generator. Options are as for queryMany.
+    // Documents are fetched in batches, ahead of the documents being consumed.
+    static async* queryIterator(query, options={}) {
+        if(!BaseModel.#queryIterator_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#queryIterator_options_validate.errors, {breakLength:Infinity})}.`);
         }
-        return results.flat();
-    }
-    static async* rawQueryIteratorIds(rawQuery, options={}) {
-        options = Object.assign({limit: Infinity}, options);
-        yield* BaseModel.#rawQueryIds(this, rawQuery, options);
+        checkSelect(this[kModelSchema], options.select);
+        yield* BaseModel.#queryIterator(this, query, options);
     }
 
-    // TODO: not sure if some sort of list-all-ids query shortcut should exist?
-    // static async* listAllIds(options) { yield* BaseModel.#listAllIds(this, options); }
-
-    // private methods:
-    async #save() {
-        if (this.#modelIsPartial) {
-            // TODO: need a .load() or .populate() function or similary to fully populate a partially loaded document;
-            throw new Error('Document was created from partial query data and cannot be saved.');
+    static #queryPage_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            limit: {type:'integer', minimum: 1, default: 50},
+            cursor: {type: 'string'},
+            abortSignal: abortSignalSchema,
+            rawFetchOptions: this.#rawFetchOptionsSchema,
+            onlyProjected: {type: 'boolean'},
+            select: this.#selectSchema
+        },
+        additionalProperties: false
+    });
+    // Return a page of up to options.limit documents, and a cursor for the
+    // next page (or null if there are no more results):
+    // {items: [doc, ...], nextCursor: string or null}
+    // Pass the nextCursor from a previous page as options.cursor to get the
+    // next page. Other options are as for queryMany.
+    static async queryPage(query, options={}) {
+        options = Object.assign({}, options);
+        if(!BaseModel.#queryPage_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#queryPage_options_validate.errors, {breakLength:Infinity})}.`);
         }
-        const DerivedModel = this.constructor;
-        const schema = DerivedModel[kModelSchema];
-        const table  = DerivedModel[kModelTable];
+        checkSelect(this[kModelSchema], options.select);
+        return BaseModel.#queryPage(this, query, options);
+    }
+
+    static #queryIteratorIds_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            limit: {type:'number'},
+            abortSignal: abortSignalSchema,
+            startAfter: {type: 'object'},
+            rawQueryOptions: this.#rawQueryOptionsSchema
+        },
+        additionalProperties: false
+    });
+    // as queryIterator, but yielding ids. Options are as for queryManyIds.
+    static async* queryIteratorIds(query, options={}) {
+        if(!BaseModel.#queryIteratorIds_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#queryIteratorIds_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        const {rawQueryOptions, ...otherOptions} = options;
+        const {limit, abortSignal} = otherOptions;
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(this, query, Object.assign({startAfter: otherOptions.startAfter, limit: Number.isFinite(limit)? limit : undefined}, rawQueryOptions));
+        const schema = this[kModelSchema];
+        for await (const batch of BaseModel.#rawQueryMergedBatchIterator(this, rawQueries, matchedIndex, {limit: limit ?? Infinity, abortSignal})) {
+            for (const data of batch) {
+                checkAborted(abortSignal);
+                yield itemId(schema, data);
+            }
+        }
+    }
+
+    static #countDocuments_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            max: {type:'integer', minimum: 1},
+            abortSignal: abortSignalSchema
+        },
+        additionalProperties: false
+    });
+    // Count the documents matching the query, without fetching them. If
+    // options.max is specified, counting stops once max documents have been
+    // counted, and at most max is returned.
+    static async countDocuments(query, options={}) {
+        if(!BaseModel.#countDocuments_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#countDocuments_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return BaseModel.#countDocuments(this, query, options);
+    }
+
+    static #estimatedCount_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema
+        },
+        additionalProperties: false
+    });
+    // Count all the documents of this model. The built-in type index is
+    // eventually consistent, so recently saved or removed documents may not be
+    // counted correctly.
+    static async estimatedCount(options={}) {
+        if(!BaseModel.#estimatedCount_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#estimatedCount_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return BaseModel.#estimatedCount(this, options);
+    }
+
+    static #scan_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            segments: {type:'integer', minimum: 1, maximum: kScanSegmentsLimit},
+            filter: {type: 'object'},
+            limit: {type:'number'},
+            abortSignal: abortSignalSchema
+        },
+        additionalProperties: false
+    });
+    // yield all the documents of this model (up to options.limit), optionally
+    // only those matching the condition object options.filter, using
+    // options.segments parallel scans.
+    static async* scan(options={}) {
+        if(!BaseModel.#scan_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#scan_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        yield* BaseModel.#scan(this, options);
+    }
+
+    static async rawQueryOneId(rawQuery, options={}) {
+        return BaseModel.#rawQueryOneId(this, rawQuery, options);
+    }
+    static async rawQueryManyIds(rawQuery, options={}) {
+        // TODO: schema for options which assigns default limit, checks types
+        options = Object.assign({limit: 50}, options);
+        const results = [];
+        rawQuery = {
+            TableName: this[kModelTable].name,
+            ...rawQuery
+        };
+        const schema = this[kModelSchema];
+        for await (const batch of BaseModel.#rawQueryProjectedBatchIterator(this, rawQuery, options)) {
+            results.push(batch.map(data => itemId(schema, data)));
+        }
+        return results.flat();
+    }
+    static async* rawQueryIteratorIds(rawQuery, options={}) {
+        options = Object.assign({limit: Infinity}, options);
+        yield* BaseModel.#rawQueryIds(this, rawQuery, options);
+    }
+
+    static #listAllIds_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            limit: {type:'number'},
+            abortSignal: abortSignalSchema
+        },
+        additionalProperties: false
+    });
+    // yield the ids of all the documents of this model, up to options.limit
+    static async* listAllIds(options={}) {
+        if(!BaseModel.#listAllIds_options_validate(options)){
+            throw new Error(`Invalid options: ${inspect(BaseModel.#listAllIds_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        yield* BaseModel.#listAllIds(this, options);
+    }
+
+    // protected methods (used by Table transactions):
+    [kModelPrepareSave](options) { return this.#prepareSave(options); }
+    [kModelPrepareRemove]() { return this.#prepareRemove(); }
+
+    // private methods:
+    async #save(options) {
+        const table = this.constructor[kModelTable];
         if (!table[kTableIsReady]) {
             await table.ready();
         }
+        const prepared = this.#prepareSave(options);
+        if (!prepared) {
+            // nothing has been modified, and there is no version field to
+            // update:
+            return this;
+        }
+        let command;
+        if (prepared.indexItems?.length) {
+            command = new TransactWriteCommand({TransactItems: [prepared.item, ...prepared.indexItems]});
+        } else {
+            command = prepared.item.Put? new PutCommand(prepared.item.Put) : new UpdateCommand(prepared.item.Update);
+        }
+        this.#logger.trace({command}, 'save %s', this.id);
+        let response;
+        try {
+            response = await table[kTableDDBClient].send(command);
+            this.#logger.trace({response}, 'save %s response', this.id);
+        } catch (e) {
+            if(isConditionFailure(e)) {
+                throw prepared.conditionFailedError(options.if && await this.#getCurrentItem());
+                /* c8 ignore next 3 */
+            } else {
+                throw e;
+            }
+        }
+        prepared.onSuccess(response);
+        return this;
+    }
+
+    // Prepare the write for saving this document, returning:
+    // {
+    //   item: {Put: params} or {Update: params}, (as for a TransactWriteItems item)
+    //   indexItems: [{Put: params} or {Delete: params}, ...], the writes of
+    //               multikey index items, which must be written in the same
+    //               transaction as item
+    //   onSuccess(response),      to be called after the write succeeds
+    //   conditionFailedError(current), returns the error to throw if the condition of the write fails
+    // }
+    // or null if there is nothing to write. options: {transaction: true} if the
+    // write is part of a transaction, or {batch: true} for an unconditional
+    // write of the whole item as part of a batch, and {if: condition} for a
+    // condition which must also be satisfied. If there was a condition, then
+    // conditionFailedError should be passed the current stored item (or
+    // undefined if it does not exist), to determine which condition failed.
+    #prepareSave(options) {
+        const DerivedModel = this.constructor;
+        const schema = DerivedModel[kModelSchema];
+        const table  = DerivedModel[kModelTable];
         // update timestamp fields
         const now = new Date();
         if (this.#modelIsNew && schema.createdAtFieldName) {
@@ -460,13 +1486,21 @@ class BaseModel {
         }
         // check against schema, and marshal types for db:
         const properties = deepCloneObjectsAndArrays(this);
-        const marshall = schema[kSchemaMarshall];
+        // partial models may lack required attributes which were not loaded:
+        const marshall = this.#modelIsPartial? schema[kSchemaMarshallPartial] : schema[kSchemaMarshall];
         const marshallValid = marshall(properties);
         if (!marshallValid) {
             const e = new Error(`Document does not match schema for ${schema.name}: ${marshall.errors[0].instancePath} ${marshall.errors[0].message}.`);
             e.validationErrors = schema[kSchemaCompiled].errors;
             throw e;
         }
+        // but required attributes which were loaded cannot be removed:
+        if (this.#modelIsPartial) {
+            const removed = schema.source.required.find(k => typeof this.#snapshot[k] !== 'undefined' && typeof properties[k] === 'undefined');
+            if (removed) {
+                throw new Error(`Document does not match schema for ${schema.name}:  must have required property '${removed}'.`);
+            }
+        }
         // NOTE: this makes it possible to remove properties by setting .prop =
         // undefined; ajv allows .prop = undefined through the schema, but to
         // actually get the dynamodb client to delete the field we need to
@@ -477,99 +1511,312 @@ class BaseModel {
                 delete properties[k];
             }
         }
-        const commandArgs = {
-            TableName: table.name,
-            Item: properties
-        };
-        if (this.#modelIsNew) {
-            // if the model is new, check that we are not saving a duplicate:
-            commandArgs.ConditionExpression = 'attribute_not_exists(#idFieldName)';
-            commandArgs.ExpressionAttributeNames = { '#idFieldName': schema.idFieldName };
-            if(schema.versionFieldName) {
-                properties[schema.versionFieldName] = 1;
+        for (const k of indexKeyProperties(schema)) {
+            if (properties[k] === null) {
+                delete properties[k];
+            }
+        }
+        // derived index keys are written from the values of the document,
+        // (partial documents can only write keys derived entirely from loaded
+        // properties):
+        const derivedKeys = schema[kSchemaDerivedAttributes].filter(
+            (derived) => !this.#modelIsPartial || derivedKeySources(derived)?.every(p => typeof this[p] !== 'undefined')
+        );
+        for (const derived of derivedKeys) {
+            const value = derivedAttributeValue(schema, derived, this);
+            if (typeof value !== 'undefined') {
+                properties[derived.attributeName] = value;
             }
-        } else if (schema.versionFieldName){
-            const previousVersion = properties[schema.versionFieldName];
-            if (!properties[schema.versionFieldName]) {
-                this.#logger.warn('Adding missing version field %s to document %s.', schema.versionFieldName, this.id);
+        }
+        // the items of multikey indexes are updated from the values that were
+        // last saved, (which partial documents must have loaded in order to
+        // modify the indexed properties):
+        for (const {multikey, index} of multikeyIndexes(schema)) {
+            if (this.#modelIsPartial && !(multikey in this.#snapshot) && this.#modifiedPaths().includes(multikey)) {
+                throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" was created from partial data without .${multikey}, which is indexed by the multikey index "${index.IndexName}", so .${multikey} cannot be modified without reloading it.`);
+            }
+        }
+        const indexItems = multikeyIndexWrites(schema, table, documentKey(schema, this), this.#modelIsNew? undefined : this.#snapshot, this);
+        if (indexItems.length >= kTransactWriteItemLimit) {
+            throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" cannot be saved, because it would write ${indexItems.length} multikey index items, and at most ${kTransactWriteItemLimit - 1} can be written with the document.`);
+        }
+        let item;
+        // whether the version of the document in the database is checked
+        // before writing, and the version that is expected (undefined if the
+        // version field is expected to not exist):
+        let versionChecked = false;
+        let expectedVersion;
+        if (options?.batch) {
+            // writes in a batch can't be conditional, so the whole item is
+            // written without checking the version:
+            if (this.#modelIsPartial) {
+                throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" was created from partial data, and cannot be saved in a batch.`);
+            } else if (indexItems.length) {
+                throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" has multikey index items to write, and cannot be saved in a batch.`);
+            }
+            if (schema.versionFieldName) {
+                properties[schema.versionFieldName] = (properties[schema.versionFieldName] ?? 0) + 1;
+            }
+            item = { Put: { TableName: table.name, Item: properties } };
+        } else if (this.#modelIsNew) {
+            // if the model is new, write the whole item, checking that we are
+            // not saving a duplicate:
+            const attrs = new ExpressionAttributes('c');
+            const conditions = [`attribute_not_exists(${attrs.path([schema.idFieldName])})`];
+            if (options?.if) {
+                conditions.push(`(${conditionExpression(schema, options.if, attrs)})`);
+            }
+            const commandArgs = {
+                TableName: table.name,
+                Item: properties,
+                ConditionExpression: conditions.join(' AND '),
+                ...attrs.commandParams()
+            };
+            if (schema.versionFieldName) {
                 properties[schema.versionFieldName] = 1;
-                // we can still make sure that another process is not adding the version field in parallel:
-                commandArgs.ConditionExpression = 'attribute_not_exists(#v)';
-                commandArgs.ExpressionAttributeNames = { '#v': schema.versionFieldName };
-            } else {
-                properties[schema.versionFieldName] += 1;
-                // otherwise, check that the version field is the same as it was when we loaded this model. Each save increments the version.
-                commandArgs.ConditionExpression = '#v = :v';
-                commandArgs.ExpressionAttributeNames = { '#v': schema.versionFieldName };
-                commandArgs.ExpressionAttributeValues = { ':v': previousVersion };
+                versionChecked = true;
+            }
+            item = { Put: commandArgs };
+        } else {
+            // the key attributes of an existing item cannot be updated:
+            if (schema.sortKeyFieldName && this.#modifiedPaths().includes(schema.sortKeyFieldName)) {
+                throw new Error(`The sort key .${schema.sortKeyFieldName} of the existing model .${schema.idFieldName}="${this[schema.idFieldName]}" cannot be modified.`);
+            }
+            // otherwise only the modified properties are updated:
+            const attrs = new ExpressionAttributes('s');
+            const modifiedPaths = this.#modifiedPaths();
+            const actions = modifiedPaths.filter(
+                k => k !== schema.idFieldName && k !== schema.versionFieldName
+            ).map(k => (k in properties)?
+                {op: '$set', segments: [k], value: properties[k]} :
+                {op: '$unset', segments: [k]}
+            );
+            // derived keys are updated when the properties they are derived
+            // from are modified, (or when anything is modified, for keys
+            // computed by functions):
+            for (const derived of derivedKeys) {
+                const {attributeName} = derived;
+                const sources = derivedKeySources(derived);
+                if (sources? sources.some(p => modifiedPaths.includes(p)) : actions.length) {
+                    actions.push((attributeName in properties)?
+                        {op: '$set', segments: [attributeName], value: properties[attributeName]} :
+                        {op: '$unset', segments: [attributeName]}
+                    );
+                }
             }
+            // check that the document still exists, (the update would
+            // otherwise create a new item containing only the updated
+            // properties):
+            const conditions = [`attribute_exists(${attrs.path([schema.idFieldName])})`];
+            let ReturnValues;
+            if (schema.versionFieldName) {
+                const previousVersion = properties[schema.versionFieldName];
+                const versionPath = attrs.path([schema.versionFieldName]);
+                if (this.#modelIsPartial && !previousVersion) {
+                    // the new version can't be returned from a write in a
+                    // transaction, (which writes with index items also are):
+                    if (options?.transaction || indexItems.length) {
+                        throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" was created from partial data without the version field, and cannot be saved in a transaction.`);
+                    }
+                    // the version field was not among the attributes that
+                    // this partial document was created from, so the stored
+                    // version is incremented without being checked, and the
+                    // new version is read back from the response. This save
+                    // therefore overwrites concurrent changes to the same
+                    // attributes instead of failing with a version error:
+                    actions.push({op: '$inc', segments: [schema.versionFieldName], value: 1});
+                    ReturnValues = 'UPDATED_NEW';
+                } else if (!previousVersion) {
+                    this.#logger.warn('Adding missing version field %s to document %s.', schema.versionFieldName, this.id);
+                    properties[schema.versionFieldName] = 1;
+                    // we can still make sure that another process is not adding the version field in parallel:
+                    conditions.push(`attribute_not_exists(${versionPath})`);
+                    versionChecked = true;
+                } else {
+                    properties[schema.versionFieldName] += 1;
+                    // otherwise, check that the version field is the same as it was when we loaded this model. Each save increments the version.
+                    conditions.push(`${versionPath} = ${attrs.value(previousVersion)}`);
+                    versionChecked = true;
+                    expectedVersion = previousVersion;
+                }
+                if (!ReturnValues) {
+                    actions.push({op: '$set', segments: [schema.versionFieldName], value: properties[schema.versionFieldName]});
+                }
+            }
+            if (!actions.length) {
+                return null;
+            }
+            if (options?.if) {
+                conditions.push(`(${conditionExpression(schema, options.if, attrs)})`);
+            }
+            item = {
+                Update: {
+                    TableName: table.name,
+                    Key: itemKey(schema, properties),
+                    UpdateExpression: updateExpression(actions, attrs).UpdateExpression,
+                    ConditionExpression: conditions.join(' AND '),
+                    ...(ReturnValues && {ReturnValues}),
+                    ...attrs.commandParams()
+                }
+            };
         }
-        const command = new PutCommand(commandArgs);
-        this.#logger.trace({command}, 'save %s', this.id);
-        try {
-            const response = await table[kTableDDBClient].send(command);
-            this.#logger.trace({response}, 'save %s response', this.id);
-        } catch (e) {
-            if(e.name === 'ConditionalCheckFailedException') {
-                if (this.#modelIsNew) {
-                    throw new Error(`An item already exists with id field .${schema.idFieldName}="${this[schema.idFieldName]}"`);
+        // the values being saved, which become the baseline for tracking
+        // subsequent modifications once the save succeeds:
+        const savedValues = deepCloneValues(this);
+        return {
+            item,
+            indexItems,
+            onSuccess: (response) => {
+                if (response?.Attributes && schema.versionFieldName) {
+                    properties[schema.versionFieldName] = response.Attributes[schema.versionFieldName];
+                }
+                // after saving once, we're no longer new
+                this.#modelIsNew = false;
+                if (schema.versionFieldName) {
+                    // and increment the visible version
+                    this[schema.versionFieldName] = savedValues[schema.versionFieldName] = properties[schema.versionFieldName];
+                }
+                this.#snapshot = savedValues;
+            },
+            conditionFailedError: (current) => {
+                // if the built-in conditions are satisfied by the current
+                // item, then it was the condition from options.if which
+                // failed:
+                const builtInSatisfied = this.#modelIsNew? !current : (!!current && (!versionChecked || current[schema.versionFieldName] === expectedVersion));
+                if (options?.if && builtInSatisfied) {
+                    return new ConditionFailedError(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" does not satisfy the condition for saving.`);
+                } else if (this.#modelIsNew) {
+                    return new Error(`An item already exists with id field .${schema.idFieldName}="${this[schema.idFieldName]}"`);
+                } else if (versionChecked) {
+                    return new Error(`Version error: the model .${schema.idFieldName}="${this[schema.idFieldName]}" was updated by another process between loading and saving.`);
                 } else {
-                    throw new Error(`Version error: the model .${schema.idFieldName}="${this[schema.idFieldName]}" was updated by another process between loading and saving.`);
+                    return new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" was removed by another process between loading and saving.`);
                 }
+            }
+        };
+    }
+
+    async #remove(options){
+        const table = this.constructor[kModelTable];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        const prepared = this.#prepareRemove(options);
+        const command = prepared.indexItems?.length?
+            new TransactWriteCommand({TransactItems: [prepared.item, ...prepared.indexItems]}) :
+            new DeleteCommand(prepared.item.Delete);
+        this.#logger.trace({command}, 'remove %s', this.id);
+        let data;
+        try {
+            data = await table[kTableDDBClient].send(command);
+        } catch (e) {
+            if (isConditionFailure(e)) {
+                throw prepared.conditionFailedError(options.if && await this.#getCurrentItem());
                 /* c8 ignore next 3 */
             } else {
                 throw e;
             }
         }
-        // after saving once, we're no longer new
-        this.#modelIsNew = false;
-        if (schema.versionFieldName) {
-            // and increment the visible version
-            this[schema.versionFieldName] = properties[schema.versionFieldName];
-        }
+        this.#logger.trace({response: data}, 'remove %s response', this.id);
+        prepared.onSuccess(data);
         return this;
     }
 
-    async #remove(){
+    // Prepare the write for removing this document, returning {item: {Delete:
+    // params}, indexItems, onSuccess, conditionFailedError}, as for
+    // #prepareSave. options: {if: condition} for a condition which must also
+    // be satisfied.
+    #prepareRemove(options) {
         const table = this.constructor[kModelTable],
              schema = this.constructor[kModelSchema];
-        /* c8 ignore next 3 */
-        if (!table[kTableIsReady]) {
-            await table.ready();
+        // the items of multikey indexes for the values that were last saved
+        // are removed with the document:
+        for (const {multikey, index} of multikeyIndexes(schema)) {
+            if (this.#modelIsPartial && !(multikey in this.#snapshot)) {
+                throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" was created from partial data without .${multikey}, which is indexed by the multikey index "${index.IndexName}", so it cannot be removed without reloading it.`);
+            }
         }
-        const commandArgs = {
-            TableName: table.name,
-            Key: { [schema.idFieldName]: this[schema.idFieldName] }
-        };
+        const indexItems = this.#modelIsNew? [] : multikeyIndexWrites(schema, table, documentKey(schema, this), this.#snapshot, undefined);
+        const attrs = new ExpressionAttributes('c');
+        const conditions = [];
+        const expectedVersion = this[schema.versionFieldName];
         // check that the version field is the same as it was when we loaded this model.
         if (schema.versionFieldName) {
-            if (!this[schema.versionFieldName]) {
+            if (!expectedVersion) {
                 this.#logger.warn('Removing versioned document .%s="%s" missing version field.', schema.versionFieldName, this.id);
-                commandArgs.ConditionExpression = 'attribute_not_exists(#v)';
-                commandArgs.ExpressionAttributeNames = { '#v': schema.versionFieldName };
+                conditions.push(`attribute_not_exists(${attrs.path([schema.versionFieldName])})`);
             } else {
-                commandArgs.ConditionExpression = '#v = :v';
-                commandArgs.ExpressionAttributeNames = { '#v': schema.versionFieldName };
-                commandArgs.ExpressionAttributeValues = { ':v': this[schema.versionFieldName] };
+                conditions.push(`${attrs.path([schema.versionFieldName])} = ${attrs.value(expectedVersion)}`);
             }
         }
-        const command = new DeleteCommand(commandArgs);
-        this.#logger.trace({command}, 'remove %s', this.id);
-        let data;
-        try {
-            data = await table[kTableDDBClient].send(command);
-        } catch (e) {
-            if (e.name === 'ConditionalCheckFailedException') {
-                throw new Error(`Version error: the model .${schema.idFieldName}="${this[schema.idFieldName]}" was updated by another process between loading and removing.`);
-                /* c8 ignore next 3 */
-            } else {
-                throw e;
+        if (options?.if) {
+            conditions.push(`(${conditionExpression(schema, options.if, attrs)})`);
+        }
+        const commandArgs = {
+            TableName: table.name,
+            Key: documentKey(schema, this),
+            ...(conditions.length && {ConditionExpression: conditions.join(' AND ')}),
+            ...attrs.commandParams()
+        };
+        return {
+            item: { Delete: commandArgs },
+            indexItems,
+            onSuccess: () => {},
+            conditionFailedError: (current) => {
+                // if the version of the current item is as expected, then it
+                // was the condition from options.if which failed:
+                if (options?.if && (!schema.versionFieldName || current?.[schema.versionFieldName] === (expectedVersion || undefined))) {
+                    return new ConditionFailedError(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" does not satisfy the condition for removing.`);
+                }
+                return new Error(`Version error: the model .${schema.idFieldName}="${this[schema.idFieldName]}" was updated by another process between loading and removing.`);
             }
+        };
+    }
+
+    // get the current stored item for this document, (used to determine the
+    // cause of a failed conditional write):
+    async #getCurrentItem() {
+        const table = this.constructor[kModelTable],
+             schema = this.constructor[kModelSchema];
+        const command = new GetCommand({
+            TableName: table.name,
+            Key: documentKey(schema, this),
+            ConsistentRead: true
+        });
+        this.#logger.trace({command}, 'get current %s', this.id);
+        return (await table[kTableDDBClient].send(command)).Item;
+    }
+
+    async #reload(options) {
+        const DerivedModel = this.constructor;
+        const schema = DerivedModel[kModelSchema];
+        const loaded = await BaseModel.#getById(DerivedModel, documentKey(schema, this), options);
+        if (!loaded) {
+            throw new Error(`The model .${schema.idFieldName}="${this[schema.idFieldName]}" does not exist in the database.`);
         }
-        this.#logger.trace({response: data}, 'remove %s response', this.id);
+        // replace all properties (discarding any unsaved modifications) with
+        // the loaded ones, which are now the baseline for tracking
+        // modifications:
+        for (const k of Object.keys(this)) {
+            delete this[k];
+        }
+        Object.assign(this, loaded);
+        this.#snapshot = loaded.#snapshot;
+        this.#modelIsNew = false;
+        this.#modelIsPartial = false;
         return this;
     }
 
+    #takeSnapshot() {
+        this.#snapshot = deepCloneValues(this);
+    }
+
+    #modifiedPaths() {
+        const keys = new Set([...Object.keys(this.#snapshot), ...Object.keys(this)]);
+        return [...keys].filter(k => !valuesEqual(this[k], this.#snapshot[k]));
+    }
+
     async #toObject(options) {
         const schema = this.constructor[kModelSchema];
         let r = Object.assign(Object.create(null), this);
@@ -591,10 +1838,55 @@ class BaseModel {
         return r;
     }
 
+    // protected static methods (used by Table transactions and
+    // transactGet):
+    static [kModelPrepareUpdate](id, update) {
+        const key = primaryKey(this[kModelSchema], id);
+        const actions = BaseModel.#updateActions(this, update);
+        // the values that are already present can't be excluded from the
+        // update within a transaction, so the transaction would fail instead:
+        if (actions.some(({op}) => op === '$addToSet')) {
+            throw new Error('Invalid update: $addToSet is not supported in transactions.');
+        }
+        return BaseModel.#prepareUpdate(this, key, actions);
+    }
+    static [kModelPrepareConditionCheck](id, condition) { return BaseModel.#prepareConditionCheck(this, primaryKey(this[kModelSchema], id), condition); }
+    static [kModelCreateFromMarshalled](data) { return BaseModel.#createFromMarshalled(this, data); }
+    static [kModelPrimaryKey](idOrDoc) {
+        const schema = this[kModelSchema];
+        return (idOrDoc instanceof this)? documentKey(schema, idOrDoc) : primaryKey(schema, idOrDoc);
+    }
+
     // private static methods:
     static #createFromMarshalled(DerivedModel, params, options) {
         const schema = DerivedModel[kModelSchema];
-        const unmarshall = schema[kSchemaUnMarshall];
+        let unmarshall = schema[kSchemaUnMarshall];
+        let selected;
+        // derived index key attributes are not properties of the document:
+        for (const {attributeName} of schema[kSchemaDerivedAttributes]) {
+            delete params[attributeName];
+        }
+        // null values of index keys are not written, so required index keys
+        // which are missing from a complete item must have been null:
+        if (!options?.createPartial && !options?.select) {
+            for (const k of indexKeyProperties(schema)) {
+                if (!(k in params) && schema.source.required.includes(k)) {
+                    params[k] = null;
+                }
+            }
+        }
+        if (options?.createPartial) {
+            // attributes which were not projected into the index are not
+            // required:
+            unmarshall = schema[kSchemaUnMarshallPartial];
+        }
+        if (options?.select) {
+            // only the selected attributes are loaded, and the attributes
+            // which were not selected are not required:
+            selected = new Set(selectedAttributes(schema, options.select));
+            params = Object.fromEntries(Object.entries(params).filter(([k]) => selected.has(k)));
+            unmarshall = schema[kSchemaUnMarshallPartial];
+        }
         const valid = unmarshall(params);
         if (!valid) {
             // it's valid to load a model of a different type, as long as the
@@ -609,70 +1901,69 @@ class BaseModel {
             e.validationErrors = unmarshall.errors;
             throw e;
         }
+        if (selected) {
+            // defaults are not assigned to attributes that were not loaded:
+            for (const k of Object.keys(params)) {
+                if (!selected.has(k)) {
+                    delete params[k];
+                }
+            }
+        }
         const instance = new DerivedModel(params, {[kOptionSkipValidation]: true});
         // tag this instance as returned from the db, so when it is saved we do not check against overwrites
         instance.#modelIsNew = false;
         // and tag if this model has been created from partial data (index
-        // projected attributes instead of a getItem operation). This prevents
-        // a subsequent save from saving partial data:
-        if (options?.createPartial) {
+        // projected attributes, or selected attributes, instead of a complete
+        // item). A subsequent save then only updates the attributes that were
+        // modified:
+        if (options?.createPartial || selected) {
             instance.#modelIsPartial = true;
         }
         return instance;
     }
 
-    // get an instance of this schema by id
-    static async #getById(DerivedModel, id, rawOptions) {
-        const { ConsistentRead, abortSignal } = rawOptions;
+    // get an instance of this schema by its primary key (see primaryKey)
+    static async #getById(DerivedModel, Key, rawOptions) {
+        const { ConsistentRead, abortSignal, select } = rawOptions;
         const table = DerivedModel[kModelTable];
         const schema = DerivedModel[kModelSchema];
         /* c8 ignore next 3 */
         if (!table[kTableIsReady]) {
             await table.ready();
         }
-        if ((typeof id !== 'string') || (!id.length)) {
-            throw new Error('Invalid id: must be string of nonzero length.');
-        }
         const sendOptions = {
             ...(abortSignal && {abortSignal})
         };
         const command = new GetCommand(Object.assign({
             TableName: table.name,
-            Key: {
-                [schema.idFieldName]: id
-            }
-        }, ConsistentRead? {ConsistentRead} : undefined));
+            Key
+        }, ConsistentRead? {ConsistentRead} : undefined, select? projectionParams(schema, select) : undefined));
+        const id = Key[schema.idFieldName];
         DerivedModel[kModelLogger].trace({command, sendOptions}, 'getById %s', id);
         const data = await table[kTableDDBClient].send(command, sendOptions);
         DerivedModel[kModelLogger].trace({response: data}, 'getById response %s', id);
         if (!data.Item) {
             return null;
         } else {
-            return this.#createFromMarshalled(DerivedModel, data.Item);
+            return this.#createFromMarshalled(DerivedModel, data.Item, {select});
         }
     }
 
-    // get an array of instances of this schema by id
-    static async #getByIds(DerivedModel, ids, rawOptions) {
-        const { ConsistentRead, abortSignal } = rawOptions;
+    // get an array of instances of this schema by their primary keys (see
+    // primaryKey)
+    static async #getByKeys(DerivedModel, keys, rawOptions) {
+        const { ConsistentRead, abortSignal, select } = rawOptions;
         const table = DerivedModel[kModelTable];
         const schema = DerivedModel[kModelSchema];
         /* c8 ignore next 3 */
         if (!table[kTableIsReady]) {
             await table.ready();
         }
-        if (!Array.isArray(ids)) {
-            throw new Error('Invalid ids: must be array of strings of nonzero length.');
-        }
-        for(const id of ids) {
-            if ((typeof id !== 'string') || (!id.length)) {
-                throw new Error('Invalid ids: must be array of strings of nonzero length.');
-            }
-        }
         const sendOptions = {
             ...(abortSignal && {abortSignal})
         };
-        let Keys = ids.map(id => ({ [schema.idFieldName]: id }));
+        const ids = keys.map(key => key[schema.idFieldName]);
+        let Keys = keys;
         const results = new Map();
         let retryCount = 0;
         let keysExceedingLimit;
@@ -686,14 +1977,14 @@ class BaseModel {
                 RequestItems: {
                     [table.name]: Object.assign({
                         Keys,
-                    }, ConsistentRead? {ConsistentRead} : undefined)
+                    }, ConsistentRead? {ConsistentRead} : undefined, select? projectionParams(schema, select) : undefined)
                 },
             });
             DerivedModel[kModelLogger].trace({command, sendOptions}, 'getByIds %s', ids);
             const response = await table[kTableDDBClient].send(command, sendOptions);
             DerivedModel[kModelLogger].trace({response}, 'getByIds response %s', ids);
             response.Responses[table.name].forEach(data => {
-                results.set(data[schema.idFieldName], data);
+                results.set(JSON.stringify(itemKey(schema, data)), data);
             });
             Keys = response?.UnprocessedKeys?.[table.name]?.Keys ?? [];
             if (Keys.length) {
@@ -710,15 +2001,457 @@ class BaseModel {
             Keys = Keys.concat(keysExceedingLimit.slice(0, spaceAvailable));
             keysExceedingLimit = keysExceedingLimit.slice(spaceAvailable);
         }
-        // return the results by mapping the original ids, so that the results are in the same order
-        return ids.map(
-            id => {
-                const data = results.get(id);
-                return data? this.#createFromMarshalled(DerivedModel, data) : null;
+        // return the results by mapping the original keys, so that the results are in the same order
+        return keys.map(
+            key => {
+                const data = results.get(JSON.stringify(key));
+                return data? this.#createFromMarshalled(DerivedModel, data, {select}) : null;
             }
         );
     }
 
+    // convert mongo-like update operators into a list of actions with values
+    // that have been checked against the schema and marshalled:
+    // [{op:'$set', path, segments, value}, {op:'$push', path, segments, values:[...]}, ...]
+    static #convertUpdate(DerivedModel, update, operators) {
+        const schema = DerivedModel[kModelSchema];
+        if (!update || typeof update !== 'object' || Array.isArray(update)) {
+            throw new Error('Invalid update: must be an object of update operators.');
+        }
+        // key fields, and fields that are maintained automatically, cannot be
+        // updated directly:
+        const managedFields = [schema.idFieldName, schema.sortKeyFieldName, schema.typeFieldName, schema.versionFieldName, schema.updatedAtFieldName].filter(x => x);
+        const derivedKeys = schema[kSchemaDerivedAttributes];
+        managedFields.push(...derivedKeys.map(({attributeName}) => attributeName));
+        // keys computed by functions may depend on any property of the
+        // document, so they could only be kept up to date by reading the
+        // whole document:
+        const computedKey = derivedKeys.find(derived => !derivedKeySources(derived));
+        if (computedKey) {
+            throw new Error(`Invalid update: the ${schema.name} schema has the computed index key .${computedKey.attributeName}, so its documents can only be modified by saving them.`);
+        }
+        // composed index keys can't be updated without reading the other
+        // parts they are composed from:
+        const composedParts = derivedKeys.flatMap(({parts}) => parts ?? []);
+        // (and nor can nested index keys, which are copied to a shadow
+        // attribute):
+        const nestedKeys = derivedKeys.filter(({path}) => path).map(({attributeName}) => attributeName);
+        // (or arrays indexed by multikey indexes, which have an item for each
+        // value):
+        const multikeys = multikeyIndexes(schema);
+        const indexKeys = indexKeyProperties(schema);
+        const actions = [];
+        for (const [op, fields] of Object.entries(update)) {
+            if (!operators.includes(op)) {
+                throw new Error(`Update operator "${op}" is not supported. Supported operators are: ${operators.join(', ')}.`);
+            }
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                throw new Error(`Invalid update: "${op}" must be an object of property paths and values.`);
+            }
+            for (const [path, value] of Object.entries(fields)) {
+                const {segments, propSchema, parentSchema} = resolvePropertyPath(schema, path);
+                if (managedFields.includes(segments[0])) {
+                    throw new Error(`Invalid update: .${segments[0]} is maintained automatically and cannot be updated.`);
+                } else if (composedParts.includes(segments[0])) {
+                    throw new Error(`Invalid update: .${segments[0]} is part of a composed index key, and can only be modified by saving the document.`);
+                }
+                const multikeyIndex = multikeys.find(({multikey}) => multikey === segments[0]);
+                if (multikeyIndex) {
+                    throw new Error(`Invalid update: .${segments[0]} is indexed by the multikey index "${multikeyIndex.index.IndexName}", and can only be modified by saving the document.`);
+                }
+                const nestedKey = nestedKeys.find(k => k === path || k.startsWith(`${path}.`) || path.startsWith(`${k}.`));
+                if (nestedKey) {
+                    throw new Error(`Invalid update: .${path} is used by the nested index key .${nestedKey}, and can only be modified by saving the document.`);
+                }
+                // dynamodb rejects updates with overlapping paths:
+                const overlapping = actions.find(a => a.path === path || a.path.startsWith(`${path}.`) || path.startsWith(`${a.path}.`));
+                if (overlapping) {
+                    throw new Error(`Invalid update: .${path} conflicts with .${overlapping.path}.`);
+                }
+                if ((op === '$set' || op === '$setOnInsert') && value === null && indexKeys.includes(path)) {
+                    // null values of index keys are not written (see
+                    // indexKeyProperties):
+                    marshallPropertyValue(path, propSchema, value);
+                    if (op === '$set') {
+                        actions.push({op: '$unset', path, segments});
+                    }
+                } else if (op === '$set' || op === '$setOnInsert') {
+                    actions.push({op, path, segments, value: marshallPropertyValue(path, propSchema, value)});
+                } else if (op === '$unset') {
+                    if (parentSchema?.required?.includes(segments[segments.length-1])) {
+                        throw new Error(`Invalid update: .${path} is required by the schema for ${schema.name} and cannot be removed.`);
+                    }
+                    actions.push({op, path, segments});
+                } else if (op === '$inc') {
+                    if ((typeof value !== 'number') || !Number.isFinite(value)) {
+                        throw new Error(`Invalid update: $inc value for .${path} must be a number.`);
+                    }
+                    if (propSchema && !['number', 'integer'].includes(propSchema.type)) {
+                        throw new Error(`Invalid update: $inc requires .${path} to be a number in the schema for ${schema.name}.`);
+                    }
+                    if (propSchema?.type === 'integer' && !Number.isInteger(value)) {
+                        throw new Error(`Invalid update: $inc value for integer .${path} must be an integer.`);
+                    }
+                    actions.push({op, path, segments, value});
+                } else {
+                    // $push and $addToSet:
+                    if (propSchema && propSchema.type !== 'array') {
+                        throw new Error(`Invalid update: ${op} requires .${path} to be an array in the schema for ${schema.name}.`);
+                    }
+                    let values = (Array.isArray(value?.$each)? value.$each : [value]).map(v => marshallPropertyValue(path, propSchema?.items, v));
+                    if (op === '$addToSet') {
+                        values = values.filter((v, i) => values.findIndex(v2 => valuesEqual(v, v2)) === i);
+                    }
+                    actions.push({op, path, segments, values});
+                }
+            }
+        }
+        return actions;
+    }
+
+    static async #updateById(DerivedModel, id, update, options) {
+        const { abortSignal } = options;
+        const key = primaryKey(DerivedModel[kModelSchema], id);
+        const actions = BaseModel.#updateActions(DerivedModel, update);
+        const response = await BaseModel.#sendUpdate(DerivedModel, key, actions, {ReturnValues: 'ALL_NEW', abortSignal});
+        if (!response) {
+            return null;
+        }
+        return BaseModel.#updatedModel(DerivedModel, key, response, abortSignal);
+    }
+
+    static async #upsert(DerivedModel, id, update, options) {
+        const { abortSignal } = options;
+        const schema = DerivedModel[kModelSchema];
+        const key = primaryKey(schema, id);
+        const actions = BaseModel.#updateActions(DerivedModel, update, {upsert: true});
+        const response = await BaseModel.#sendUpdate(DerivedModel, key, actions, {upsert: true, ReturnValues: 'ALL_NEW', abortSignal});
+        if (!response) {
+            throw new Error(`Upsert of .${schema.idFieldName}="${key[schema.idFieldName]}" failed, a document of a different type exists with this id.`);
+        }
+        return BaseModel.#updatedModel(DerivedModel, key, response, abortSignal);
+    }
+
+    static async #findOneAndUpdate(DerivedModel, query, update, options) {
+        const { abortSignal, returnNew } = options;
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        const actions = BaseModel.#updateActions(DerivedModel, update);
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(DerivedModel, query, {});
+        // documents of other types may also match the query, and the query
+        // results may be out of date, so each matching document is only
+        // updated if it is (still) of this type and matches the query,
+        // otherwise the next matching document is tried:
+        const condition = {[schema.typeFieldName]: schema.name, ...query};
+        // queries for a value of an array with a multikey index match the
+        // documents whose array contains it, and $in queries match those
+        // containing any of the values, which a condition cannot express, so
+        // are left to the index query:
+        for (const {multikey} of multikeyIndexes(schema)) {
+            const v = condition[multikey];
+            if (v?.constructor === Object && Object.keys(v).some(k => k.startsWith('$'))) {
+                const others = Object.fromEntries(Object.entries(v).filter(([k]) => k !== '$in'));
+                if (Object.keys(others).length) {
+                    condition[multikey] = others;
+                } else {
+                    delete condition[multikey];
+                }
+            } else if (typeof v !== 'undefined') {
+                condition[multikey] = {$contains: v};
+            }
+        }
+        for await (const batch of BaseModel.#rawQueryMergedBatchIterator(DerivedModel, rawQueries, matchedIndex, {limit: Infinity, abortSignal})) {
+            for (const item of batch) {
+                const key = itemKey(schema, item);
+                const response = await BaseModel.#sendUpdate(DerivedModel, key, actions, {condition, ReturnValues: returnNew? 'ALL_NEW' : 'ALL_OLD', abortSignal});
+                if (response) {
+                    return BaseModel.#updatedModel(DerivedModel, key, response, abortSignal);
+                }
+            }
+        }
+        return null;
+    }
+
+    static async #increment(DerivedModel, id, increments, options) {
+        const { abortSignal, min, max } = options;
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        const key = primaryKey(schema, id);
+        if (increments?.constructor !== Object || !Object.keys(increments).length) {
+            throw new Error('Invalid increment: must be an object of property paths and numbers.');
+        }
+        for (const path of Object.keys(increments)) {
+            const {propSchema} = resolvePropertyPath(schema, path);
+            if (!['number', 'integer'].includes(propSchema?.type)) {
+                throw new Error(`Invalid increment: .${path} must be a number in the schema for ${schema.name}.`);
+            }
+        }
+        const actions = BaseModel.#updateActions(DerivedModel, {$inc: increments});
+        // (the actions for the increments precede those for the managed fields)
+        const incremented = actions.slice(0, Object.keys(increments).length);
+        const attrs = new ExpressionAttributes('u');
+        const {UpdateExpression} = updateExpression(actions, attrs);
+        const conditions = [`attribute_exists(${attrs.path([schema.idFieldName])})`];
+        // the bound in the direction of each increment is checked, with
+        // missing properties treated as 0:
+        const boundFor = (value) => (value > 0)? max : (value < 0)? min : undefined;
+        for (const {segments, value} of incremented) {
+            const bound = boundFor(value);
+            if (typeof bound !== 'undefined') {
+                const p = attrs.path(segments);
+                const limit = `${p} ${(value > 0)? '<=' : '>='} ${attrs.value(bound - value)}`;
+                const missingWithinBound = (value > 0)? (value <= bound) : (value >= bound);
+                conditions.push(missingWithinBound? `(attribute_not_exists(${p}) OR ${limit})` : limit);
+            }
+        }
+        const sendOptions = {
+            ...(abortSignal && {abortSignal})
+        };
+        const command = new UpdateCommand({
+            TableName: table.name,
+            Key: key,
+            UpdateExpression,
+            ConditionExpression: conditions.join(' AND '),
+            ReturnValues: 'UPDATED_NEW',
+            ...attrs.commandParams()
+        });
+        DerivedModel[kModelLogger].trace({command, sendOptions}, 'increment %s', key[schema.idFieldName]);
+        try {
+            const response = await table[kTableDDBClient].send(command, sendOptions);
+            DerivedModel[kModelLogger].trace({response}, 'increment response %s', key[schema.idFieldName]);
+            return Object.fromEntries(incremented.map(({path, segments}) => [path, valueAtPath(response.Attributes, segments)]));
+        } catch (e) {
+            /* c8 ignore next 3 */
+            if (e.name !== 'ConditionalCheckFailedException') {
+                throw e;
+            }
+        }
+        // Either the document doesn't exist, or a bound would be exceeded:
+        const current = (await table[kTableDDBClient].send(new GetCommand({
+            TableName: table.name,
+            Key: key,
+            ConsistentRead: true
+        }), sendOptions)).Item;
+        if (!current) {
+            return null;
+        }
+        const exceeded = incremented.find(({segments, value}) => {
+            const result = (valueAtPath(current, segments) ?? 0) + value;
+            return (value > 0)? (result > max) : (result < min);
+        });
+        /* c8 ignore next 3 */
+        if (!exceeded) {
+            throw new ConditionFailedError(`Increment of .${schema.idFieldName}="${key[schema.idFieldName]}" failed, the document was modified by another process.`);
+        }
+        const bound = boundFor(exceeded.value);
+        throw new ConditionFailedError(`Increment of .${schema.idFieldName}="${key[schema.idFieldName]}" failed, .${exceeded.path} would be ${(exceeded.value > 0)? 'greater than the maximum' : 'less than the minimum'} of ${bound}.`);
+    }
+
+    // create the model for the Attributes returned from #sendUpdate, (which
+    // returns no Attributes if there was nothing left to update):
+    static async #updatedModel(DerivedModel, key, response, abortSignal) {
+        if (response.Attributes) {
+            return BaseModel.#createFromMarshalled(DerivedModel, response.Attributes);
+        }
+        return BaseModel.#getById(DerivedModel, key, {abortSignal});
+    }
+
+    // Send an update of a document by id with ReturnValues, resolving with the
+    // response, or null if the document does not exist (or for upserts, if a
+    // document of a different type exists), or does not satisfy the
+    // condition. $addToSet values which are already present cause the update
+    // to fail, in which case they are removed and the update is retried (or
+    // if nothing but the managed fields would be updated, the document is
+    // left unchanged).
+    static async #sendUpdate(DerivedModel, key, actions, {upsert, condition, ReturnValues, abortSignal}) {
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        const sendOptions = {
+            ...(abortSignal && {abortSignal})
+        };
+        while (actions.length) {
+            const prepared = BaseModel.#prepareUpdate(DerivedModel, key, actions, {upsert, condition});
+            const command = new UpdateCommand({
+                ...prepared.item.Update,
+                ReturnValues
+            });
+            DerivedModel[kModelLogger].trace({command, sendOptions}, 'update %s', key[schema.idFieldName]);
+            try {
+                const response = await table[kTableDDBClient].send(command, sendOptions);
+                DerivedModel[kModelLogger].trace({response}, 'update response %s', key[schema.idFieldName]);
+                return response;
+            } catch (e) {
+                /* c8 ignore next 3 */
+                if (e.name !== 'ConditionalCheckFailedException') {
+                    throw e;
+                }
+            }
+            if (!actions.some(({op}) => op === '$addToSet')) {
+                return null;
+            }
+            // Either the other conditions failed, or some $addToSet values
+            // were already present. Check the current values, and retry
+            // without the values that are already present:
+            const current = (await table[kTableDDBClient].send(new GetCommand({
+                TableName: table.name,
+                Key: key,
+                ConsistentRead: true
+            }), sendOptions)).Item;
+            if (upsert? (current && current[schema.typeFieldName] !== schema.name) : !current) {
+                return null;
+            }
+            let removedValues = 0;
+            const retryActions = [];
+            for (const action of actions) {
+                if (action.op === '$addToSet') {
+                    const existing = valueAtPath(current ?? {}, action.segments) ?? [];
+                    const values = action.values.filter(v => !existing.some(e => valuesEqual(e, v)));
+                    removedValues += action.values.length - values.length;
+                    if (values.length) {
+                        retryActions.push({...action, values});
+                    }
+                } else {
+                    retryActions.push(action);
+                }
+            }
+            if (!removedValues) {
+                if (condition) {
+                    return null;
+                }
+                /* c8 ignore next 2 */
+                throw new Error(`Update of .${schema.idFieldName}="${key[schema.idFieldName]}" failed, the document was modified by another process.`);
+            }
+            if (!retryActions.some(({managed}) => !managed)) {
+                // All the $addToSet values are already present, so the
+                // document is not modified, and its version and updatedAt
+                // fields are left unchanged. If there is a condition it must
+                // still be checked, by setting the type field to the value
+                // the condition requires:
+                if (!condition) {
+                    return {};
+                }
+                actions = [{op: '$set', segments: [schema.typeFieldName], value: schema.name, managed: true}];
+                continue;
+            }
+            actions = retryActions;
+        }
+        // nothing left to update:
+        return {};
+    }
+
+    // convert an update into a list of actions (see #convertUpdate),
+    // including maintaining the updatedAt and version fields, and for upserts
+    // the type and createdAt fields of inserted documents:
+    static #updateActions(DerivedModel, update, {upsert}={}) {
+        const schema = DerivedModel[kModelSchema];
+        const actions = BaseModel.#convertUpdate(DerivedModel, update, upsert? supportedUpsertOperators : supportedUpdateOperators);
+        const now = (new Date()).getTime();
+        if (upsert) {
+            // the inserted document must have all the required properties,
+            // other than the fields which are maintained automatically, (and
+            // nullable index keys, which are loaded as null when missing):
+            const managedFields = [schema.idFieldName, schema.sortKeyFieldName, schema.typeFieldName, schema.versionFieldName, schema.createdAtFieldName, schema.updatedAtFieldName];
+            const nullableKeys = indexKeyProperties(schema).filter(k => [schema.source.properties[k].type].flat().includes('null') || schema.source.properties[k].enum?.includes(null));
+            const missing = schema.source.required.find(k =>
+                !managedFields.includes(k) && !nullableKeys.includes(k) &&
+                !actions.some(({segments}) => segments.length === 1 && segments[0] === k)
+            );
+            if (missing) {
+                throw new Error(`Invalid update: the required property .${missing} must be set (for example with $setOnInsert), because upserts may insert a new document.`);
+            }
+            actions.push({op: '$setOnInsert', segments: [schema.typeFieldName], value: schema.name, managed: true});
+            if (schema.createdAtFieldName && !actions.some(({segments}) => segments[0] === schema.createdAtFieldName)) {
+                actions.push({op: '$setOnInsert', segments: [schema.createdAtFieldName], value: now, managed: true});
+            }
+        }
+        if (schema.updatedAtFieldName) {
+            actions.push({op: '$set', segments: [schema.updatedAtFieldName], value: now, managed: true});
+        }
+        if (schema.versionFieldName) {
+            actions.push({op: '$inc', segments: [schema.versionFieldName], value: 1, managed: true});
+        }
+        return actions;
+    }
+
+    // Prepare the write for updating a document by key, returning {item:
+    // {Update: params}, onSuccess, conditionFailedError}, as for #prepareSave.
+    // options: {upsert: true} to insert the document if it does not exist,
+    // and {condition} for a condition (see conditionExpression) which the
+    // document must also satisfy.
+    static #prepareUpdate(DerivedModel, key, actions, {upsert, condition}={}) {
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        const attrs = new ExpressionAttributes('u');
+        const {UpdateExpression, conditions} = updateExpression(actions, attrs);
+        if (upsert) {
+            // insert a new item, or update an existing one of the same type:
+            conditions.unshift(`(attribute_not_exists(${attrs.path([schema.idFieldName])}) OR ${attrs.path([schema.typeFieldName])} = ${attrs.value(schema.name)})`);
+        } else {
+            // never create a new item, only update existing ones:
+            conditions.unshift(`attribute_exists(${attrs.path([schema.idFieldName])})`);
+        }
+        if (condition) {
+            conditions.push(`(${conditionExpression(schema, condition, attrs)})`);
+        }
+        return {
+            item: {
+                Update: {
+                    TableName: table.name,
+                    Key: key,
+                    UpdateExpression,
+                    ConditionExpression: conditions.join(' AND '),
+                    ...attrs.commandParams()
+                }
+            },
+            onSuccess: () => {},
+            conditionFailedError: () => new Error(`Update of .${schema.idFieldName}="${key[schema.idFieldName]}" failed, the document does not exist.`)
+        };
+    }
+
+    // Prepare a condition check of a document by key, returning {item:
+    // {ConditionCheck: params}, onSuccess, conditionFailedError}, as for
+    // #prepareSave
+    static #conditionCheck_condition_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            ConditionExpression: {type: 'string', minLength: 1},
+            ExpressionAttributeNames: {type: 'object'},
+            ExpressionAttributeValues: {type: 'object'},
+        },
+        required: ['ConditionExpression'],
+        additionalProperties: false
+    });
+    static #prepareConditionCheck(DerivedModel, key, condition) {
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        if (!BaseModel.#conditionCheck_condition_validate(condition)) {
+            throw new Error(`Invalid condition: ${inspect(BaseModel.#conditionCheck_condition_validate.errors, {breakLength:Infinity})}.`);
+        }
+        return {
+            item: {
+                ConditionCheck: {
+                    TableName: table.name,
+                    Key: key,
+                    ...condition
+                }
+            },
+            onSuccess: () => {},
+            conditionFailedError: () => new Error(`Condition check of .${schema.idFieldName}="${key[schema.idFieldName]}" failed.`)
+        };
+    }
+
     // query for an instance of this schema, an async generator returning the
     // ids of the stored records that match the query. Use getById to get the
     // object for each ID.
@@ -747,7 +2480,7 @@ class BaseModel {
 
             for (const item of response.Items) {
                 returned += 1;
-                yield item[schema.idFieldName];
+                yield itemId(schema, item);
                 if (returned >= limit) {
                     break;
                 }
@@ -786,6 +2519,323 @@ class BaseModel {
         } while (response.LastEvaluatedKey);
     }
 
+    // as #rawQueryProjectedBatchIterator, but for the raw queries generated
+    // from a query by #convertQuery, which has more than one query if there is
+    // an $in condition on the index hash key. These queries are run in
+    // parallel (at most kQueryFanOutConcurrency requests at once), and their
+    // results are merged in sort key order (respecting ScanIndexForward), or
+    // if the index has no sort key in the order of the $in values, and are
+    // de-duplicated. options.limit applies to the merged results. The items
+    // of multikey indexes are replaced by the keys of their documents.
+    static async* #rawQueryMergedBatchIterator(DerivedModel, rawQueries, index, options) {
+        const schema = DerivedModel[kModelSchema];
+        const documentItems = (items) => index.multikey? multikeyDocumentKeys(schema, items) : items;
+        if (rawQueries.length === 1) {
+            for await (const batch of BaseModel.#rawQueryProjectedBatchIterator(DerivedModel, rawQueries[0], options)) {
+                yield documentItems(batch);
+            }
+            return;
+        }
+        const {limit, abortSignal} = options;
+        const direction = rawQueries[0].ScanIndexForward === false? -1 : 1;
+        let active = 0;
+        const waiting = [];
+        const limitConcurrency = async (fn) => {
+            if (active < kQueryFanOutConcurrency) {
+                active += 1;
+            } else {
+                await new Promise(resolve => waiting.push(resolve));
+            }
+            try {
+                return await fn();
+            } finally {
+                // hand the slot directly to the next waiting request, if any
+                const waiter = waiting.shift();
+                if (waiter) {
+                    waiter();
+                } else {
+                    active -= 1;
+                }
+            }
+        };
+        // each query's results are buffered until they are merged, and a
+        // query's next page is only requested once its buffer is empty:
+        const streams = rawQueries.map(rawQuery => ({
+            batches: BaseModel.#rawQueryProjectedBatchIterator(DerivedModel, rawQuery, {limit, abortSignal}),
+            items: [],
+            done: false
+        }));
+        const fill = async (stream) => {
+            while (!stream.items.length && !stream.done) {
+                const {value, done} = await limitConcurrency(() => stream.batches.next());
+                stream.done = done;
+                if (!done) {
+                    stream.items.push(...documentItems(value));
+                }
+            }
+        };
+        const seen = new Set();
+        let remaining = limit;
+        try {
+            await Promise.all(streams.map(fill));
+            let batch = [];
+            while (remaining > 0) {
+                let next = null;
+                for (const stream of streams) {
+                    if (stream.items.length && (!next || (index.sortKey && direction * compareKeyValues(stream.items[0][index.sortKey], next.items[0][index.sortKey]) < 0))) {
+                        next = stream;
+                    }
+                }
+                if (!next) {
+                    break;
+                }
+                const item = next.items.shift();
+                const key = JSON.stringify(itemKey(schema, item));
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    batch.push(item);
+                    remaining -= 1;
+                }
+                if (!next.items.length && !next.done) {
+                    // yield what we have so far before waiting for more:
+                    if (batch.length) {
+                        yield batch;
+                        batch = [];
+                    }
+                    await fill(next);
+                }
+            }
+            if (batch.length) {
+                yield batch;
+            }
+        } finally {
+            // stop the queries, waiting for any requests still in progress:
+            await Promise.allSettled(streams.map(stream => stream.batches.return()));
+        }
+    }
+
+    static async #queryPage(DerivedModel, query, options) {
+        const {limit, cursor, abortSignal, rawFetchOptions, onlyProjected, select} = options;
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(DerivedModel, query, {});
+        // the cursor can only continue a single query:
+        if (rawQueries.length > 1) {
+            throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}". queryPage does not support $in conditions with more than one value on the index hash key, use queryIterator instead.`);
+        }
+        const [rawQuery] = rawQueries;
+        const binding = queryCursorBinding(schema, rawQuery);
+        if (cursor) {
+            rawQuery.ExclusiveStartKey = decodeQueryCursor(binding, cursor);
+        }
+        const sendOptions = {
+            ...(abortSignal && {abortSignal})
+        };
+        // the Limit of each request is the number of items still needed, so
+        // the LastEvaluatedKey of the last response is the key of the last
+        // item in this page. If the query is filtered the Limit would apply
+        // to the items evaluated rather than matched, so instead of setting
+        // it the results are truncated, and the key of the last item is used:
+        let items = [];
+        let response, lastKey;
+        do {
+            const command = new QueryCommand({...rawQuery, ...(!rawQuery.FilterExpression && {Limit: limit - items.length})});
+            DerivedModel[kModelLogger].trace({command}, 'queryPage');
+            response = await table[kTableDDBClient].send(command, sendOptions);
+            DerivedModel[kModelLogger].trace({response}, 'queryPage response');
+            items.push(...response.Items);
+            lastKey = rawQuery.ExclusiveStartKey = response.LastEvaluatedKey;
+        } while (response.LastEvaluatedKey && items.length < limit);
+        if (items.length > limit) {
+            items = items.slice(0, limit);
+            lastKey = BaseModel.#exclusiveStartKey(schema, matchedIndex, items[limit - 1]);
+        }
+
+        const nextCursor = lastKey? encodeQueryCursor(binding, lastKey) : null;
+        if (matchedIndex.multikey) {
+            items = multikeyDocumentKeys(schema, items);
+        }
+        let models;
+        if (matchedIndex.index.Projection?.ProjectionType === 'ALL' || onlyProjected) {
+            const createPartial = matchedIndex.index.Projection?.ProjectionType !== 'ALL';
+            models = items.map(data => BaseModel.#createFromMarshalled(DerivedModel, data, {createPartial, select}));
+        } else {
+            // documents which were removed after being queried are skipped:
+            models = (await BaseModel.#getByKeys(DerivedModel, items.map(data => itemKey(schema, data)), Object.assign({abortSignal, select}, rawFetchOptions))).filter(x => x);
+        }
+        return {items: models, nextCursor};
+    }
+
+    static async #countDocuments(DerivedModel, query, options) {
+        const {max = Infinity} = options;
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(DerivedModel, query, {});
+        if (matchedIndex.multikey && rawQueries.length > 1) {
+            // documents can match more than one of the values of an $in
+            // condition on a multikey index, so the distinct documents are
+            // counted:
+            let count = 0;
+            for await (const batch of BaseModel.#rawQueryMergedBatchIterator(DerivedModel, rawQueries, matchedIndex, {limit: max, abortSignal: options.abortSignal})) {
+                count += batch.length;
+            }
+            return count;
+        }
+        // otherwise documents can't match more than one of the queries for an
+        // $in condition, so their counts are summed:
+        let count = 0;
+        for (const rawQuery of rawQueries) {
+            count += await BaseModel.#count(DerivedModel, QueryCommand, rawQuery, {...options, max: max - count});
+            if (count >= max) {
+                break;
+            }
+        }
+        return count;
+    }
+
+    static async #estimatedCount(DerivedModel, options) {
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        if (hasTypeIndex(table)) {
+            return BaseModel.#count(DerivedModel, QueryCommand, {
+                TableName: table.name,
+                IndexName: 'type',
+                KeyConditionExpression: '#typeFieldName = :type',
+                ExpressionAttributeValues: { ':type': schema.name },
+                ExpressionAttributeNames: { '#typeFieldName': schema.typeFieldName }
+            }, options);
+        } else {
+            // single-model tables have no type index, but all of their items
+            // are documents of this model, (except for the items of multikey
+            // indexes):
+            return BaseModel.#count(DerivedModel, ScanCommand, {
+                TableName: table.name,
+                ...(hasMultikeyIndex(table) && {
+                    FilterExpression: '#typeFieldName = :type',
+                    ExpressionAttributeValues: { ':type': schema.name },
+                    ExpressionAttributeNames: { '#typeFieldName': schema.typeFieldName }
+                })
+            }, options);
+        }
+    }
+
+    static async* #scan(DerivedModel, options) {
+        const {filter, ...scanOptions} = options;
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        // in tables with multiple models (or multikey index items), only the
+        // items of this model are scanned:
+        const condition = Object.assign({}, filter, (hasTypeIndex(table) || hasMultikeyIndex(table)) && {[schema.typeFieldName]: schema.name});
+        const attrs = new ExpressionAttributes('f');
+        const params = {
+            TableName: table.name,
+            ...(Object.keys(condition).length && {FilterExpression: conditionExpression(schema, condition, attrs), ...attrs.commandParams()})
+        };
+        for await (const batch of table[kTableScan](params, scanOptions)) {
+            for (const data of batch) {
+                checkAborted(options.abortSignal);
+                yield BaseModel.#createFromMarshalled(DerivedModel, data);
+            }
+        }
+    }
+
+    // count the items matching a raw query (or scan), following
+    // LastEvaluatedKey until all the items, or options.max items, have been
+    // counted:
+    static async #count(DerivedModel, Command, params, options) {
+        const {abortSignal, max = Infinity} = options;
+        const table = DerivedModel[kModelTable];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        const sendOptions = {
+            ...(abortSignal && {abortSignal})
+        };
+        const commandParams = {...params, Select: 'COUNT'};
+        let response;
+        let count = 0;
+        do {
+            // Limit applies to the items evaluated, so it is only used to
+            // avoid evaluating more than max items if there is no filter:
+            const command = new Command({...commandParams, ...(Number.isFinite(max) && !commandParams.FilterExpression && {Limit: max - count})});
+            DerivedModel[kModelLogger].trace({command}, 'count');
+            response = await table[kTableDDBClient].send(command, sendOptions);
+            DerivedModel[kModelLogger].trace({response}, 'count response');
+            count += response.Count;
+            commandParams.ExclusiveStartKey = response.LastEvaluatedKey;
+        } while (response.LastEvaluatedKey && count < max);
+        return Math.min(count, max);
+    }
+
+    static async* #queryIterator(DerivedModel, query, options) {
+        const {rawQueryOptions, rawFetchOptions, ...otherOptions} = options;
+        const {limit, abortSignal, select} = otherOptions;
+        const {rawQueries, matchedIndex} = BaseModel.#convertQuery(DerivedModel, query, Object.assign({startAfter: otherOptions.startAfter, limit: Number.isFinite(limit)? limit : undefined}, rawQueryOptions));
+        const batches = BaseModel.#rawQueryMergedBatchIterator(DerivedModel, rawQueries, matchedIndex, {limit: limit ?? Infinity, abortSignal});
+        if (matchedIndex.index.Projection?.ProjectionType === 'ALL' || options.onlyProjected) {
+            // as for queryMany, models can be created directly from the query
+            // results:
+            const createPartial = matchedIndex.index.Projection?.ProjectionType !== 'ALL';
+            for await (const batch of batches) {
+                for (const data of batch) {
+                    checkAborted(abortSignal);
+                    yield BaseModel.#createFromMarshalled(DerivedModel, data, {createPartial, select});
+                }
+            }
+            return;
+        }
+        // otherwise fetch the models for each batch of ids, fetching at most
+        // kQueryIteratorPrefetchBatches batches ahead of the ones being
+        // yielded:
+        const schema = DerivedModel[kModelSchema];
+        const pending = [];
+        const fetchBatch = (keys) => {
+            const pendingGetByIds = BaseModel.#getByKeys(DerivedModel, keys, Object.assign({abortSignal, select}, rawFetchOptions));
+            // errors are thrown when the batch is awaited, but must be caught
+            // in case it never is:
+            pendingGetByIds.catch(() => {});
+            pending.push(pendingGetByIds);
+        };
+        async function* yieldFetched() {
+            for (const model of await pending.shift()) {
+                checkAborted(abortSignal);
+                // documents which were removed after being queried are
+                // skipped:
+                if (model) {
+                    yield model;
+                }
+            }
+        }
+        try {
+            for await (const batch of batches) {
+                for (let i = 0; i < batch.length; i += kBatchGetItemLimit) {
+                    fetchBatch(batch.slice(i, i + kBatchGetItemLimit).map(data => itemKey(schema, data)));
+                    while (pending.length > kQueryIteratorPrefetchBatches) {
+                        yield* yieldFetched();
+                    }
+                }
+            }
+            while (pending.length) {
+                yield* yieldFetched();
+            }
+        } finally {
+            // if iteration stops early, wait for the requests that are still
+            // in progress, so that none continue after the iterator is closed:
+            await Promise.allSettled(pending);
+        }
+    }
+
     static async #rawQueryOneId(DerivedModel, rawQuery, options) {
         const table = DerivedModel[kModelTable];
         const schema = DerivedModel[kModelSchema];
@@ -799,24 +2849,51 @@ class BaseModel {
             Limit: 1
         };
         const response = await table[kTableDDBClient].send(new QueryCommand(commandParams), options);
-        return response?.Items?.[0]?.[schema.idFieldName] ?? null;
-    }
-
-    // TODO: see comment on .listAllIds
-    // static async* #listAllIds(DerivedModel, options) {
-    //     const schema = DerivedModel[kModelSchema];
-    //     for await (const val of this.#rawQueryIds(DerivedModel, {
-    //         ...options,
-    //         IndexName: 'type',
-    //         KeyConditionExpression: '#typeFieldName = :type',
-    //         ExpressionAttributeValues: {
-    //             ':type': schema.name
-    //         },
-    //         ExpressionAttributeNames: { '#typeFieldName': schema.typeFieldName }
-    //     }, { limit: Infinity })){
-    //         yield val;
-    //     }
-    // }
+        const item = response?.Items?.[0];
+        return item? itemId(schema, item) : null;
+    }
+
+    static async* #listAllIds(DerivedModel, options) {
+        const {limit = Infinity, abortSignal} = options;
+        const table = DerivedModel[kModelTable];
+        const schema = DerivedModel[kModelSchema];
+        /* c8 ignore next 3 */
+        if (!table[kTableIsReady]) {
+            await table.ready();
+        }
+        if (hasTypeIndex(table)) {
+            const ids = BaseModel.#rawQueryIds(DerivedModel, {
+                IndexName: 'type',
+                KeyConditionExpression: '#typeFieldName = :type',
+                ExpressionAttributeValues: { ':type': schema.name },
+                ExpressionAttributeNames: { '#typeFieldName': schema.typeFieldName }
+            }, {limit, abortSignal});
+            for await (const id of ids) {
+                checkAborted(abortSignal);
+                yield id;
+            }
+        } else {
+            // single-model tables have no type index, so scan the table
+            // instead, fetching only the keys of this model's items:
+            const params = {
+                TableName: table.name,
+                FilterExpression: '#typeFieldName = :type',
+                ProjectionExpression: schema.sortKeyFieldName? '#idFieldName, #sortKeyFieldName' : '#idFieldName',
+                ExpressionAttributeValues: { ':type': schema.name },
+                ExpressionAttributeNames: {
+                    '#typeFieldName': schema.typeFieldName,
+                    '#idFieldName': schema.idFieldName,
+                    ...(schema.sortKeyFieldName && {'#sortKeyFieldName': schema.sortKeyFieldName})
+                }
+            };
+            for await (const batch of table[kTableScan](params, {limit, abortSignal})) {
+                for (const data of batch) {
+                    checkAborted(abortSignal);
+                    yield itemId(schema, data);
+                }
+            }
+        }
+    }
 
     static #queryEntries(queryObject) {
         // return {key: keyFieldName, values: [queryValue], condition: '$eq','$lt','$gt'} based on a mongodb-like query object:
@@ -824,38 +2901,73 @@ class BaseModel {
         // { key1: {$gt: value1}} -> {key: key1, values: [value1], condition: '$gt'}
         // { key1: {$lt: value1}} -> {key: key1, values: pvalue1], condition: '$lt'}
         // { key1: {$between: [v1, v2]}} -> {key: key1, values: [v1, v2], condition: '$between'}
+        // { key1: {$in: [v1, ...]}} -> {key: key1, values: [v1, ...], condition: '$in'}
+        // Entries with other conditions, or with more than one condition, can
+        // only be used to filter the query, and have a null condition:
+        // { key1: {$ne: v1, $exists: true}} -> {key: key1, values: [], condition: null}
+        // All entries also have the list of conditions used:
+        // { key1: {$gt: value1}} -> {..., operators: ['$gt']}
         return Object.entries(queryObject).map( ([k,v]) => {
-            if (typeof v === 'object') {
+            if (v !== null && typeof v === 'object') {
                 const conditions = Object.keys(v).filter(k2 => k2.startsWith('$'));
-                if (conditions.length > 1) {
-                    throw new Error(`Only a single ${[...supportedQueryConditions.keys()].join('/')} condition is supported in the simple query api.`);
+                const unsupported = conditions.find(c => !supportedFilterConditions.has(c));
+                if (unsupported) {
+                    throw new Error(`Condition "${unsupported}" is not supported. Supported conditions are: ${[...supportedFilterConditions.keys()].join(', ')}.`);
+                }
+                if (conditions.length > 1 || (conditions.length === 1 && !supportedQueryConditions.has(conditions[0]))) {
+                    // the values of filter conditions are checked when the
+                    // filter expression is generated
+                    return {key:k, values: [], condition: null, operators: conditions};
                 } else if (conditions.length === 1) {
                     const conditionOp = supportedQueryConditions.get(conditions[0]);
-                    if (conditionOp) {
-                        if (conditionOp[1] === 1) {
-                            // single value condition
-                            return {key:k, values: [v[conditions[0]]], condition: conditionOp[0]};
-                        } else {
-                            // multiple value condition (values should be an array)
-                            if ((!Array.isArray(v[conditions[0]])) || v[conditions[0]].length !== conditionOp[1]) {
-                                throw new Error(`Condition "${conditions[0]}" in query requires an array of ${conditionOp[1]} values.`);
-                            }
-                            return {key:k, values: v[conditions[0]], condition: conditionOp[0]};
+                    if (conditionOp[1] === 1) {
+                        // single value condition
+                        return {key:k, values: [v[conditions[0]]], condition: conditionOp[0], operators: conditions};
+                    } else if (conditionOp[1] === 0) {
+                        // any number of values (values should be a non-empty array)
+                        if ((!Array.isArray(v[conditions[0]])) || !v[conditions[0]].length || v[conditions[0]].length > kConditionInValuesLimit) {
+                            throw new Error(`Condition "${conditions[0]}" in query requires an array of 1 to ${kConditionInValuesLimit} values.`);
                         }
+                        return {key:k, values: v[conditions[0]], condition: conditionOp[0], operators: conditions};
                     } else {
-                        throw new Error(`Condition "${conditions[0]}" is not supported. Supported conditions are: ${[...supportedQueryConditions.keys()].join(', ')}.`);
+                        // multiple value condition (values should be an array)
+                        if ((!Array.isArray(v[conditions[0]])) || v[conditions[0]].length !== conditionOp[1]) {
+                            throw new Error(`Condition "${conditions[0]}" in query requires an array of ${conditionOp[1]} values.`);
+                        }
+                        return {key:k, values: v[conditions[0]], condition: conditionOp[0], operators: conditions};
                     }
                 } else {
-                    return {key:k, values:[v], condition: kConditionEqual};
+                    return {key:k, values:[v], condition: kConditionEqual, operators: []};
                 }
             } else {
-                return {key:k, values:[v], condition: kConditionEqual};
+                return {key:k, values:[v], condition: kConditionEqual, operators: []};
             }
         });
     }
 
+    // The ExclusiveStartKey to continue a query of index after item (a model,
+    // or marshalled data), is composed of the GSI hash key, the GSI range key
+    // (if it exists), and the table's primary key
+    static #exclusiveStartKey(schema, index, item) {
+        const sortKeyValue = item[schema.sortKeyFieldName];
+        // (derived index keys are computed if item is a model)
+        const indexKeyValue = (attributeName) => {
+            const derived = (item instanceof BaseModel) && schema[kSchemaDerivedAttributes].find(d => d.attributeName === attributeName);
+            return derived? derivedAttributeValue(schema, derived, item) : item[attributeName];
+        };
+        return {
+            [schema.idFieldName]: item[schema.idFieldName],
+            [index.hashKey]: indexKeyValue(index.hashKey),
+            ...(index.sortKey && {[index.sortKey]: indexKeyValue(index.sortKey)}),
+            // (the table's sort key is marshalled if item is a model)
+            ...(schema.sortKeyFieldName && {[schema.sortKeyFieldName]: (sortKeyValue instanceof Date)? sortKeyValue.getTime() : sortKeyValue}),
+        };
+    }
+
     static #keyConditionExpressionForQueryEntry({condition}, i) {
-        if (condition === kConditionEqual) {
+        // $in conditions are run as a separate query for each value, which
+        // replaces the first value:
+        if (condition === kConditionEqual || condition === kConditionIn) {
             return `#n${i} = :v${i}x0`;
         } else if (condition === kConditionLT) {
             return `#n${i} < :v${i}x0`;
@@ -878,103 +2990,191 @@ class BaseModel {
 
     // convert the simple mongoose-style object query (+options) into a raw query for DynamoDB for the specified model type:
     static #convertQuery(DerivedModel, query, options) {
-        // TODO: the original intent of supporting merging in additional
-        // ExpressionAttributeNames and ExpressionAttributeValues here was that
-        // a caller could use this simple query API but provide their own raw
-        // FilterExpression in options (with corresponding
-        // ExpressionAttributeNames and ExpressionAttributeValues)
-        const {ExpressionAttributeNames, ExpressionAttributeValues, startAfter, ...otherOptions} = options;
+        // Any user-supplied FilterExpression (with corresponding
+        // ExpressionAttributeNames and ExpressionAttributeValues) in options
+        // is combined with the FilterExpression generated for query entries
+        // that are not index keys.
+        const {ExpressionAttributeNames, ExpressionAttributeValues, FilterExpression, startAfter, ...otherOptions} = options;
         const table = DerivedModel[kModelTable];
         const schema = DerivedModel[kModelSchema];
-        const queryEntries = this.#queryEntries(query);
+        const allQueryEntries = this.#queryEntries(query);
+        const isHashCondition = ({condition}) => condition === kConditionEqual || condition === kConditionIn;
+        const hashKeyConditions = 'equality and $in';
+        const sortKeyConditions = `equality and ${[...supportedQueryConditions.keys()].filter(k => k !== '$in').join(', ')}`;
 
-        if (queryEntries.length !== 1 && queryEntries.length !== 2) {
-            // TODO: possibly additional query entries could be converted into a FilterExpression on projected attributes
-            throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}" Queries must have at most two properties to match against index hash and range attributes.`);
+        // for models with a sort key the table's primary key can also be
+        // queried, (for the documents with the same id):
+        const indexes = schema.sortKeyFieldName? [primaryKeyIndex(schema), ...table[kTableIndices]] : table[kTableIndices];
+
+        // find the indexes with an equality (or $in) condition on their hash
+        // key, and the entries they match, preferring the indexes which match
+        // the most entries:
+        let matchingIndexes = [];
+        for (const index of indexes) {
+            // (conditions on the parts of composed index keys, and on the
+            // arrays indexed by multikey indexes, are converted into
+            // conditions on the keys, and null values, which are not written
+            // to index keys, can only be used to filter)
+            const indexQueryEntries = allQueryEntries.concat(
+                composedKeyQueryEntries(schema, index, allQueryEntries),
+                multikeyQueryEntries(index, allQueryEntries)
+            ).filter(e => !e.values.includes(null));
+            const hashEntry = indexQueryEntries.find(e => e.key === index.hashKey && isHashCondition(e));
+            if (!hashEntry) {
+                continue;
+            }
+            const sortEntry = index.sortKey && indexQueryEntries.find(e => e.key === index.sortKey && e !== hashEntry && e.condition && e.condition !== kConditionIn);
+            const keyEntries = sortEntry? [hashEntry, sortEntry] : [hashEntry];
+            if (!matchingIndexes.length || keyEntries.length > matchingIndexes[0].keyEntries.length) {
+                matchingIndexes = [{index, keyEntries}];
+            } else if (keyEntries.length === matchingIndexes[0].keyEntries.length) {
+                matchingIndexes.push({index, keyEntries});
+            }
         }
-        if (!queryEntries.some(e => e.condition === kConditionEqual)) {
-            throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}" Queries must include an equality condition for the index hash key.`);
+        if (!matchingIndexes.length) {
+            const filterOnlyHashEntry = allQueryEntries.find(e => !e.condition && indexes.some(index => index.hashKey === e.key));
+            if (filterOnlyHashEntry) {
+                throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}". The conditions [${filterOnlyHashEntry.operators.join(', ')}] cannot be used on the index hash key ${filterOnlyHashEntry.key}, index hash keys only support ${hashKeyConditions} conditions.`);
+            } else if (!allQueryEntries.some(isHashCondition)) {
+                throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}" Queries must include an equality condition for the index hash key.`);
+            }
+            throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}". No index found for query fields [${allQueryEntries.map(x => x.key).join(', ')}]`);
         }
-        // check all the indexes for ones that include all of the query entries:
-        let matchingIndexes = table[kTableIndices].filter(index => {
-            if (queryEntries.length === 1) {
-                return index.hashKey === queryEntries[0].key;
-            } else {
-                if ((index.hashKey === queryEntries[0].key && queryEntries[0].condition === kConditionEqual) && index.sortKey === queryEntries[1].key) {
-                    return true;
-                } else if ((index.hashKey === queryEntries[1].key && queryEntries[1].condition === kConditionEqual) && index.sortKey === queryEntries[0].key) {
-                    return true;
-                } else {
-                    return false;
+        // the remaining entries are converted into a FilterExpression, which
+        // cannot refer to the keys of the index, and can only refer to
+        // attributes projected into the index (which always include the
+        // table's primary key). Returns a description of why the remaining
+        // entries cannot be used to filter a query of the index:
+        const filterError = ({index, keyEntries}) => {
+            const projection = index.index.Projection;
+            const indexDescription = index.index.IndexName? `the index ${index.index.IndexName}` : 'the table';
+            const consumedEntries = keyEntries.flatMap(e => e.consumes ?? []);
+            for (const {key: path} of allQueryEntries.filter(e => !keyEntries.includes(e) && !consumedEntries.includes(e))) {
+                const attributeName = path.split('.')[0];
+                if (attributeName === index.hashKey || attributeName === index.sortKey) {
+                    const keyType = (attributeName === index.hashKey)? 'hash' : 'sort';
+                    return `The query field ${path} cannot be used to filter the query, because ${attributeName} is the ${keyType} key of ${indexDescription}. Index ${keyType} keys only support ${keyType === 'hash'? hashKeyConditions : sortKeyConditions} conditions.`;
+                } else if (projection?.ProjectionType !== 'ALL' && attributeName !== schema.idFieldName && attributeName !== schema.sortKeyFieldName && !projection?.NonKeyAttributes?.includes(attributeName)) {
+                    return `The query field ${path} is not projected into ${indexDescription} for [${keyEntries.map(x => x.key).join(', ')}], so it cannot be used to filter the query.`;
                 }
             }
-        });
-        if (!matchingIndexes.length) {
-            throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}". No index found for query fields [${queryEntries.map(x => x.key).join(', ')}]`);
-        } else if (matchingIndexes.length > 1) {
-            DerivedModel[kModelLogger].warn({matchingIndexes, query}, 'multiple indexes match query');
-            if (queryEntries.length === 1) {
-                // if we only have a hash key to query by, prefer indexes that only have a hash key
-                const bestIndexes = matchingIndexes.filter(index => !index.sortKey);
+        };
+        // queries which only match the id (and not the sort key of a local
+        // index with the same hash key) are run against the table itself:
+        if (matchingIndexes.length > 1 && matchingIndexes.some(({index}) => !index.index.IndexName)) {
+            matchingIndexes = matchingIndexes.filter(({index}) => !index.index.IndexName);
+        }
+        if (matchingIndexes.length > 1) {
+            DerivedModel[kModelLogger].warn({matchingIndexes: matchingIndexes.map(({index}) => index), query}, 'multiple indexes match query');
+            // prefer indexes that can be filtered by all of the remaining
+            // query fields, and then if we only have a hash key to query by,
+            // prefer indexes that only have a hash key
+            for (const preferred of [x => !filterError(x), ({index}) => !index.sortKey]) {
+                const bestIndexes = matchingIndexes.filter(preferred);
                 if (bestIndexes.length) {
                     matchingIndexes = bestIndexes;
                 }
             }
         }
-        const index = matchingIndexes[0];
+        const {index, keyEntries: queryEntries} = matchingIndexes[0];
+        const error = filterError(matchingIndexes[0]);
+        if (error) {
+            throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}". ${error}`);
+        }
+        const keyFields = queryEntries.flatMap(e => [e, ...(e.consumes ?? [])]).map(e => e.key);
+        const filterQuery = Object.fromEntries(Object.entries(query).filter(([k]) => !keyFields.includes(k)));
+        const filterAttrs = new ExpressionAttributes('f');
+        const filterExpressions = [];
+        if (Object.keys(filterQuery).length) {
+            filterExpressions.push(conditionExpression(schema, filterQuery, filterAttrs));
+        }
+        if (!index.index.IndexName && hasTypeIndex(table)) {
+            // other models in the table may have items with the same id:
+            filterExpressions.push(conditionExpression(schema, {[schema.typeFieldName]: schema.name}, filterAttrs));
+        }
+        if (FilterExpression) {
+            // user-supplied placeholders must not clash with the generated
+            // ones:
+            const {ExpressionAttributeNames: names, ExpressionAttributeValues: values} = filterAttrs.commandParams();
+            const clashing = [...Object.keys(names ?? {}).filter(k => k in (ExpressionAttributeNames ?? {})), ...Object.keys(values ?? {}).filter(k => k in (ExpressionAttributeValues ?? {}))];
+            if (clashing.length) {
+                throw new Error(`Unsupported query: the placeholders [${clashing.join(', ')}] in options.rawQueryOptions are also used by the filter generated for the query.`);
+            }
+            filterExpressions.push(FilterExpression);
+        }
 
-        for (const entry of queryEntries){
-            // check query values against schema, and marshall:
-            const keySchema = schema.source.properties[entry.key];
+        // check query values against schema, (for composed keys, the values of
+        // the parts they were composed from, and for multikey indexes the
+        // items of the array), and marshall:
+        const fieldSchema = (key) => index.multikey? schema.source.properties[index.multikey]?.items : queryFieldSchema(schema, key);
+        for (const {key, values} of queryEntries.flatMap(e => e.consumes ?? [e])) {
+            const keySchema = fieldSchema(key);
             if (keySchema) {
-                for (const v of entry.values) {
+                for (const v of values) {
                     const valid = defaultIgnoringAjv.validate(keySchema, v);
                     if (!valid) {
-                        const e = new Error(`Value does not match schema for ${entry.key}: ${defaultIgnoringAjv.errors[0].instancePath} ${defaultIgnoringAjv.errors[0].message}.`);
+                        const e = new Error(`Value does not match schema for ${key}: ${defaultIgnoringAjv.errors[0].instancePath} ${defaultIgnoringAjv.errors[0].message}.`);
                         e.validationErrors = defaultIgnoringAjv.errors;
                         throw e;
                     }
                 }
             }
-            entry.values = entry.values.map(v => marshallValue(keySchema, v));
+        }
+        for (const entry of queryEntries){
+            entry.values = entry.values.map(v => marshallValue(fieldSchema(entry.key), v));
         }
         let ExclusiveStartKey;
         if (startAfter) {
             if (!(startAfter instanceof DerivedModel)) {
                 throw new Error(`options.startAfter must be a ${DerivedModel.name} model instance. To specify ExclusiveStartKey directly use options.rawQueryOptions.ExclusiveStartKey instead.`);
             }
-            // The ExclusiveStartKey is composed of the GSI hash key, the GSI range key (if it exists), the table hash key
-            ExclusiveStartKey = {
-                // this will be the table's hash key. Table range key is currently not supported:
-                [schema.idFieldName]: options.startAfter[schema.idFieldName],
-                [index.hashKey]: options.startAfter[index.hashKey],
-                ...(index.sortKey && {[index.sortKey]: options.startAfter[index.sortKey]}),
-            };
+            if (queryEntries[0].condition === kConditionIn && queryEntries[0].values.length > 1) {
+                throw new Error(`Unsupported query: "${inspect(query, {breakLength:Infinity})}". options.startAfter is not supported for queries with an $in condition on the index hash key.`);
+            }
+            // (for multikey indexes, the key of startAfter's item for the
+            // queried value)
+            ExclusiveStartKey = index.multikey?
+                {...multikeyItemKey(schema, index, documentKey(schema, startAfter), queryEntries[0].values[0]), [index.hashKey]: queryEntries[0].values[0]} :
+                BaseModel.#exclusiveStartKey(schema, index, startAfter);
         }
 
         const KeyConditionExpression = queryEntries.map(this.#keyConditionExpressionForQueryEntry).join(' AND ');
         const mergedExprAttributeValues = Object.fromEntries(
             queryEntries.map(
-                ({values},i) => values.map( (v,j) => [`:v${i}x${j}`, v])
+                ({values, condition},i) => (condition === kConditionIn? values.slice(0, 1) : values).map( (v,j) => [`:v${i}x${j}`, v])
             ).flat()
+            .concat(Object.entries(filterAttrs.values))
             .concat(Object.entries(ExpressionAttributeValues ?? {}))
         );
-        const mergedExprAttributeNames  = Object.fromEntries(queryEntries.map(({key},i) => [`#n${i}`, key]).concat(Object.entries(ExpressionAttributeNames ?? {})));
+        const mergedExprAttributeNames  = Object.fromEntries(
+            queryEntries.map(({key},i) => [`#n${i}`, key])
+            .concat(Object.entries(filterAttrs.names))
+            .concat(Object.entries(ExpressionAttributeNames ?? {}))
+        );
 
         const rawQuery = Object.assign(Object.create(null), {
-            IndexName: index.index.IndexName,
+            ...(index.index.IndexName && {IndexName: index.index.IndexName}),
             TableName: table.name,
             KeyConditionExpression,
             ExpressionAttributeValues: mergedExprAttributeValues,
             ExpressionAttributeNames: mergedExprAttributeNames,
+            ...(filterExpressions.length && {FilterExpression: filterExpressions.length > 1? filterExpressions.map(x => `(${x})`).join(' AND ') : filterExpressions[0]}),
             ...(ExclusiveStartKey && {ExclusiveStartKey}),
             // set the dynamodb Limit to the options limit, so that we don't
-            // evaluate more items than necessary. If making a query with a
-            // filter expression it may make sense to specify a larger limit,
-            // in which case that can be specified in otherOptions.Limit
-            ...(options.limit && {Limit: options.limit})
+            // evaluate more items than necessary. If the query is filtered,
+            // then the Limit applies to the number of items evaluated rather
+            // than the number matched, so it is not set, and the query is
+            // instead paginated until enough items have matched. A different
+            // Limit may still be specified in otherOptions.Limit
+            ...(options.limit && !filterExpressions.length && {Limit: options.limit})
         }, otherOptions);
-        return {rawQuery, matchedIndex: index};
+        // an $in condition on the hash key is run as one query per (distinct)
+        // value, with the results merged by #rawQueryMergedBatchIterator:
+        const rawQueries = (queryEntries[0].condition === kConditionIn)?
+            [...new Set(queryEntries[0].values)].map(v => Object.assign(Object.create(null), rawQuery, {
+                ExpressionAttributeValues: {...rawQuery.ExpressionAttributeValues, ':v0x0': v}
+            })) : [rawQuery];
+        return {rawQueries, matchedIndex: index};
     }
 }
 
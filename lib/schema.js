@@ -4,15 +4,19 @@ const ObjectID = require('bson-objectid');
 const {
     kExtendedTypeDate,
     kExtendedTypeBuffer,
+    kExtendedTypeIndexedBoolean,
 
     ajv, marshallingAjv, unMarshallingAjv,
 
     kSchemaCompiled,
     kSchemaMarshall,
+    kSchemaMarshallPartial,
     kSchemaUnMarshall,
+    kSchemaUnMarshallPartial,
     kSchemaIndices,
     kSchemaNewId,
-
+    kSchemaDerivedAttributes,
+    kMultikeyParentAttribute,
 
     DocIdField,
     TypeField,
@@ -20,15 +24,36 @@ const {
     CreatedAtField,
     UpdatedAtField,
 
+    composeKey,
 } = require('./shared.js');
 
 const validIndexName = /^[a-zA-Z0-9_.-]{3,255}$/;
+const kDefaultComposedKeySeparator = '#';
+
+// index keys may be derived from the document, instead of being properties of
+// the schema, (see indexKeyAttribute):
+const derivedKeySpecSchema = {
+    type: 'object',
+    properties: {
+        'compose': {type: 'array', items:{type:'string', minLength:1}, minItems:1},
+        'separator': {type: 'string', minLength:1},
+        // (checked to be a function by indexKeyAttribute)
+        'compute': {},
+        'attribute': {type: 'string', minLength:1, maxLength:255},
+        'type': {enum: ['string', 'number']}
+    },
+    oneOf: [
+        {required: ['compose'], not: {required: ['type']}},
+        {required: ['compute', 'attribute'], not: {required: ['separator']}}
+    ],
+    additionalProperties: false
+};
 
 const indexSpecSchema = ajv.compile({
     type: 'object',
     properties: {
-        'hashKey': {type:'string'},
-        'sortKey': {type:'string'},
+        'hashKey': {oneOf: [{type:'string'}, derivedKeySpecSchema]},
+        'sortKey': {oneOf: [{type:'string'}, derivedKeySpecSchema]},
         'project': {oneOf:[
             {const:'all'},
             {const:'keys'},
@@ -39,26 +64,164 @@ const indexSpecSchema = ajv.compile({
             // in the schema, since we don't need to know their types, so we do
             // not validate them!)
             {type: 'array', items:{type:'string', minLength:1, maxLength:255}, minItems:1, maxItems:20}
-        ]}
+        ]},
+        'local': {type:'boolean'},
+        'multikey': {type:'boolean'}
     },
-    required: ['hashKey'],
+    // local secondary indexes always use the table's hash key, so only need
+    // a sort key:
+    if: {properties: {local: {const: true}}, required: ['local']},
+    then: {required: ['sortKey']},
+    else: {required: ['hashKey']},
     additionalProperties: false
 });
 
-const attributeTypeFromSchema = (indexName, schema, propertyName) => {
-    if (typeof (schema?.properties?.[propertyName]) === 'undefined') {
-        throw new Error(`The schema must define the type of property .${propertyName} used by index "${indexName}".`);
-    } else if (schema?.properties?.[propertyName].type === 'string') {
-        return 'S';
-    } else if (schema?.properties?.[propertyName]?.extendedType === kExtendedTypeBuffer) {
+// the schema of a (possibly nested) dot-separated property path, if the
+// schema defines it:
+const propertySchemaAtPath = (schema, path) => path.split('.').reduce((s, p) => s?.properties?.[p], schema);
+
+// The non-null types of a property schema: null values of index keys are not
+// written, (so that documents with null values are left out of the index), so
+// nullable properties are indexed by their other type:
+const nonNullTypes = (propertySchema) => [propertySchema.type].flat().filter(t => t && t !== 'null');
+
+// The attribute type of a property schema used as an index key, or undefined
+// if it is not indexable. Booleans are stored as the numbers 0 and 1 (see
+// indexedBooleanSchema), and enums of strings or numbers are indexed as
+// strings or numbers:
+const indexAttributeType = (propertySchema) => {
+    const types = nonNullTypes(propertySchema);
+    if (propertySchema.extendedType === kExtendedTypeBuffer) {
         return 'B';
-    } else if (schema?.properties?.[propertyName]?.extendedType === kExtendedTypeDate || schema?.properties?.[propertyName].type === 'number') {
+    } else if (propertySchema.extendedType === kExtendedTypeDate || propertySchema.extendedType === kExtendedTypeIndexedBoolean) {
         return 'N';
+    } else if (!types.length && Array.isArray(propertySchema.enum)) {
+        const values = propertySchema.enum.filter(v => v !== null);
+        if (values.length && values.every(v => typeof v === 'string')) {
+            return 'S';
+        } else if (values.length && values.every(v => typeof v === 'number')) {
+            return 'N';
+        }
+    } else if (types.length === 1) {
+        return {string: 'S', number: 'N', integer: 'N', boolean: 'N'}[types[0]];
+    }
+    return undefined;
+};
+
+const attributeTypeFromSchema = (indexName, schema, propertyName) => {
+    const propertySchema = propertySchemaAtPath(schema, propertyName);
+    if (typeof (propertySchema) === 'undefined') {
+        throw new Error(`The schema must define the type of property .${propertyName} used by index "${indexName}".`);
+    }
+    const attributeType = indexAttributeType(propertySchema);
+    if (!attributeType) {
+        throw new Error(`The schema type of property .${propertyName}, "${JSON.stringify(propertySchema)}" used by index "${indexName}" is not indexable.`);
+    }
+    return attributeType;
+};
+
+// The schema for a boolean property which is an index key, which is stored as
+// a number instead (see kExtendedTypeIndexedBoolean):
+const indexedBooleanSchema = ({type, ...otherKeywords}) => {
+    if ([type].flat().includes('null')) {
+        return {...otherKeywords, anyOf: [{type: 'null'}, {extendedType: kExtendedTypeIndexedBoolean}]};
+    }
+    return {...otherKeywords, extendedType: kExtendedTypeIndexedBoolean};
+};
+
+// Returns the {AttributeName, AttributeType} of an index key, which is either
+// the name of a property in the schema, or a derived key, which is written to
+// its own attribute whenever documents are saved. Derived keys are either
+// the path of a nested property ('a.b', written to a top-level shadow
+// attribute with the same name, since indexes can only use top-level
+// attributes), composed from the values of other properties ({compose: [...],
+// separator}), or computed by a function of the document ({compute,
+// attribute, type}), and are added to derivedKeys.
+const indexKeyAttribute = (indexName, schema, keySpec, derivedKeys) => {
+    if (typeof keySpec === 'string') {
+        const attributeType = attributeTypeFromSchema(indexName, schema, keySpec);
+        if (keySpec.includes('.')) {
+            if (schema.properties[keySpec]) {
+                throw new Error(`Invalid index specification for index "${indexName}": the nested key shadow attribute .${keySpec} is also a property of the schema.`);
+            }
+            const path = keySpec.split('.');
+            derivedKeys.push({
+                attributeName: keySpec, path,
+                // (marshalled in the same way as top-level properties)
+                compute: (doc) => {
+                    const value = path.reduce((v, p) => v?.[p], doc);
+                    if (value instanceof Date) {
+                        return value.getTime();
+                    } else if (typeof value === 'boolean') {
+                        return value? 1 : 0;
+                    }
+                    return value;
+                }
+            });
+        }
+        return { AttributeName: keySpec, AttributeType: attributeType };
+    }
+    const separator = keySpec.separator ?? kDefaultComposedKeySeparator;
+    const attributeName = keySpec.attribute ?? keySpec.compose.join(separator);
+    if (schema.properties[attributeName]) {
+        throw new Error(`Invalid index specification for index "${indexName}": the derived key attribute .${attributeName} is also a property of the schema.`);
+    }
+    if (keySpec.compose) {
+        const parts = keySpec.compose.slice();
+        for (const part of parts) {
+            const partSchema = schema.properties[part];
+            if (!partSchema) {
+                throw new Error(`The schema must define the type of property .${part} used by index "${indexName}".`);
+            } else if (!['string', 'number', 'integer'].includes(partSchema.type) && partSchema.extendedType !== kExtendedTypeDate) {
+                throw new Error(`The schema type of property .${part}, "${JSON.stringify(partSchema)}" used by index "${indexName}" cannot be part of a composed key, which requires strings, numbers, or Timestamps.`);
+            }
+        }
+        derivedKeys.push({
+            attributeName, parts, separator,
+            compute: (doc) => composeKey(parts, separator, parts.map(p => doc[p]))
+        });
+        return { AttributeName: attributeName, AttributeType: 'S' };
+    } else {
+        if (typeof keySpec.compute !== 'function') {
+            throw new Error(`Invalid index specification for index "${indexName}": compute must be a function.`);
+        }
+        const type = keySpec.type ?? 'string';
+        derivedKeys.push({attributeName, type, compute: keySpec.compute});
+        return { AttributeName: attributeName, AttributeType: (type === 'number')? 'N' : 'S' };
     }
-    throw new Error(`The schema type of property .${propertyName}, "${JSON.stringify(schema?.properties?.[propertyName])}" used by index "${indexName}" is not indexable.`);
 };
 
-const parseIndexSpecification = (indexSpecs, schemaSource) => {
+// The {AttributeName, AttributeType} of the hash key of a multikey index,
+// which indexes each of the values of a top-level array property. DynamoDB
+// can't index arrays, so each distinct value is written to a separate index
+// item when documents are saved (see Model #prepareSave), in an attribute
+// named for the property with a '[]' suffix. The index items refer to their
+// document with kMultikeyParentAttribute, which is projected into the index.
+const multikeyIndexAttribute = (indexName, schema, propertyName) => {
+    if (typeof propertyName !== 'string' || propertyName.includes('.')) {
+        throw new Error(`Invalid index specification for multikey index "${indexName}": the hashKey must be the name of a top-level array property.`);
+    }
+    const propertySchema = schema.properties[propertyName];
+    if (!propertySchema) {
+        throw new Error(`The schema must define the type of property .${propertyName} used by index "${indexName}".`);
+    }
+    const types = nonNullTypes(propertySchema);
+    const attributeType = (types.length === 1 && types[0] === 'array' && propertySchema.items)? indexAttributeType(propertySchema.items) : undefined;
+    if (!attributeType) {
+        throw new Error(`The schema type of property .${propertyName}, "${JSON.stringify(propertySchema)}" used by multikey index "${indexName}" must be an array of indexable values.`);
+    }
+    const attributeName = `${propertyName}[]`;
+    if (schema.properties[attributeName]) {
+        throw new Error(`Invalid index specification for multikey index "${indexName}": the index attribute .${attributeName} is also a property of the schema.`);
+    }
+    return { AttributeName: attributeName, AttributeType: attributeType };
+};
+
+// Local secondary indexes (with {local: true}) share the table's hash key (the
+// id field), and so can only be created for schemas with a sort key. They are
+// marked with local: true in the returned index specifications. Multikey
+// indexes (with {multikey: true}) have multikey: propertyName.
+const parseIndexSpecification = (indexSpecs, schemaSource, {idFieldName, sortKeyFieldName}) => {
     if (!indexSpecs) return [];
     const indices = [];
     for (const [indexName, indexSpec] of Object.entries(indexSpecs)) {
@@ -72,37 +235,54 @@ const parseIndexSpecification = (indexSpecs, schemaSource) => {
             IndexName: indexName,
         };
         const requiredAttributes = [];
-        let hashKey, sortKey;
+        const derivedKeys = [];
+        let hashKey, sortKey, multikey, local = false;
 
         if (indexSpec === 1 || indexSpec === true) {
             index.Projection =  { ProjectionType: 'KEYS_ONLY' };
             index.KeySchema = [
                 { AttributeName: indexName, KeyType: 'HASH' }
             ];
-            requiredAttributes.push({
-                AttributeName: indexName,
-                AttributeType: attributeTypeFromSchema(indexName, schemaSource, indexName)
-            });
+            requiredAttributes.push(indexKeyAttribute(indexName, schemaSource, indexName, derivedKeys));
             hashKey = indexName;
+        } else if (indexSpecSchema(indexSpec) && indexSpec.multikey) {
+            if (indexSpec.local || indexSpec.sortKey || indexSpec.project) {
+                throw new Error(`Invalid index specification for multikey index "${indexName}": multikey indexes cannot be local, or have a sortKey or projected attributes.`);
+            }
+            const hashKeyAttribute = multikeyIndexAttribute(indexName, schemaSource, indexSpec.hashKey);
+            hashKey = hashKeyAttribute.AttributeName;
+            multikey = indexSpec.hashKey;
+            index.KeySchema = [
+                { AttributeName: hashKey, KeyType: 'HASH'}
+            ];
+            index.Projection = {
+                ProjectionType: 'INCLUDE',
+                NonKeyAttributes: [kMultikeyParentAttribute]
+            };
+            requiredAttributes.push(hashKeyAttribute);
         } else if (indexSpecSchema(indexSpec)){
+            if (indexSpec.local) {
+                if (!sortKeyFieldName) {
+                    throw new Error(`Invalid index specification for local index "${indexName}": local indexes can only be used by schemas with a sortKey.`);
+                } else if (indexSpec.hashKey && indexSpec.hashKey !== idFieldName) {
+                    throw new Error(`Invalid index specification for local index "${indexName}": the hash key of a local index must be the id field .${idFieldName}.`);
+                }
+                local = true;
+            }
+            const hashKeyAttribute = indexKeyAttribute(indexName, schemaSource, local? idFieldName : indexSpec.hashKey, derivedKeys);
+            hashKey = hashKeyAttribute.AttributeName;
             index.KeySchema = [
-                { AttributeName: indexSpec.hashKey, KeyType: 'HASH'}
+                { AttributeName: hashKey, KeyType: 'HASH'}
             ];
-            requiredAttributes.push({
-                AttributeName: indexSpec.hashKey,
-                AttributeType: attributeTypeFromSchema(indexName, schemaSource, indexSpec.hashKey)
-            });
-            hashKey = indexSpec.hashKey;
+            requiredAttributes.push(hashKeyAttribute);
             if (indexSpec.sortKey) {
+                const sortKeyAttribute = indexKeyAttribute(indexName, schemaSource, indexSpec.sortKey, derivedKeys);
+                sortKey = sortKeyAttribute.AttributeName;
                 index.KeySchema.push({
-                    AttributeName: indexSpec.sortKey,
+                    AttributeName: sortKey,
                     KeyType: 'RANGE'
                 });
-                requiredAttributes.push({
-                    AttributeName: indexSpec.sortKey,
-                    AttributeType: attributeTypeFromSchema(indexName, schemaSource, indexSpec.sortKey)
-                });
-                sortKey = indexSpec.sortKey;
+                requiredAttributes.push(sortKeyAttribute);
             }
             if ((!indexSpec.project) || indexSpec.project === 'keys') {
                 index.Projection = { ProjectionType: 'KEYS_ONLY' };
@@ -115,18 +295,39 @@ const parseIndexSpecification = (indexSpecs, schemaSource) => {
                 };
             }
         } else {
-            throw new Error(`Invalid index specification ${JSON.stringify(indexSpec)}: must be 1, true, or {hashKey:"", sortKey?:"", project?:"all"|"keys"|[...]}.`);
+            throw new Error(`Invalid index specification ${JSON.stringify(indexSpec)}: must be 1, true, {hashKey:"", sortKey?:"", project?:"all"|"keys"|[...]}, or {local:true, sortKey:"", project?:"all"|"keys"|[...]}.`);
         }
         indices.push({
             index,
             requiredAttributes,
             hashKey,
-            sortKey
+            sortKey,
+            ...(local && {local}),
+            ...(multikey && {multikey}),
+            ...(derivedKeys.length && {derivedKeys})
         });
     }
     return indices;
 };
 
+// The derived key attributes of all the indexes of a schema, which are
+// computed and written when documents are saved. Indexes may share derived
+// keys, but must define them in the same way:
+const derivedAttributes = (indices) => {
+    const attributes = new Map();
+    for (const {index, derivedKeys} of indices) {
+        for (const derivedKey of derivedKeys ?? []) {
+            const existing = attributes.get(derivedKey.attributeName);
+            if (!existing) {
+                attributes.set(derivedKey.attributeName, derivedKey);
+            } else if (JSON.stringify(existing) !== JSON.stringify(derivedKey) || (!existing.parts && existing.compute !== derivedKey.compute)) {
+                throw new Error(`Invalid index specification for index "${index.IndexName}": the derived key attribute .${derivedKey.attributeName} is defined differently by another index.`);
+            }
+        }
+    }
+    return [...attributes.values()];
+};
+
 const findPropertyValue = (object, value, duplicateErrMsg) => {
     let r = null;
     for (const [k, v] of Object.entries(object)) {
@@ -146,6 +347,7 @@ class Schema {
     name = '';
     idFieldName = '';
     typeFieldName = '';
+    sortKeyFieldName = '';
     versionFieldName = '';
     createdAtFieldName = '';
     updatedAtFieldName = '';
@@ -159,11 +361,14 @@ class Schema {
     [kSchemaCompiled] = null;
     [kSchemaIndices] = [];
     [kSchemaNewId] = null;
+    [kSchemaDerivedAttributes] = [];
     [kSchemaMarshall] = null;
+    [kSchemaMarshallPartial] = null;
     [kSchemaUnMarshall] = null;
+    [kSchemaUnMarshallPartial] = null;
 
     constructor(name, schemaSource, options) {
-        const { index, generateId, versioning } = options;
+        const { index, generateId, versioning, sortKey } = options;
         if (['object', 'undefined'].includes(typeof schemaSource) === false) {
             throw new Error('Invalid schema: must be an object or undefined.');
         }
@@ -197,6 +402,20 @@ class Schema {
             throw new Error('Schema type must be object (or can be omitted).');
         }
 
+        // the sort key field is used as the table range key, so that items
+        // with the same id form an item collection:
+        if (typeof sortKey !== 'undefined') {
+            const sortKeySchema = schemaSourceProps[sortKey];
+            if ((typeof sortKey !== 'string') || !sortKeySchema) {
+                throw new Error(`Invalid sortKey: the schema must define the property .${sortKey}.`);
+            } else if ([this.idFieldName, this.typeFieldName, this.versionFieldName].includes(sortKey)) {
+                throw new Error(`Invalid sortKey: .${sortKey} is a built-in field, and cannot be used as the sort key.`);
+            } else if (!['string', 'number'].includes(sortKeySchema.type) && sortKeySchema.extendedType !== kExtendedTypeDate) {
+                throw new Error(`Invalid sortKey: the property .${sortKey} must be a string, number, or Timestamp.`);
+            }
+            this.sortKeyFieldName = sortKey;
+        }
+
         const schemaProperties = Object.assign(
             Object.create(null),
             schemaSourceProps,
@@ -211,13 +430,14 @@ class Schema {
 
         );
 
-        // The id field is used as the table hash key, so must always be
-        // present for every model, regardless of how it is constructed (even
-        // if it is constructed from partially projected attributes from an
-        // index).
+        // The id field is used as the table hash key (and the sort key field,
+        // if any, as the table range key), so must always be present for
+        // every model, regardless of how it is constructed (even if it is
+        // constructed from partially projected attributes from an index).
         // The type field is NOT listed in required fields, because in a table
         // containing a single type of model it is not strictly required.
-        const schemaRequired = [...new Set([this.idFieldName, ...(schemaSource?.required ?? [])])];
+        const keyFields = [this.idFieldName, this.sortKeyFieldName].filter(x => x);
+        const schemaRequired = [...new Set([...keyFields, ...(schemaSource?.required ?? [])])];
 
         schemaSource = {
             type: 'object',
@@ -226,11 +446,26 @@ class Schema {
             additionalProperties: schemaSource?.additionalProperties
         };
 
+        this[kSchemaIndices] = parseIndexSpecification(index, schemaSource, this);
+        this[kSchemaDerivedAttributes] = derivedAttributes(this[kSchemaIndices]);
+        // boolean index keys are stored as numbers:
+        for (const indexSpec of this[kSchemaIndices]) {
+            for (const key of [indexSpec.hashKey, indexSpec.sortKey]) {
+                if (key && schemaProperties[key] && nonNullTypes(schemaProperties[key]).includes('boolean')) {
+                    schemaProperties[key] = indexedBooleanSchema(schemaProperties[key]);
+                }
+            }
+        }
+
         this.source = schemaSource;
         this[kSchemaCompiled] = ajv.compile(schemaSource);
         this[kSchemaMarshall] = marshallingAjv.compile(schemaSource);
         this[kSchemaUnMarshall] = unMarshallingAjv.compile(schemaSource);
-        this[kSchemaIndices] = parseIndexSpecification(index, schemaSource);
+        // partial models (with only some of their attributes loaded) are
+        // validated without requiring the attributes that were not loaded:
+        const partialSchemaSource = {...schemaSource, required: keyFields};
+        this[kSchemaMarshallPartial] = marshallingAjv.compile(partialSchemaSource);
+        this[kSchemaUnMarshallPartial] = unMarshallingAjv.compile(partialSchemaSource);
         this[kSchemaNewId] = generateId ?? this.#generateDefaultId.bind(this);
     }
 
@@ -5,6 +5,9 @@ const Ajv = require('ajv');
 // internal types for AJV
 const kExtendedTypeDate = Symbol.for('dynamodm:extendedType:date');
 const kExtendedTypeBuffer = Symbol.for('dynamodm:extendedType:buffer');
+// booleans which are index keys are stored as numbers (0 and 1), since
+// DynamoDB index keys cannot be booleans:
+const kExtendedTypeIndexedBoolean = Symbol.for('dynamodm:extendedType:indexedBoolean');
 
 // this AJV instance is used for general validation (e.g. of API function arguments), compiled schemas do not modify data
 const ajv = new Ajv({
@@ -45,6 +48,13 @@ const extendedTypeKeyword = {
                 extendedTypeValidate.errors = [{keyword:'extendedType', message:'must be a Buffer', params:{dataWas:data}}];
                 return false;
             }
+        } else if (schema === kExtendedTypeIndexedBoolean) {
+            if (typeof data === 'boolean') {
+                return true;
+            } else {
+                extendedTypeValidate.errors = [{keyword:'extendedType', message:'must be boolean', params:{dataWas:data}}];
+                return false;
+            }
         } else {
             extendedTypeValidate.errors = [{keyword:'extendedType', message:'is an unknown extended type', params:{schemaWas:schema}}];
             return false;
@@ -76,6 +86,15 @@ const apiArgument = {
 };
 ajv.addKeyword(apiArgument);
 
+// schema for the abortSignal option of API functions:
+const abortSignalSchema = {
+    type: 'object',
+    apiArgument: {
+        validate: (data) => (typeof data.aborted === 'boolean') && (typeof data.addEventListener === 'function'),
+        error: 'Must be an AbortController Signal.'
+    }
+};
+
 // Marshalling of built-in types to dynamodb types:
 marshallingAjv.addKeyword({
     keyword: 'extendedType',
@@ -101,6 +120,18 @@ marshallingAjv.addKeyword({
                 validateMarshall.errors = [{keyword:'extendedType', message:'must be a Buffer', params:{dataWas:data}}];
                 return false;
             }
+        } else if (schema === kExtendedTypeIndexedBoolean) {
+            /* c8 ignore next 3 */
+            if (!ctx.parentData) {
+                throw new Error('Cannot marshall types that are the root data: there is no parent to assign on.');
+            }
+            if (typeof data === 'boolean') {
+                ctx.parentData[ctx.parentDataProperty] = data? 1 : 0;
+                return true;
+            } else {
+                validateMarshall.errors = [{keyword:'extendedType', message:'must be boolean', params:{dataWas:data}}];
+                return false;
+            }
         } else {
             validateMarshall.errors = [{keyword:'extendedType', message:'is an unknown extended type', params:{schemaWas:schema}}];
             return false;
@@ -133,6 +164,17 @@ unMarshallingAjv.addKeyword({
                 validateUnMarshall.errors = [{keyword:'extendedType', message:`Expected marshalled type of Buffer property ${ctx.parentDataProperty} to be a Uint8Array (got ${typeof data})`, params:{dataWas:data}}];
                 return false;
             }
+        } else if (schema === kExtendedTypeIndexedBoolean) {
+            // (items saved before the property was indexed store booleans)
+            if (data === 0 || data === 1) {
+                ctx.parentData[ctx.parentDataProperty] = (data === 1);
+                return true;
+            } else if (typeof data === 'boolean') {
+                return true;
+            } else {
+                validateUnMarshall.errors = [{keyword:'extendedType', message:`Expected marshalled type of indexed boolean property ${ctx.parentDataProperty} to be 0 or 1 (got ${JSON.stringify(data)})`, params:{dataWas:data}}];
+                return false;
+            }
         } else {
             validateUnMarshall.errors = [{keyword:'extendedType', message:'is an unknown extended type', params:{schemaWas:schema}}];
             return false;
@@ -143,17 +185,36 @@ unMarshallingAjv.addKeyword({
 const kModelTable = Symbol.for('dynamodm:model:table');
 const kModelSchema = Symbol.for('dynamodm:model:schema');
 const kModelLogger = Symbol.for('dynamodm:model:logger');
+const kModelPrepareSave = Symbol.for('dynamodm:model:prepareSave');
+const kModelPrepareRemove = Symbol.for('dynamodm:model:prepareRemove');
+const kModelPrepareUpdate = Symbol.for('dynamodm:model:prepareUpdate');
+const kModelPrepareConditionCheck = Symbol.for('dynamodm:model:prepareConditionCheck');
+const kModelCreateFromMarshalled = Symbol.for('dynamodm:model:createFromMarshalled');
+const kModelPrimaryKey = Symbol.for('dynamodm:model:primaryKey');
 const kTableIsReady = Symbol.for('dynamodm:table:ready');
 const kTableDDBClient = Symbol.for('dynamodm:table:ddbc');
 const kTableIndices = Symbol.for('dynamodm:table:indices');
 const kTableGetBackoffDelayMs = Symbol.for('dynamodm:table:gbdms');
+const kTableScan = Symbol.for('dynamodm:table:scan');
 const kSchemaCompiled = Symbol.for('dynamodm:schema:compiled');
 const kSchemaMarshall = Symbol.for('dynamodm:schema:marshall');
+const kSchemaMarshallPartial = Symbol.for('dynamodm:schema:marshallPartial');
 const kSchemaUnMarshall = Symbol.for('dynamodm:schema:unmarshall');
+const kSchemaUnMarshallPartial = Symbol.for('dynamodm:schema:unmarshallPartial');
 const kSchemaIndices = Symbol.for('dynamodm:schema:indices');
 const kSchemaNewId = Symbol.for('dynamodm:schema:newId');
+const kSchemaDerivedAttributes = Symbol.for('dynamodm:schema:derivedAttributes');
 const kOptionSkipValidation = Symbol.for('dynamodm:option:skipValidate');
 
+// the attribute of the items of multikey indexes (see
+// multikeyIndexAttribute) which refers to the id of the indexed document:
+const kMultikeyParentAttribute = 'dynamodm:parent';
+
+// https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_TransactWriteItems.html
+const kTransactWriteItemLimit = 100;
+// https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_Scan.html#DDB-Scan-request-TotalSegments
+const kScanSegmentsLimit = 1000000;
+
 // Built-in schema types
 const DocId = { type:'string', minLength:1, maxLength:1024 };
 const Timestamp = { extendedType: kExtendedTypeDate };
@@ -170,28 +231,84 @@ const UpdatedAtField = Object.assign({}, Timestamp);
 
 const delayMs = async (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// throw an error if an abortSignal has been aborted, with the same name and
+// message as the AWS SDK uses for aborted requests:
+const checkAborted = (abortSignal) => {
+    if (abortSignal?.aborted) {
+        const e = new Error('Request aborted');
+        e.name = 'AbortError';
+        e.cause = abortSignal.reason;
+        throw e;
+    }
+};
+
+// a string identifying the item with a (marshalled) primary key, for
+// comparing the keys of items, (the key includes the sort key field if the
+// schema has one):
+const keyString = (schema, key) => JSON.stringify([key[schema.idFieldName], schema.sortKeyFieldName? key[schema.sortKeyFieldName] : null]);
+
+// the value of a composed index key attribute, (see parseIndexSpecification),
+// from the values of its parts, or undefined if any of the parts are missing.
+// Timestamps are composed as ISO strings, so that the composed values sort in
+// the same order as the times:
+const composeKey = (parts, separator, values) => {
+    if (values.some(v => (typeof v === 'undefined') || v === null)) {
+        return undefined;
+    }
+    return values.map((v, i) => {
+        const s = (v instanceof Date)? v.toISOString() : String(v);
+        if (s.includes(separator)) {
+            throw new Error(`Invalid value for .${parts[i]}: the parts of a composed index key cannot contain the separator "${separator}".`);
+        }
+        return s;
+    }).join(separator);
+};
+
+// Error thrown when the condition of a conditional write is not satisfied:
+class ConditionFailedError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ConditionFailedError';
+    }
+}
+
 module.exports = {
     kExtendedTypeDate,
     kExtendedTypeBuffer,
+    kExtendedTypeIndexedBoolean,
 
     ajv,
     marshallingAjv,
     unMarshallingAjv,
     defaultIgnoringAjv,
+    abortSignalSchema,
 
     kModelTable,
     kModelSchema,
     kModelLogger,
+    kModelPrepareSave,
+    kModelPrepareRemove,
+    kModelPrepareUpdate,
+    kModelPrepareConditionCheck,
+    kModelCreateFromMarshalled,
+    kModelPrimaryKey,
     kTableIsReady,
     kTableDDBClient,
     kTableIndices,
     kTableGetBackoffDelayMs,
+    kTableScan,
     kSchemaCompiled,
     kSchemaMarshall,
+    kSchemaMarshallPartial,
     kSchemaUnMarshall,
+    kSchemaUnMarshallPartial,
     kSchemaIndices,
     kSchemaNewId,
+    kSchemaDerivedAttributes,
     kOptionSkipValidation,
+    kMultikeyParentAttribute,
+    kTransactWriteItemLimit,
+    kScanSegmentsLimit,
 
     DocId,
     Timestamp,
@@ -204,4 +321,9 @@ module.exports = {
     UpdatedAtField,
 
     delayMs,
+    checkAborted,
+    keyString,
+    composeKey,
+
+    ConditionFailedError,
 };
@@ -1,21 +1,46 @@
 'use strict';
 const { DynamoDBClient, CreateTableCommand, DescribeTableCommand, UpdateTableCommand, DeleteTableCommand } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, BatchGetCommand, TransactGetCommand, BatchWriteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { inspect } = require('util');
 
 const { createModel } = require('./model');
+const { Transaction } = require('./transaction');
 const {
+    ajv,
+    abortSignalSchema,
+
+    kModelTable,
+    kModelSchema,
+    kModelCreateFromMarshalled,
+    kModelPrepareSave,
+    kModelPrimaryKey,
+
     kTableIsReady,
     kTableDDBClient,
     kTableIndices,
     kTableGetBackoffDelayMs,
+    kTableScan,
 
     kSchemaIndices,
+    kMultikeyParentAttribute,
+    kScanSegmentsLimit,
 
     delayMs,
+    checkAborted,
+    keyString,
 } = require('./shared.js');
 
 const validTableName = /^[a-zA-Z0-9_.-]{3,255}$/;
 
+// https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_BatchGetItem.html
+const kBatchGetItemLimit = 100;
+// https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_TransactGetItems.html
+const kTransactGetItemLimit = 100;
+// https://docs.aws.amazon.com/amazondynamodb/latest/APIReference/API_BatchWriteItem.html
+const kBatchWriteItemLimit = 25;
+// https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/ServiceQuotas.html#limits-secondary-indexes
+const kLocalSecondaryIndexLimit = 5;
+
 const keySchemaEqual = (a, b) => {
     return a.AttributeName === b.AttributeName &&
            a.KeyType === b.KeyType;
@@ -41,6 +66,16 @@ const indexDescriptionsEqual = (a, b) => {
            a.KeySchema.every((el, i) => keySchemaEqual(el, b.KeySchema[i]));
 };
 
+// whether indexes required by different schemas (with equal descriptions) are
+// both local or global, index the same multikey property (if any), and derive
+// their keys in the same way. (Keys computed by functions can't be compared,
+// so only their attribute types are):
+const indexKeysEqual = (a, b) => {
+    return Boolean(a.local) === Boolean(b.local) &&
+           (a.multikey ?? null) === (b.multikey ?? null) &&
+           JSON.stringify(a.derivedKeys ?? []) === JSON.stringify(b.derivedKeys ?? []);
+};
+
 class Table {
     // public fields
     name = '';
@@ -50,6 +85,8 @@ class Table {
     // private fields:
     #models = new Map();
     #idFieldName = '';
+    #sortKeyFieldName = '';
+    #sortKeyAttributeType = '';
     #typeFieldName = '';
     #clientShouldBeDestroyed = false;
     #logger = null;
@@ -97,26 +134,33 @@ class Table {
             throw new Error('At least one schema is required in a table.');
         }
         // check for and create indexes:
-        const {idField, typeField} = this.#basicReadyChecks({allowAliasedSchemas});
+        const {idField, sortKeyField, sortKeyAttributeType, typeField} = this.#basicReadyChecks({allowAliasedSchemas});
         this.#idFieldName = idField;
+        this.#sortKeyFieldName = sortKeyField;
+        this.#sortKeyAttributeType = sortKeyAttributeType;
         this.#typeFieldName = typeField;
 
         const requiredIndexes = this.#requiredIndexes();
         const {uniqueRequiredAttributes, uniqueRequiredIndexes} = this.#checkIndexCompatibility(requiredIndexes);
         this[kTableIndices] = uniqueRequiredIndexes;
+        const globalIndexes = uniqueRequiredIndexes.filter(x => !x.local);
+        const localIndexes = uniqueRequiredIndexes.filter(x => x.local);
         const tableKeySchema = [
-            { AttributeName: this.#idFieldName, KeyType: 'HASH' }
+            { AttributeName: this.#idFieldName, KeyType: 'HASH' },
+            ...(this.#sortKeyFieldName? [{ AttributeName: this.#sortKeyFieldName, KeyType: 'RANGE' }] : [])
         ];
 
         try {
             await this[kTableDDBClient].send(new CreateTableCommand({
                 TableName: this.name,
-                // the id field (table key), as well as any attributes referred to
-                // by indexes need to be defined at table creation
+                // the id field (table key), and sort key field if any, as well
+                // as any attributes referred to by indexes need to be defined
+                // at table creation
                 AttributeDefinitions: uniqueRequiredAttributes,
                 KeySchema: tableKeySchema,
                 BillingMode: 'PAY_PER_REQUEST',
-                ...(uniqueRequiredIndexes.length && {GlobalSecondaryIndexes: uniqueRequiredIndexes.map(x => x.index)})
+                ...(globalIndexes.length && {GlobalSecondaryIndexes: globalIndexes.map(x => x.index)}),
+                ...(localIndexes.length && {LocalSecondaryIndexes: localIndexes.map(x => x.index)})
             }));
         } catch (err) {
             // ResourceInUseException is only thrown if the table already exists
@@ -147,13 +191,27 @@ class Table {
             // check if the table has the correct key schema (if it already
             // existed, then it might not):
             if (created) {
-                if (!response.Table.KeySchema.some((el, i) => keySchemaEqual(el, tableKeySchema[i]))) {
-                    throw new Error(`Table ${this.name} exists with incompatible key schema ${JSON.stringify(response.Table.KeySchema)}, the schemas require "${this.#idFieldName}" to be the hash key.`);
+                if (response.Table.KeySchema.length !== tableKeySchema.length || !response.Table.KeySchema.every((el, i) => keySchemaEqual(el, tableKeySchema[i]))) {
+                    const required = this.#sortKeyFieldName? `"${this.#idFieldName}" to be the hash key and "${this.#sortKeyFieldName}" to be the range key` : `"${this.#idFieldName}" to be the hash key`;
+                    throw new Error(`Table ${this.name} exists with incompatible key schema ${JSON.stringify(response.Table.KeySchema)}, the schemas require ${required}.`);
                 }
             }
 
-            // check if we have all the required indexes
-            for (const {index, requiredAttributes} of uniqueRequiredIndexes) {
+            // local indexes can only be created with the table, so if the
+            // table already existed without them they cannot be added:
+            if (created) {
+                for (const {index} of localIndexes) {
+                    const match = response.Table.LocalSecondaryIndexes?.find(i => i.IndexName === index.IndexName);
+                    if (!match) {
+                        throw new Error(`Table ${this.name} exists without the local index "${index.IndexName}", local indexes can only be created when the table is created.`);
+                    } else if (!indexDescriptionsEqual(match, index)) {
+                        throw new Error(`Table ${this.name} exists with a different local index "${index.IndexName}" ${JSON.stringify(match.KeySchema)}, local indexes cannot be updated after the table is created.`);
+                    }
+                }
+            }
+
+            // check if we have all the required global indexes
+            for (const {index, requiredAttributes} of globalIndexes) {
                 const match = response.Table.GlobalSecondaryIndexes?.find(i => i.IndexName === index.IndexName);
                 if (!match) {
                     missingIndexes.push({index, requiredAttributes});
@@ -227,17 +285,386 @@ class Table {
         return model;
     }
 
-    async getById(id) {
+    static #getById_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            resolveType: {enum: ['idPrefix', 'typeField']},
+            ConsistentRead: {type: 'boolean'},
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    async getById(id, options={}) {
+        if (!Table.#getById_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(Table.#getById_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        const {resolveType, ...getOptions} = options;
+        if (resolveType === 'typeField') {
+            return this.#getByIdWithTypeField(id, getOptions);
+        }
         // load a model by id only (without knowing its type in advance). The
         // type is inferred from the id, and requires the id to be of the form
-        // {schemaName}.{anything}, via the Schema->Models map this.#models:
-        const matchingModels = [...this.#models.entries()].filter(([s,ignored_m]) => id.startsWith(`${s.name}.`)).map(([ignored_s,m]) => m);
+        // {schemaName}.{anything}, via the Schema->Models map this.#models.
+        // In tables with a sort key, documents are identified by [id,
+        // sortKeyValue] pairs:
+        const [hashId, sortKeyValue] = Array.isArray(id)? id : [id];
+        const matchingModels = [...this.#models.entries()].filter(([s,ignored_m]) => hashId.startsWith(`${s.name}.`)).map(([ignored_s,m]) => m);
         if (matchingModels.length > 1) {
-            throw new Error(`Table has multiple ambiguous model types for id "${id}", so it cannot be loaded generically.`);
+            throw new Error(`Table has multiple ambiguous model types for id "${hashId}", so it cannot be loaded generically.`);
         } else if (matchingModels.length === 0) {
-            throw new Error(`Table has no matching model type for id "${id}", so it cannot be loaded.`);
+            throw new Error(`Table has no matching model type for id "${hashId}", so it cannot be loaded.`);
+        }
+        const Model = matchingModels[0];
+        return Model[kModelSchema].sortKeyFieldName? Model.getById(hashId, sortKeyValue, getOptions) : Model.getById(id, getOptions);
+    }
+
+    // load documents of any type by id, in BatchGetItem requests of up to 100
+    // ids. The model of each item is chosen from the value of its type field.
+    // Resolves with an array of documents in the same order as the ids, with
+    // null for documents that do not exist.
+    static #getByIds_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            ConsistentRead: {type: 'boolean'},
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    async getByIds(ids, options={}) {
+        if (!Table.#getByIds_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(Table.#getByIds_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        // all the models in the table have the same primary key:
+        const [schema, AnyModel] = this.#models.entries().next().value;
+        if (!Array.isArray(ids) || (!schema.sortKeyFieldName && !ids.every(id => (typeof id === 'string') && id.length))) {
+            throw new Error(schema.sortKeyFieldName? `Invalid ids: must be array of [id, ${schema.sortKeyFieldName}] pairs.` : 'Invalid ids: must be array of strings of nonzero length.');
+        }
+        const keys = ids.map(id => AnyModel[kModelPrimaryKey](id));
+        const sendOptions = {
+            ...(options.abortSignal && {abortSignal: options.abortSignal})
+        };
+        // each item can only be requested once in a BatchGetItem request:
+        let remaining = [...new Map(keys.map(key => [keyString(schema, key), key])).values()];
+        const results = new Map();
+        let retryCount = 0;
+        while (remaining.length) {
+            const command = new BatchGetCommand({
+                RequestItems: {
+                    [this.name]: {
+                        Keys: remaining.slice(0, kBatchGetItemLimit),
+                        ...(options.ConsistentRead && {ConsistentRead: true})
+                    }
+                }
+            });
+            remaining = remaining.slice(kBatchGetItemLimit);
+            this.#logger.trace({command, sendOptions}, 'getByIds');
+            const response = await this[kTableDDBClient].send(command, sendOptions);
+            this.#logger.trace({response}, 'getByIds response');
+            for (const data of response.Responses[this.name]) {
+                results.set(keyString(schema, data), data);
+            }
+            const unprocessed = response.UnprocessedKeys?.[this.name]?.Keys ?? [];
+            if (unprocessed.length) {
+                // exponential backoff as recommended
+                // https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Programming.Errors.html#Programming.Errors.RetryAndBackoff
+                // since unprocessed keys might be caused by read capacity throttling:
+                retryCount += 1;
+                await delayMs(this[kTableGetBackoffDelayMs](retryCount));
+                remaining = unprocessed.concat(remaining);
+            }
+        }
+        return keys.map(key => {
+            const data = results.get(keyString(schema, key));
+            return data? this.#modelForItem(data)[kModelCreateFromMarshalled](data) : null;
+        });
+    }
+
+    // call fn(transaction), where the transaction has methods .save(doc),
+    // .remove(doc), .update(Model, id, update) and .conditionCheck(Model, id,
+    // condition), then atomically commit all of the writes added to the
+    // transaction. Resolves with the return value of fn.
+    async transaction(fn, options={}) {
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        return Transaction.run(this, this.#logger, fn, options);
+    }
+
+    // get a consistent snapshot of several documents, which may be of different
+    // types: items is an array of {Model, id}. Resolves with an array of
+    // documents in the same order, with null for documents that do not exist.
+    static #transactGet_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    async transactGet(items, options={}) {
+        if (!Table.#transactGet_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(Table.#transactGet_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        if (!Array.isArray(items)) {
+            throw new Error('Invalid items: must be an array of {Model, id}.');
+        }
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        const TransactItems = [];
+        const keys = new Set();
+        for (const {Model, id} of items) {
+            if (Model?.[kModelTable] !== this) {
+                throw new Error(`Only models belonging to table ${this.name} can be used in its transactions.`);
+            }
+            const Key = Model[kModelPrimaryKey](id);
+            // dynamodb rejects multiple operations on the same item in a
+            // transaction:
+            const key = keyString(Model[kModelSchema], Key);
+            if (keys.has(key)) {
+                throw new Error(`Invalid items: the document with id "${Key[Model[kModelSchema].idFieldName]}" is requested more than once.`);
+            }
+            keys.add(key);
+            TransactItems.push({
+                Get: {
+                    TableName: this.name,
+                    Key
+                }
+            });
+        }
+        if (TransactItems.length > kTransactGetItemLimit) {
+            throw new Error(`Transactions are limited to ${kTransactGetItemLimit} operations.`);
+        }
+        if (!TransactItems.length) {
+            return [];
+        }
+        const sendOptions = {
+            ...(options.abortSignal && {abortSignal: options.abortSignal})
+        };
+        const command = new TransactGetCommand({ TransactItems });
+        this.#logger.trace({command, sendOptions}, 'transactGet');
+        const response = await this[kTableDDBClient].send(command, sendOptions);
+        this.#logger.trace({response}, 'transactGet response');
+        // the responses are in the same order as the requested items:
+        return items.map(({Model}, i) => {
+            const data = response.Responses[i]?.Item;
+            return data? Model[kModelCreateFromMarshalled](data) : null;
+        });
+    }
+
+    // write many documents, which may be of different types, using
+    // BatchWriteItem requests: items is an array of {save: doc}, {remove: doc}
+    // or {remove: id, Model}. The writes are not conditional, so versions are
+    // not checked. Resolves with an array of {ok: true} or {ok: false, error}
+    // in the same order as the items.
+    static #batchWrite_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    async batchWrite(items, options={}) {
+        if (!Table.#batchWrite_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(Table.#batchWrite_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        if (!Array.isArray(items)) {
+            throw new Error('Invalid items: must be an array of {save: doc}, {remove: doc}, or {remove: id, Model}.');
+        }
+        // (documents of models with a sort key are removed by [id,
+        // sortKeyValue] pairs)
+        const removesById = (item) => (typeof item?.remove === 'string') || Array.isArray(item?.remove);
+        for (const item of items) {
+            const Model = removesById(item)? item.Model : (item?.save ?? item?.remove)?.constructor;
+            if (Model?.[kModelTable] !== this) {
+                throw new Error('Invalid items: must be an array of {save: doc}, {remove: doc}, or {remove: id, Model}, with models belonging to this table.');
+            }
+        }
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        const results = items.map(() => ({ok: true}));
+        // prepare the write requests, errors preparing a document (such as
+        // schema validation errors) are reported for that item only:
+        const requests = [];
+        for (const [i, item] of items.entries()) {
+            const Model = removesById(item)? item.Model : (item.save ?? item.remove).constructor;
+            const schema = Model[kModelSchema];
+            try {
+                if (item.save) {
+                    const prepared = item.save[kModelPrepareSave]({batch: true});
+                    const Item = prepared.item.Put.Item;
+                    requests.push({i, key: keyString(schema, Item), schema, request: {PutRequest: {Item}}, onSuccess: prepared.onSuccess});
+                } else {
+                    // (the items of multikey indexes must be removed in the
+                    // same transaction as the document)
+                    if (schema[kSchemaIndices].some(index => index.multikey)) {
+                        throw new Error(`The ${schema.name} model has multikey indexes, so its documents cannot be removed in a batch.`);
+                    }
+                    const Key = Model[kModelPrimaryKey](item.remove);
+                    requests.push({i, key: keyString(schema, Key), schema, request: {DeleteRequest: {Key}}, onSuccess: () => {}});
+                }
+            } catch (e) {
+                results[i] = {ok: false, error: e};
+            }
+        }
+        // split into batches, which must not include more than one request for
+        // the same item:
+        const batches = [];
+        let current = [];
+        for (const request of requests) {
+            if (current.length === kBatchWriteItemLimit || current.some(r => r.key === request.key)) {
+                batches.push(current);
+                current = [];
+            }
+            current.push(request);
+        }
+        if (current.length) {
+            batches.push(current);
+        }
+        const sendOptions = {
+            ...(options.abortSignal && {abortSignal: options.abortSignal})
+        };
+        for (const batch of batches) {
+            let remaining = batch;
+            let retryCount = 0;
+            try {
+                while (remaining.length) {
+                    const command = new BatchWriteCommand({
+                        RequestItems: { [this.name]: remaining.map(r => r.request) }
+                    });
+                    this.#logger.trace({command, sendOptions}, 'batchWrite');
+                    const response = await this[kTableDDBClient].send(command, sendOptions);
+                    this.#logger.trace({response}, 'batchWrite response');
+                    const unprocessed = (response.UnprocessedItems?.[this.name] ?? []).map(u => u.PutRequest?.Item ?? u.DeleteRequest?.Key);
+                    const isUnprocessed = r => unprocessed.some(key => keyString(r.schema, key) === r.key);
+                    for (const r of remaining) {
+                        if (!isUnprocessed(r)) {
+                            r.onSuccess();
+                        }
+                    }
+                    remaining = remaining.filter(isUnprocessed);
+                    if (remaining.length) {
+                        // exponential backoff as recommended
+                        // https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Programming.Errors.html#Programming.Errors.RetryAndBackoff
+                        // since unprocessed items might be caused by write capacity throttling:
+                        retryCount += 1;
+                        await delayMs(this[kTableGetBackoffDelayMs](retryCount));
+                    }
+                }
+            } catch (e) {
+                for (const r of remaining) {
+                    results[r.i] = {ok: false, error: e};
+                }
+            }
+        }
+        return results;
+    }
+
+    // scan all the items in the table, yielding documents of any of the
+    // table's models, based on the type field of each item, (the items of
+    // multikey indexes are skipped). options.segments scans are run in
+    // parallel.
+    static #scanAll_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            segments: {type: 'integer', minimum: 1, maximum: kScanSegmentsLimit},
+            limit: {type: 'number'},
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    async* scanAll(options={}) {
+        if (!Table.#scanAll_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(Table.#scanAll_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        // the items of multikey indexes are filtered out by the scan, so that
+        // they do not count towards the limit:
+        const params = {
+            TableName: this.name,
+            ...(this[kTableIndices].some(index => index.multikey) && {
+                FilterExpression: 'attribute_not_exists(#parent)',
+                ExpressionAttributeNames: { '#parent': kMultikeyParentAttribute }
+            })
+        };
+        for await (const batch of this[kTableScan](params, options)) {
+            for (const data of batch) {
+                checkAborted(options.abortSignal);
+                yield this.#modelForItem(data)[kModelCreateFromMarshalled](data);
+            }
+        }
+    }
+
+    // protected methods that other classes need access to:
+
+    // scan the table with the raw Scan parameters params, using
+    // options.segments parallel segment scans, yielding arrays of items, up to
+    // options.limit items in total. Each segment only requests its next page
+    // once its previous page has been consumed, so at most one page per
+    // segment is fetched ahead of the consumer.
+    async* [kTableScan](params, options) {
+        const {segments = 1, limit = Infinity, abortSignal} = options;
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        const sendOptions = {
+            ...(abortSignal && {abortSignal})
+        };
+        const scanSegment = async function*(commandParams) {
+            let response;
+            do {
+                const command = new ScanCommand(commandParams);
+                this.#logger.trace({command}, 'scan');
+                response = await this[kTableDDBClient].send(command, sendOptions);
+                this.#logger.trace({response}, 'scan response');
+                yield response.Items;
+                commandParams.ExclusiveStartKey = response.LastEvaluatedKey;
+            } while (response.LastEvaluatedKey);
+        }.bind(this);
+        const scans = Array.from({length: segments}, (_, Segment) => scanSegment({
+            ...params,
+            ...(segments > 1 && {Segment, TotalSegments: segments}),
+            // the Limit applies to the items evaluated, so it can only be
+            // used to avoid reading more items than necessary if there is no
+            // filter:
+            ...(Number.isFinite(limit) && !params.FilterExpression && {Limit: limit})
+        }));
+        const pending = new Map();
+        const fetchNext = (scan) => {
+            const next = scan.next().then(result => ({scan, result}));
+            // errors are thrown when the result is awaited, but must be caught
+            // in case it never is:
+            next.catch(() => {});
+            pending.set(scan, next);
+        };
+        scans.forEach(fetchNext);
+        let remaining = limit;
+        try {
+            while (pending.size && remaining > 0) {
+                const {scan, result} = await Promise.race(pending.values());
+                pending.delete(scan);
+                if (result.done) {
+                    continue;
+                }
+                const items = result.value.slice(0, remaining);
+                remaining -= items.length;
+                if (items.length) {
+                    yield items;
+                }
+                if (remaining > 0) {
+                    fetchNext(scan);
+                }
+            }
+        } finally {
+            // if scanning stops early, wait for the requests that are still in
+            // progress, so that none continue after the scan is closed:
+            await Promise.allSettled(pending.values());
         }
-        return matchingModels[0].getById(id);
     }
 
     async deleteTable() {
@@ -254,12 +681,56 @@ class Table {
     };
 
     // private methods:
+    // the model for a raw item loaded from the table, chosen by the value of
+    // the item's type field:
+    #modelForItem(data) {
+        const {typeFieldName, idFieldName} = this.#models.keys().next().value;
+        const matchingModels = [...this.#models.entries()].filter(([s,ignored_m]) => s.name === data[typeFieldName]).map(([ignored_s,m]) => m);
+        if (matchingModels.length > 1) {
+            throw new Error(`Table has multiple ambiguous model types for type "${data[typeFieldName]}", so the item .${idFieldName}="${data[idFieldName]}" cannot be loaded generically.`);
+        } else if (matchingModels.length === 0) {
+            throw new Error(`Table has no matching model type for type "${data[typeFieldName]}", so the item .${idFieldName}="${data[idFieldName]}" cannot be loaded.`);
+        }
+        return matchingModels[0];
+    }
+
+    async #getByIdWithTypeField(id, options) {
+        if (!this[kTableIsReady]) {
+            await this.ready();
+        }
+        // all the models in the table have the same primary key:
+        const [{idFieldName}, AnyModel] = this.#models.entries().next().value;
+        const Key = AnyModel[kModelPrimaryKey](id);
+        const sendOptions = {
+            ...(options.abortSignal && {abortSignal: options.abortSignal})
+        };
+        const command = new GetCommand({
+            TableName: this.name,
+            Key,
+            ...(options.ConsistentRead && {ConsistentRead: true})
+        });
+        this.#logger.trace({command, sendOptions}, 'getById %s', Key[idFieldName]);
+        const response = await this[kTableDDBClient].send(command, sendOptions);
+        this.#logger.trace({response}, 'getById response %s', Key[idFieldName]);
+        if (!response.Item) {
+            return null;
+        }
+        return this.#modelForItem(response.Item)[kModelCreateFromMarshalled](response.Item);
+    }
+
     #basicReadyChecks({allowAliasedSchemas} = {}) {
         const idProps = new Set();
+        const sortKeyProps = new Set();
+        const sortKeyAttributeTypes = new Set();
         const typeProps = new Set();
         const typeNames = new Map();
         for (const schema of this.#models.keys()) {
             idProps.add(schema.idFieldName);
+            sortKeyProps.add(schema.sortKeyFieldName);
+            if (schema.sortKeyFieldName) {
+                // sort keys are strings, or numbers (including Timestamps):
+                sortKeyAttributeTypes.add((schema.source.properties[schema.sortKeyFieldName].type === 'string')? 'S' : 'N');
+            }
             typeProps.add(schema.typeFieldName);
             if (!typeNames.has(schema.name)) typeNames.set(schema.name, []);
             typeNames.get(schema.name).push(schema);
@@ -274,12 +745,21 @@ class Table {
         if (idProps.size > 1) {
             throw new Error(`Schemas in the same table must have the same idFieldName (encountered:${[...idProps].join(',')}).`);
         }
+        // the sort key is part of the table's primary key, so all the schemas
+        // must use the same one:
+        if (sortKeyProps.size > 1) {
+            throw new Error(`Schemas in the same table must have the same sortKey (encountered:${[...sortKeyProps].map(x => x || '(none)').join(',')}).`);
+        } else if (sortKeyAttributeTypes.size > 1) {
+            throw new Error(`Schemas in the same table must have the same type of sortKey .${sortKeyProps.values().next().value} (encountered:${[...sortKeyAttributeTypes].join(',')}).`);
+        }
         // TODO: can the type field requirement be relaxed if we have a single schema in the table?
         if (typeProps.size > 1) {
             throw new Error(`Schemas in the same table must have the same typeFieldName (encountered:${[...typeProps].join(',')}).`);
         }
         return {
             idField: idProps.values().next().value,
+            sortKeyField: sortKeyProps.values().next().value,
+            sortKeyAttributeType: sortKeyAttributeTypes.values().next().value,
             typeField: typeProps.values().next().value
         };
     }
@@ -325,6 +805,7 @@ class Table {
         allRequiredIndexes = [{
             requiredAttributes: [
                 { AttributeName: this.#idFieldName, AttributeType: 'S' },
+                ...(this.#sortKeyFieldName? [{ AttributeName: this.#sortKeyFieldName, AttributeType: this.#sortKeyAttributeType }] : [])
             ]
         }].concat(allRequiredIndexes);
         for (const {index, requiredAttributes, ...otherProps} of allRequiredIndexes) {
@@ -353,10 +834,11 @@ class Table {
                 }
             }
             if (index) {
+                // (local and global indexes share the same names)
                 if(!indexNames.has(index.IndexName)) {
-                    indexNames.set(index.IndexName, index);
+                    indexNames.set(index.IndexName, {index, ...otherProps});
                     uniqueRequiredIndexes.push({index, requiredAttributes, ...otherProps});
-                } else if(!indexDescriptionsEqual(index, indexNames.get(index.IndexName))) {
+                } else if(!indexDescriptionsEqual(index, indexNames.get(index.IndexName).index) || !indexKeysEqual(otherProps, indexNames.get(index.IndexName))) {
                     let offendingSchemas = [];
                     let offendingDefinitions = [];
                     for (const schema of this.#models.keys()) {
@@ -372,6 +854,19 @@ class Table {
                 }
             }
         }
+        if (uniqueRequiredIndexes.filter(x => x.local).length > kLocalSecondaryIndexLimit) {
+            throw new Error(`Schemas in table ${this.name} define more than ${kLocalSecondaryIndexLimit} local indexes.`);
+        }
+        // the items of multikey indexes have id and sort key attributes, so
+        // global indexes keyed only on these would include them as well:
+        if (uniqueRequiredIndexes.some(x => x.multikey)) {
+            const tableKeyIndex = uniqueRequiredIndexes.find(
+                x => !x.local && !x.multikey && [x.hashKey, x.sortKey].every(k => !k || k === this.#idFieldName || k === this.#sortKeyFieldName)
+            );
+            if (tableKeyIndex) {
+                throw new Error(`Schemas in table ${this.name} define multikey indexes, so index "${tableKeyIndex.index.IndexName}" cannot be keyed only on the id and sort key fields.`);
+            }
+        }
         return {uniqueRequiredAttributes, uniqueRequiredIndexes};
     }
 
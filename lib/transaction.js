@@ -0,0 +1,189 @@
+'use strict';
+const { inspect } = require('util');
+const { TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const {
+    ajv,
+    abortSignalSchema,
+
+    kModelTable,
+    kModelSchema,
+    kModelPrepareSave,
+    kModelPrepareRemove,
+    kModelPrepareUpdate,
+    kModelPrepareConditionCheck,
+    kModelPrimaryKey,
+
+    kTableDDBClient,
+    kTransactWriteItemLimit,
+
+    keyString,
+} = require('./shared.js');
+
+// the items written by an operation: its own write, followed by the writes of
+// any multikey index items (see Model #prepareSave):
+const operationItems = ({prepared}) => [prepared.item, ...(prepared.indexItems ?? [])];
+
+// A transaction collects the writes from its .save(), .remove(), .update() and
+// .conditionCheck() methods, which are committed as a single TransactWriteItems
+// request by Table.transaction(). The state of the documents that are saved
+// (their version, and whether they are new) is only updated if the
+// transaction succeeds.
+class Transaction {
+    // private fields:
+    #table = null;
+    #logger = null;
+    #operations = [];
+    #keys = new Set();
+    #completed = false;
+
+    constructor(table, logger) {
+        this.#table = table;
+        this.#logger = logger;
+    }
+
+    // public methods:
+    save(doc) {
+        this.#checkDocument(doc);
+        const prepared = doc[kModelPrepareSave]({transaction: true});
+        // a document with no modifications and no version has nothing to
+        // write:
+        if (prepared) {
+            this.#add({operation: 'save', document: doc, Model: doc.constructor, id: doc[doc.constructor[kModelSchema].idFieldName], prepared});
+        }
+    }
+
+    remove(doc) {
+        this.#checkDocument(doc);
+        const prepared = doc[kModelPrepareRemove]();
+        this.#add({operation: 'remove', document: doc, Model: doc.constructor, id: doc[doc.constructor[kModelSchema].idFieldName], prepared});
+    }
+
+    update(Model, id, update) {
+        this.#checkModel(Model);
+        const prepared = Model[kModelPrepareUpdate](id, update);
+        this.#add({operation: 'update', Model, id, prepared});
+    }
+
+    conditionCheck(Model, id, condition) {
+        this.#checkModel(Model);
+        const prepared = Model[kModelPrepareConditionCheck](id, condition);
+        this.#add({operation: 'conditionCheck', Model, id, prepared});
+    }
+
+    // private methods:
+    #checkModel(Model) {
+        if (this.#completed) {
+            throw new Error('The transaction has already completed.');
+        }
+        if (Model?.[kModelTable] !== this.#table) {
+            throw new Error(`Only models belonging to table ${this.#table.name} can be used in its transactions.`);
+        }
+    }
+
+    #checkDocument(doc) {
+        this.#checkModel(doc?.constructor);
+    }
+
+    #add(operation) {
+        const schema = operation.Model[kModelSchema];
+        // dynamodb rejects transactions with more than one operation on the
+        // same item:
+        const Key = operation.Model[kModelPrimaryKey](operation.document ?? operation.id);
+        const key = keyString(schema, Key);
+        if (this.#keys.has(key)) {
+            throw new Error(`The transaction already includes an operation on .${schema.idFieldName}="${Key[schema.idFieldName]}".`);
+        }
+        const itemCount = [...this.#operations, operation].reduce((n, op) => n + operationItems(op).length, 0);
+        if (itemCount > kTransactWriteItemLimit) {
+            throw new Error(`Transactions are limited to ${kTransactWriteItemLimit} operations.`);
+        }
+        this.#keys.add(key);
+        this.#operations.push(operation);
+    }
+
+    async #commit({abortSignal}) {
+        if (!this.#operations.length) {
+            return;
+        }
+        const sendOptions = {
+            ...(abortSignal && {abortSignal})
+        };
+        const command = new TransactWriteCommand({
+            TransactItems: this.#operations.flatMap(operationItems)
+        });
+        this.#logger.trace({command, sendOptions}, 'transaction');
+        try {
+            const response = await this.#table[kTableDDBClient].send(command, sendOptions);
+            this.#logger.trace({response}, 'transaction response');
+        } catch (e) {
+            if (e.name === 'TransactionCanceledException') {
+                // the cancellation reasons are in the same order as the
+                // items, with a code of 'None' for items that did not cause
+                // the cancellation:
+                let offset = 0;
+                const failedOperations = this.#operations.map((operation) => {
+                    const count = operationItems(operation).length;
+                    const reason = e.CancellationReasons?.slice(offset, offset + count).find(r => r && r.Code !== 'None');
+                    offset += count;
+                    if (!reason) {
+                        return null;
+                    }
+                    const {prepared, ...rest} = operation;
+                    const idFieldName = operation.Model[kModelSchema].idFieldName;
+                    return {
+                        ...rest,
+                        code: reason.Code,
+                        error: (reason.Code === 'ConditionalCheckFailed')?
+                            prepared.conditionFailedError() :
+                            new Error(`${reason.Code} for .${idFieldName}="${operation.id}"${reason.Message? `: ${reason.Message}` : ''}.`)
+                    };
+                }).filter(x => x);
+                const err = new Error(`Transaction cancelled: ${failedOperations.map(({error}) => error.message).join(' ') || e.message}`);
+                err.failedOperations = failedOperations;
+                err.cause = e;
+                throw err;
+                /* c8 ignore next 3 */
+            } else {
+                throw e;
+            }
+        }
+        for (const {prepared} of this.#operations) {
+            prepared.onSuccess();
+        }
+    }
+
+    // static methods:
+    static #run_options_validate = ajv.compile({
+        type: 'object',
+        properties: {
+            abortSignal: abortSignalSchema,
+        },
+        additionalProperties: false
+    });
+    // call fn with a new transaction, and commit the transaction once the
+    // (possibly async) function has returned, resolving with its return value.
+    static async run(table, logger, fn, options) {
+        if (!Transaction.#run_options_validate(options)) {
+            throw new Error(`Invalid options: ${inspect(Transaction.#run_options_validate.errors, {breakLength:Infinity})}.`);
+        }
+        if (typeof fn !== 'function') {
+            throw new Error('The transaction callback must be a function.');
+        }
+        const tx = new Transaction(table, logger);
+        let result;
+        try {
+            result = await fn(tx);
+        } finally {
+            // no more operations can be added after the function returns (or
+            // throws, in which case nothing is committed):
+            tx.#completed = true;
+        }
+        await tx.#commit(options);
+        return result;
+    }
+}
+
+module.exports = {
+    Transaction
+};
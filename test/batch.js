@@ -0,0 +1,163 @@
+const tap = require('tap');
+const { BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+tap.test('batch writes:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-batch'});
+    const otherTable = DynamoDM.Table({ name: 'test-table-batch-other'});
+    const ThingSchema = DynamoDM.Schema('thing', {
+        properties: {
+            n:            {type: 'number'},
+            blob:         DynamoDM.Binary,
+            createdAt:    DynamoDM.CreatedAtField,
+            updatedAt:    DynamoDM.UpdatedAtField
+        }
+    });
+    const OtherSchema = DynamoDM.Schema('other', {
+        properties: {
+            s:            {type: 'string'},
+        }
+    });
+    const Thing = table.model(ThingSchema);
+    const Other = table.model(OtherSchema);
+    const ThingInOtherTable = otherTable.model(DynamoDM.Schema('thing', {}));
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+        otherTable.destroyConnection();
+    });
+
+    await t.test('saveMany', async t => {
+        const things = Array.from({length: 60}, (_, n) => new Thing({n, blob: Buffer.from(`blob ${n}`)}));
+        const results = await Thing.saveMany(things);
+        t.equal(results.length, 60, 'should return a result for each document');
+        t.ok(results.every(r => r.ok === true), 'should save all documents');
+        t.ok(things.every(x => x.v === 1), 'should set the version of new documents');
+        t.ok(things.every(x => x.createdAt instanceof Date && x.updatedAt instanceof Date), 'should set timestamps');
+        t.ok(things.every(x => !x.isModified()), 'saved documents should not be modified');
+        const loaded = await Thing.getByIds(things.map(x => x.id));
+        t.strictSame(loaded, things, 'should save all documents');
+
+        things[0].n = 100;
+        await t.resolves(things[0].save(), 'saved documents should be saved as existing documents afterwards');
+        t.equal(things[0].v, 2, 'should increment the version when saving again');
+
+        const concurrent = await Thing.getById(things[1].id);
+        concurrent.n = 101;
+        await concurrent.save();
+        things[1].n = 102;
+        things[2].n = 'invalid';
+        const results2 = await Thing.saveMany([things[1], things[2], things[3]]);
+        t.match(results2, [{ok: true}, {ok: false, error: {message: 'Document does not match schema for thing: /n must be number.'}}, {ok: true}], 'should report errors for each document');
+        t.equal(things[1].v, 2, 'should increment the version of existing documents');
+        t.match(await Thing.getById(things[1].id), {n: 102, v: 2}, 'should overwrite documents without checking the version');
+        t.equal(things[2].v, 1, 'should not increment the version of documents that failed');
+
+        t.strictSame(await Thing.saveMany([]), [], 'should accept an empty array');
+        await t.rejects(Thing.saveMany([new Other()]), {message: 'Invalid documents: must be an array of thing documents.'}, 'should reject documents of other types');
+        await t.rejects(Thing.saveMany(things[0]), {message: 'Invalid documents: must be an array of thing documents.'}, 'should reject non-arrays');
+        await t.rejects(Thing.saveMany([], {foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
+    });
+
+    await t.test('removeMany', async t => {
+        const things = Array.from({length: 30}, (_, n) => new Thing({n}));
+        await Thing.saveMany(things);
+        const results = await Thing.removeMany([...things.slice(0, 15), ...things.slice(15).map(x => x.id), 'nonexistent']);
+        t.equal(results.length, 31, 'should return a result for each document');
+        t.ok(results.every(r => r.ok === true), 'should remove all documents');
+        t.ok((await Thing.getByIds(things.map(x => x.id))).every(x => x === null), 'should remove documents by document and by id');
+        await t.rejects(Thing.removeMany([1]), {message: 'Invalid documents: must be an array of thing documents or ids.'}, 'should reject invalid ids');
+        await t.rejects(Thing.removeMany([], {foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
+    });
+
+    await t.test('batchWrite', async t => {
+        const thing = await new Thing({n: 1}).save();
+        const other = await new Other({s: 'a'}).save();
+        const newOther = new Other({s: 'b'});
+        thing.n = 2;
+        const results = await table.batchWrite([
+            {save: thing},
+            {remove: other},
+            {save: newOther},
+            {remove: newOther.id, Model: Other},
+            {save: newOther},
+        ]);
+        t.match(results, [{ok: true}, {ok: true}, {ok: true}, {ok: true}, {ok: true}], 'should write documents of different types');
+        t.match(await Thing.getById(thing.id), {n: 2, v: 2}, 'should save documents');
+        t.equal(await Other.getById(other.id), null, 'should remove documents');
+        t.match(await Other.getById(newOther.id), {s: 'b'}, 'should write multiple requests for the same document in order');
+
+        const invalidItems = 'Invalid items: must be an array of {save: doc}, {remove: doc}, or {remove: id, Model}, with models belonging to this table.';
+        await t.rejects(table.batchWrite([{save: new ThingInOtherTable()}]), {message: invalidItems}, 'should reject models from other tables');
+        await t.rejects(table.batchWrite([{remove: 'id'}]), {message: invalidItems}, 'should reject removing ids without a model');
+        await t.rejects(table.batchWrite([{update: thing}]), {message: invalidItems}, 'should reject unknown operations');
+        await t.rejects(table.batchWrite({save: thing}), {message: 'Invalid items: must be an array of {save: doc}, {remove: doc}, or {remove: id, Model}.'}, 'should reject non-arrays');
+        await t.rejects(table.batchWrite([], {foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
+    });
+
+    await t.test('unprocessed items', async t => {
+        const things = Array.from({length: 3}, (_, n) => new Thing({n}));
+        const originalSend = table.docClient.send;
+        let callNumber = 0;
+        // to test unprocessed items we have to mock the client send command,
+        // as the local test database never throttles requests:
+        const commandSendResults = t.capture(table.docClient, 'send', async function(command){
+            if (command instanceof BatchWriteCommand) {
+                callNumber += 1;
+                if (callNumber === 1) {
+                    // process only the first item on the first call
+                    const [first, ...unprocessed] = command.input.RequestItems[table.name];
+                    // eslint-disable-next-line
+                    await originalSend.call(this, new BatchWriteCommand({ RequestItems: { [table.name]: [first] } }));
+                    return { UnprocessedItems: { [table.name]: unprocessed } };
+                }
+            }
+            // eslint-disable-next-line
+            return originalSend.apply(this, arguments);
+        });
+        const results = await Thing.saveMany(things);
+        t.equal(commandSendResults().length, 2, 'should retry unprocessed items');
+        t.match(results, [{ok: true}, {ok: true}, {ok: true}], 'should save all documents');
+        t.ok((await Thing.getByIds(things.map(x => x.id))).every(x => x), 'should save unprocessed documents');
+    });
+
+    await t.test('exceeding retries', async t => {
+        const table2 = DynamoDM.Table({ name: 'test-table-batch', retry: { maxRetries: 0 }});
+        const Thing2 = table2.model(ThingSchema);
+        table2.assumeReady();
+        t.after(async () => { table2.destroyConnection(); });
+        const things = Array.from({length: 2}, (_, n) => new Thing2({n}));
+        const originalSend = table2.docClient.send;
+        t.capture(table2.docClient, 'send', async function(command){
+            if (command instanceof BatchWriteCommand) {
+                const [first, ...unprocessed] = command.input.RequestItems[table2.name];
+                // eslint-disable-next-line
+                await originalSend.call(this, new BatchWriteCommand({ RequestItems: { [table2.name]: [first] } }));
+                return { UnprocessedItems: { [table2.name]: unprocessed } };
+            }
+            // eslint-disable-next-line
+            return originalSend.apply(this, arguments);
+        });
+        const results = await Thing2.saveMany(things);
+        t.match(results, [{ok: true}, {ok: false, error: {message: 'Request failed: maximum retries exceeded.'}}], 'should report items that could not be written');
+        t.equal(things[1].v, 0, 'should not update the version of documents that were not written');
+    });
+
+    await t.test('aborting', async t => {
+        const ac = new AbortController();
+        ac.abort(new Error('my reason'));
+        const results = await Thing.saveMany([new Thing({n: 1})], {abortSignal: ac.signal});
+        t.match(results, [{ok: false, error: {name: 'AbortError', message: 'Request aborted'}}], 'should be abortable');
+    });
+});
+
+tap.end();
@@ -0,0 +1,172 @@
+const tap = require('tap');
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+tap.test('composed index keys:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-composed'});
+    const CommentSchema = DynamoDM.Schema('comment', {
+        properties: {
+            user:         {type: 'string'},
+            at:           DynamoDM.Timestamp,
+            text:         {type: 'string'},
+            likes:        {type: 'number'},
+        }
+    }, {
+        index: {
+            byUserAndTime: {
+                hashKey: 'type',
+                sortKey: {compose: ['user', 'at']},
+                project: 'all'
+            },
+            byLength: {
+                hashKey: 'type',
+                sortKey: {compute: doc => doc.text?.length, attribute: 'textLength', type: 'number'}
+            }
+        }
+    });
+    const UploadSchema = DynamoDM.Schema('upload', {
+        properties: {
+            user:         {type: 'string'},
+            at:           DynamoDM.Timestamp,
+            url:          {type: 'string'},
+        }
+    }, {
+        index: {
+            byUserAndTime: {
+                hashKey: 'type',
+                sortKey: {compose: ['user', 'at']},
+                project: 'all'
+            }
+        }
+    });
+    const Comment = table.model(CommentSchema);
+    const Upload = table.model(UploadSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    const dates = Array.from({length: 5}, (_, i) => new Date(Date.UTC(2024, 0, i + 1)));
+    const comments = [];
+    for (const user of ['u1', 'u2']) {
+        for (const [i, at] of dates.entries()) {
+            comments.push(await new Comment({user, at, text: `${user} comment ${'x'.repeat(i)}`}).save());
+        }
+    }
+    const upload = await new Upload({user: 'u1', at: dates[0], url: 'https://example.com/1'}).save();
+
+    await t.test('saving', async t => {
+        const item = (await table.docClient.send(new GetCommand({TableName: table.name, Key: {id: comments[1].id}}))).Item;
+        t.equal(item['user#at'], `u1#${dates[1].toISOString()}`, 'should write the composed attribute');
+        t.equal(item.textLength, comments[1].text.length, 'should write the computed attribute');
+
+        const loaded = await Comment.getById(comments[1].id);
+        t.notOk('user#at' in loaded, 'should not load the composed attribute as a property');
+        t.notOk('textLength' in loaded, 'should not load the computed attribute as a property');
+
+        const c = await new Comment({user: 'u3', at: dates[0], text: 'moving'}).save();
+        c.user = 'u4';
+        c.text = 'moved';
+        await c.save();
+        const moved = (await table.docClient.send(new GetCommand({TableName: table.name, Key: {id: c.id}}))).Item;
+        t.equal(moved['user#at'], `u4#${dates[0].toISOString()}`, 'should update the composed attribute when its parts are modified');
+        t.equal(moved.textLength, 5, 'should update the computed attribute when the document is modified');
+
+        const partial = await Comment.getById(c.id, {select: ['user']});
+        partial.user = 'u5';
+        await partial.save();
+        t.equal((await table.docClient.send(new GetCommand({TableName: table.name, Key: {id: c.id}}))).Item['user#at'], `u4#${dates[0].toISOString()}`, 'should not update composed attributes from parts that were not loaded');
+
+        const withPart = await Comment.getById(c.id, {select: ['user', 'at']});
+        withPart.user = 'u6';
+        await withPart.save();
+        t.equal((await table.docClient.send(new GetCommand({TableName: table.name, Key: {id: c.id}}))).Item['user#at'], `u6#${dates[0].toISOString()}`, 'should update composed attributes from loaded parts');
+
+        const current = await Comment.getById(c.id);
+        current.user = undefined;
+        await current.save();
+        t.notOk('user#at' in (await table.docClient.send(new GetCommand({TableName: table.name, Key: {id: c.id}}))).Item, 'should remove the composed attribute when a part is removed');
+        await current.remove();
+
+        await t.rejects(new Comment({user: 'u#1', at: dates[0]}).save(), {message: 'Invalid value for .user: the parts of a composed index key cannot contain the separator "#".'}, 'should reject parts containing the separator');
+        const BadSchema = DynamoDM.Schema('bad', {properties: {text: {type: 'string'}}}, {
+            index: {byBad: {hashKey: 'type', sortKey: {compute: doc => doc.text, attribute: 'badLength', type: 'number'}}}
+        });
+        const badTable = DynamoDM.Table({ name: 'test-table-composed'});
+        const Bad = badTable.model(BadSchema);
+        badTable.assumeReady();
+        await t.rejects(new Bad({id: 'bad.1', text: 'abc'}).save(), {message: 'The computed index key .badLength for the model .id="bad.1" must be a number (compute returned string).'}, 'should reject computed values of the wrong type');
+        badTable.destroyConnection();
+    });
+
+    await t.test('queries', async t => {
+        const commandSendResults = t.capture(table.docClient, 'send', table.docClient.send);
+        const u1 = await Comment.queryMany({type: 'comment', user: 'u1'});
+        t.strictSame(u1.map(c => c.id), comments.slice(0, 5).map(c => c.id), 'should query by the leading parts of the composed key, in order');
+        const {input} = commandSendResults()[0].args[0];
+        t.equal(input.IndexName, 'byUserAndTime', 'should query the index with the composed key');
+        t.match(input.KeyConditionExpression, /begins_with/, 'should query with a $begins condition');
+        t.notOk(input.FilterExpression, 'should not filter the query');
+
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u1', at: dates[2]})).map(c => c.id), [comments[2].id], 'should query by all of the parts');
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u1', at: {$gt: dates[2]}})).map(c => c.id), comments.slice(3, 5).map(c => c.id), 'should support $gt on the last part');
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u1', at: {$gte: dates[2]}})).map(c => c.id), comments.slice(2, 5).map(c => c.id), 'should support $gte on the last part');
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u2', at: {$lt: dates[2]}})).map(c => c.id), comments.slice(5, 7).map(c => c.id), 'should support $lt on the last part');
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u2', at: {$lte: dates[2]}})).map(c => c.id), comments.slice(5, 8).map(c => c.id), 'should support $lte on the last part');
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u2', at: {$between: [dates[1], dates[3]]}})).map(c => c.id), comments.slice(6, 9).map(c => c.id), 'should support $between on the last part');
+        t.strictSame((await Comment.queryMany({type: 'comment', user: 'u1', text: {$begins: 'u1 comment xx'}})).map(c => c.id), comments.slice(2, 5).map(c => c.id), 'should filter by other fields');
+
+        t.strictSame((await Upload.queryMany({type: 'upload', user: 'u1'})).map(u => u.url), ['https://example.com/1'], 'should query indexes shared by other models');
+
+        const page = await Comment.queryPage({type: 'comment', user: 'u2', at: {$gt: dates[0]}}, {limit: 2});
+        t.strictSame(page.items.map(c => c.id), comments.slice(6, 8).map(c => c.id), 'should return the first page');
+        const next = await Comment.queryPage({type: 'comment', user: 'u2', at: {$gt: dates[0]}}, {limit: 2, cursor: page.nextCursor});
+        t.strictSame(next.items.map(c => c.id), comments.slice(8, 10).map(c => c.id), 'should continue from the cursor');
+        const after = await Comment.queryMany({type: 'comment', user: 'u2'}, {startAfter: comments[7]});
+        t.strictSame(after.map(c => c.id), comments.slice(8, 10).map(c => c.id), 'should support startAfter');
+
+        const long = await Comment.queryManyIds({type: 'comment', textLength: {$gt: 'u1 comment xxx'.length}});
+        t.strictSame(long.sort(), [comments[4].id, comments[9].id].sort(), 'should query computed keys by their attribute');
+
+        await t.rejects(Comment.queryMany({type: 'comment', user: 1}), {message: 'Value does not match schema for user:  must be string.'}, 'should validate the values of the parts');
+    });
+
+    await t.test('updates', async t => {
+        await t.rejects(Upload.updateById(upload.id, {$set: {user: 'u3'}}), {message: 'Invalid update: .user is part of a composed index key, and can only be modified by saving the document.'}, 'should reject updates to the parts of composed keys');
+        await t.rejects(Upload.updateById(upload.id, {$set: {'user#at': 'u3'}}), {message: 'Invalid update: .user#at is maintained automatically and cannot be updated.'}, 'should reject updates to derived keys');
+        t.match(await Upload.updateById(upload.id, {$set: {url: 'https://example.com/2'}}), {url: 'https://example.com/2'}, 'should allow updates to other properties of models with composed keys');
+
+        const computedError = {message: 'Invalid update: the comment schema has the computed index key .textLength, so its documents can only be modified by saving them.'};
+        await t.rejects(Comment.updateById(comments[0].id, {$set: {text: 'abcdefghij'}}), computedError, 'should reject updates to models with computed keys');
+        await t.rejects(Comment.findOneAndUpdate({type: 'comment', user: 'u1'}, {$set: {text: 'abcdefghij'}}), computedError, 'should reject findOneAndUpdate on models with computed keys');
+        await t.rejects(Comment.upsert(comments[0].id, {$set: {text: 'abcdefghij'}}), computedError, 'should reject upserts of models with computed keys');
+        await t.rejects(Comment.increment(comments[0].id, {likes: 1}), computedError, 'should reject increments of models with computed keys');
+        await t.rejects(table.transaction(tx => tx.update(Comment, comments[0].id, {$set: {text: 'abcdefghij'}})), computedError, 'should reject updates in transactions of models with computed keys');
+        const item = (await table.docClient.send(new GetCommand({TableName: table.name, Key: {id: comments[0].id}}))).Item;
+        t.equal(item.text, comments[0].text, 'should not modify the document');
+        t.equal(item.textLength, comments[0].text.length, 'should not leave the computed key out of date');
+    });
+
+    await t.test('incompatible compositions', async t => {
+        const otherTable = DynamoDM.Table({ name: 'test-table-composed-incompatible'});
+        otherTable.model(CommentSchema);
+        otherTable.model(DynamoDM.Schema('upload', {
+            properties: { user: {type: 'string'}, at: DynamoDM.Timestamp }
+        }, {
+            index: { byUserAndTime: { hashKey: 'type', sortKey: {compose: ['at', 'user'], attribute: 'user#at'}, project: 'all' } }
+        }));
+        await t.rejects(otherTable.ready(), {message: 'Schema(s) "comment, upload" define incompatible versions of index "byUserAndTime".'}, 'should reject indexes composed differently by different schemas');
+        otherTable.destroyConnection();
+    });
+});
+
+tap.end();
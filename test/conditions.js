@@ -0,0 +1,115 @@
+const tap = require('tap');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+tap.test('conditional writes:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-conditions'});
+    const PostSchema = DynamoDM.Schema('post', {
+        properties: {
+            status:       {type: 'string'},
+            score:        {type: 'number'},
+            tags:         {type: 'array', items: {type: 'string'}},
+            author:       {type: 'object', properties: {name: {type: 'string'}}},
+            publishedAt:  DynamoDM.Timestamp,
+        }
+    });
+    const UnversionedSchema = DynamoDM.Schema('unversioned', {
+        properties: {
+            id:           DynamoDM.DocIdField,
+            status:       {type: 'string'},
+        }
+    }, {versioning: false});
+    const Post = table.model(PostSchema);
+    const Unversioned = table.model(UnversionedSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    await t.test('conditional saves', async t => {
+        const post = await new Post({status: 'draft', score: 5, tags: ['a'], author: {name: 'x'}}).save();
+        post.score = 6;
+        await t.resolves(post.save({if: {status: 'draft', score: {$lt: 10}}}), 'should save when the condition is satisfied');
+        t.equal(post.v, 2, 'should increment the version');
+
+        post.score = 7;
+        const err = await post.save({if: {status: 'published'}}).catch(e => e);
+        t.type(err, DynamoDM.ConditionFailedError, 'should reject with a ConditionFailedError');
+        t.equal(err.name, 'ConditionFailedError', 'should have the correct error name');
+        t.equal(err.message, `The model .id="${post.id}" does not satisfy the condition for saving.`, 'should have a helpful message');
+        t.equal(post.v, 2, 'should not increment the version when the condition fails');
+        t.equal(post.isModified('score'), true, 'should still be modified when the condition fails');
+        t.match(await Post.getById(post.id), {score: 6}, 'should not write when the condition fails');
+
+        await t.resolves(post.save({if: {
+            'author.name': 'x',
+            status: {$in: ['draft', 'published'], $ne: 'deleted', $contains: 'raf', $not: {$begins: 'pub'}},
+            score: {$between: [5, 6]},
+            tags: {$exists: true, $contains: 'a', $size: 1},
+            publishedAt: {$exists: false},
+            id: {$begins: 'post'}
+        }}), 'should support all condition operators');
+        t.match(await Post.getById(post.id), {score: 7, v: 3}, 'should save with multiple conditions');
+
+        const concurrent = await Post.getById(post.id);
+        concurrent.status = 'published';
+        await concurrent.save();
+        post.score = 8;
+        await t.rejects(post.save({if: {status: 'draft'}}), {message: `Version error: the model .id="${post.id}" was updated by another process between loading and saving.`}, 'should reject with a version error if the document was concurrently updated');
+
+        const newPost = new Post({status: 'draft'});
+        await t.resolves(newPost.save({if: {status: {$exists: false}}}), 'should support conditions for new documents');
+        const duplicate = new Post({id: newPost.id});
+        await t.rejects(duplicate.save({if: {status: {$exists: false}}}), {message: `An item already exists with id field .id="${newPost.id}"`}, 'should reject duplicate new documents with the existing error');
+        await t.rejects(new Post().save({if: {status: 'draft'}}), DynamoDM.ConditionFailedError, 'should reject new documents when the condition fails');
+    });
+
+    await t.test('conditional removes', async t => {
+        const post = await new Post({status: 'published', score: 1}).save();
+        await t.rejects(post.remove({if: {status: 'draft'}}), {name: 'ConditionFailedError', message: `The model .id="${post.id}" does not satisfy the condition for removing.`}, 'should reject when the condition fails');
+        t.ok(await Post.getById(post.id), 'should not remove when the condition fails');
+        await t.resolves(post.remove({if: {score: {$gte: 1}}}), 'should remove when the condition is satisfied');
+        t.equal(await Post.getById(post.id), null, 'should remove the document');
+
+        const other = await new Post({status: 'draft'}).save();
+        const concurrent = await Post.getById(other.id);
+        concurrent.status = 'published';
+        await concurrent.save();
+        await t.rejects(other.remove({if: {status: 'published'}}), {message: `Version error: the model .id="${other.id}" was updated by another process between loading and removing.`}, 'should reject with a version error if the document was concurrently updated');
+    });
+
+    await t.test('unversioned documents', async t => {
+        const doc = await new Unversioned({status: 'draft'}).save();
+        doc.status = 'published';
+        await t.rejects(doc.save({if: {status: 'archived'}}), DynamoDM.ConditionFailedError, 'should reject saves when the condition fails');
+        await t.resolves(doc.save({if: {status: 'draft'}}), 'should save when the condition is satisfied');
+        await t.rejects(doc.remove({if: {status: 'draft'}}), DynamoDM.ConditionFailedError, 'should reject removes when the condition fails');
+        await t.resolves(doc.remove({if: {status: 'published'}}), 'should remove when the condition is satisfied');
+        await t.rejects(doc.remove({if: {status: 'published'}}), DynamoDM.ConditionFailedError, 'should reject removing a removed document when the condition fails');
+    });
+
+    await t.test('invalid conditions', async t => {
+        const post = await new Post({status: 'draft'}).save();
+        post.score = 1;
+        await t.rejects(post.save({if: {score: {$regex: 'x'}}}), {message: 'Condition "$regex" is not supported. Supported conditions are: $gt, $gte, $lt, $lte, $between, $begins, $in, $ne, $exists, $contains, $size, $not.'}, 'should reject unsupported operators');
+        await t.rejects(post.save({if: {score: 'a'}}), {message: 'Value does not match schema for score:  must be number.'}, 'should check values against the schema');
+        await t.rejects(post.save({if: {score: {$in: []}}}), {message: 'Condition "$in" for .score requires an array of 1 to 100 values.'}, 'should reject empty $in');
+        await t.rejects(post.save({if: {score: {$between: [1]}}}), {message: 'Condition "$between" for .score requires an array of 2 values.'}, 'should reject invalid $between');
+        await t.rejects(post.save({if: {score: {$exists: 1}}}), {message: 'Condition "$exists" for .score requires a boolean value.'}, 'should reject invalid $exists');
+        await t.rejects(post.save({if: {author: {$exists: true, name: 'x'}}}), {message: 'Invalid condition for .author: conditions cannot be combined with other properties.'}, 'should reject mixed conditions and properties');
+        await t.rejects(post.save({if: 'status'}), {message: /Invalid options/}, 'should reject non-object conditions');
+        await t.rejects(post.save({unless: {}}), {message: /Invalid options/}, 'should reject invalid save options');
+        await t.rejects(post.remove({unless: {}}), {message: /Invalid options/}, 'should reject invalid remove options');
+        t.equal(post.v, 1, 'should not save with invalid conditions');
+    });
+});
+
+tap.end();
@@ -0,0 +1,116 @@
+const tap = require('tap');
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+async function arrayFromAsync(iter) {
+    const r = [];
+    for await (const x of iter) {
+        r.push(x);
+    }
+    return r;
+}
+
+tap.test('indexable type schemas', async t => {
+    const requiredAttributes = (schema) => Object.fromEntries(schema[Symbol.for('dynamodm:schema:indices')].flatMap(i => i.requiredAttributes).map(a => [a.AttributeName, a.AttributeType]));
+    const s = DynamoDM.Schema('s', {
+        properties: {
+            int:   {type: 'integer'},
+            bool:  {type: 'boolean'},
+            enumS: {enum: ['a', 'b']},
+            enumN: {enum: [1, 2, null]},
+            nullS: {type: ['string', 'null']},
+            nullB: {type: ['boolean', 'null']},
+        }
+    }, {index: {int: 1, bool: 1, enumS: 1, enumN: 1, nullS: 1, nullB: 1}});
+    t.strictSame(requiredAttributes(s), {int: 'N', bool: 'N', enumS: 'S', enumN: 'N', nullS: 'S', nullB: 'N'}, 'should index integers, booleans, enums and nullable types');
+
+    t.throws(() => DynamoDM.Schema('s', {properties: {mixed: {enum: ['a', 1]}}}, {index: {mixed: 1}}), {message: 'The schema type of property .mixed, "{"enum":["a",1]}" used by index "mixed" is not indexable.'}, 'should reject enums of mixed types');
+    t.throws(() => DynamoDM.Schema('s', {properties: {union: {type: ['string', 'number']}}}, {index: {union: 1}}), {message: 'The schema type of property .union, "{"type":["string","number"]}" used by index "union" is not indexable.'}, 'should reject unions of several types');
+    t.throws(() => DynamoDM.Schema('s', {properties: {obj: {type: ['object', 'null']}}}, {index: {obj: 1}}), {message: /^The schema type of property .obj, .* is not indexable.$/}, 'should reject nullable unindexable types');
+});
+
+tap.test('indexable types:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-indextypes'});
+    const ThingSchema = DynamoDM.Schema('thing', {
+        properties: {
+            isActive:   {type: 'boolean'},
+            flag:       {type: ['boolean', 'null']},
+            rank:       {type: 'integer'},
+            color:      {enum: ['red', 'green', 'blue']},
+            group:      {type: ['string', 'null']},
+            settings:   {type: 'object', properties: {enabled: {type: 'boolean'}}},
+        },
+        required: ['group']
+    }, {
+        index: {
+            isActive: 1,
+            flag: 1,
+            byColorAndRank: {hashKey: 'color', sortKey: 'rank'},
+            group: {hashKey: 'group', project: 'all'},
+            'settings.enabled': 1,
+        }
+    });
+    const Thing = table.model(ThingSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    const things = [
+        await new Thing({isActive: true,  flag: true,  rank: 1, color: 'red',   group: 'g1', settings: {enabled: true}}).save(),
+        await new Thing({isActive: false, flag: false, rank: 2, color: 'red',   group: null, settings: {enabled: false}}).save(),
+        await new Thing({isActive: true,  flag: null,  rank: 3, color: 'green', group: 'g1'}).save(),
+    ];
+    const getItem = async (id) => (await table.docClient.send(new GetCommand({TableName: table.name, Key: {id}}))).Item;
+
+    await t.test('saving and loading', async t => {
+        const item = await getItem(things[0].id);
+        t.equal(item.isActive, 1, 'should store indexed booleans as numbers');
+        t.equal(item['settings.enabled'], 1, 'should store nested indexed booleans as numbers');
+        t.strictSame(item.settings, {enabled: true}, 'should not change the nested boolean');
+        t.equal((await getItem(things[1].id)).isActive, 0, 'should store false as 0');
+        t.notOk('flag' in (await getItem(things[2].id)), 'should not write null index keys');
+        t.notOk('group' in (await getItem(things[1].id)), 'should not write required null index keys');
+
+        const loaded = await Thing.getById(things[0].id);
+        t.equal(loaded.isActive, true, 'should load indexed booleans as booleans');
+        t.equal((await Thing.getById(things[1].id)).isActive, false, 'should load false');
+        t.equal((await Thing.getById(things[1].id)).group, null, 'should load missing required null index keys as null');
+        t.equal((await Thing.getById(things[2].id)).flag, undefined, 'should load missing optional null index keys as undefined');
+
+        loaded.flag = null;
+        await loaded.save();
+        t.notOk('flag' in (await getItem(things[0].id)), 'should remove index keys set to null');
+        loaded.flag = true;
+        await loaded.save();
+
+        await Thing.updateById(things[1].id, {$set: {group: null, isActive: true}});
+        t.notOk('group' in (await getItem(things[1].id)), 'should remove index keys updated to null');
+        t.equal((await getItem(things[1].id)).isActive, 1, 'should update indexed booleans as numbers');
+        await Thing.updateById(things[1].id, {$set: {isActive: false}});
+
+        t.throws(() => new Thing({isActive: 1, group: 'g'}), {message: /must be boolean/}, 'should validate indexed booleans');
+    });
+
+    await t.test('queries', async t => {
+        t.strictSame((await Thing.queryManyIds({isActive: true})).sort(), [things[0].id, things[2].id].sort(), 'should query indexed booleans');
+        t.strictSame(await Thing.queryManyIds({isActive: false}), [things[1].id], 'should query indexed booleans by false');
+        t.strictSame((await Thing.queryManyIds({flag: {$in: [true, false]}})).sort(), [things[0].id, things[1].id].sort(), 'should query nullable booleans');
+        t.strictSame(await Thing.queryManyIds({'settings.enabled': true}), [things[0].id], 'should query nested booleans');
+        t.strictSame(await Thing.queryManyIds({color: 'red', rank: {$gt: 1}}), [things[1].id], 'should query enums and integers');
+        t.strictSame((await Thing.queryMany({group: 'g1', isActive: true})).map(x => x.id).sort(), [things[0].id, things[2].id].sort(), 'should filter by indexed booleans');
+        await t.rejects(Thing.queryMany({flag: null}), {message: /^Unsupported query/}, 'should not query null index keys');
+        t.equal((await arrayFromAsync(Thing.scan({filter: {isActive: false}}))).length, 1, 'should scan with filters on indexed booleans');
+    });
+});
+
+tap.end();
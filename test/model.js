@@ -1,4 +1,5 @@
 const tap = require('tap');
+const { BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
 
 const clientOptions = {
     endpoint: 'http://localhost:8000'
@@ -42,9 +43,19 @@ tap.test('model:', async t => {
             id:           DynamoDM.DocIdField,
         }
     });
+    let nextCustomId = 0;
+    const CustomIdSchema = DynamoDM.Schema('customid', {
+        properties: {
+            id:           DynamoDM.DocIdField,
+            n:            {type: 'number'},
+        }
+    }, {
+        generateId: () => `custom-${nextCustomId++}`
+    });
     const Foo = table.model(FooSchema);
-    table.model(BarSchema);
+    const Bar = table.model(BarSchema);
     table.model(AmbiguousSchema);
+    const CustomId = table.model(CustomIdSchema);
 
     const all_foos = [];
     for (let i = 0; i < 50; i++ ) {
@@ -100,6 +111,63 @@ tap.test('model:', async t => {
         t.equal(foo.id, all_foos[0].id, 'should get the correct document');
     });
 
+    t.test('table.getById with resolveType: typeField', async t => {
+        const custom = await new CustomId({n: 1}).save();
+        await t.rejects(table.getById(custom.id), {message: `Table has no matching model type for id "${custom.id}", so it cannot be loaded.`}, 'should not resolve custom ids from the id prefix');
+        const loaded = await table.getById(custom.id, {resolveType: 'typeField'});
+        t.equal(loaded.constructor, CustomId, 'should get the correct type from the type field');
+        t.match(loaded, {id: custom.id, n: 1}, 'should get the correct document');
+        const bar = await new Bar({barVal: 1}).save();
+        t.equal((await table.getById(bar.id, {resolveType: 'typeField', ConsistentRead: true})).constructor, Bar, 'should not be ambiguous when the type field is used');
+        t.equal((await table.getById(all_foos[0].id, {resolveType: 'typeField'})).constructor, Foo, 'should load documents with default ids');
+        t.equal(await table.getById('custom-nonexistent', {resolveType: 'typeField'}), null, 'should resolve null for nonexistent ids');
+        t.equal((await table.getById(all_foos[0].id, {resolveType: 'idPrefix'})).constructor, Foo, 'should support resolving the type from the id prefix explicitly');
+        await t.rejects(table.getById('', {resolveType: 'typeField'}), {message: 'Invalid id: must be string of nonzero length.'}, 'should reject empty ids');
+        await t.rejects(table.getById(custom.id, {resolveType: 'other'}), {message: /^Invalid options/}, 'should reject invalid resolveType');
+        await t.rejects(table.getById(custom.id, {foo: 1}), {message: /^Invalid options/}, 'should reject invalid options');
+    });
+
+    t.test('table.getByIds', async t => {
+        const customs = [new CustomId({n: 1}), new CustomId({n: 2})];
+        await CustomId.saveMany(customs);
+        const bar = await new Bar({barVal: 2}).save();
+        const ids = [customs[0].id, all_foos[1].id, 'nonexistent', bar.id, customs[1].id, customs[0].id];
+        const loaded = await table.getByIds(ids);
+        t.strictSame(loaded.map(x => x?.constructor), [CustomId, Foo, undefined, Bar, CustomId, CustomId], 'should load documents of each type');
+        t.strictSame(loaded.map(x => x?.id ?? null), [customs[0].id, all_foos[1].id, null, bar.id, customs[1].id, customs[0].id], 'should load documents in order, with null for nonexistent documents');
+        t.equal(loaded[0].n, 1, 'should load the document attributes');
+
+        // to test unprocessed keys we have to mock the client send command,
+        // as the local test database doesn't reliably return them:
+        const originalSend = table.docClient.send;
+        let callNumber = 0;
+        const commandSendResults = t.capture(table.docClient, 'send', async function(command){
+            callNumber += 1;
+            if (callNumber === 1) {
+                // process only the first key on the first call
+                const [first, ...unprocessed] = command.input.RequestItems[table.name].Keys;
+                // eslint-disable-next-line
+                const response = await originalSend.call(this, new BatchGetCommand({ RequestItems: { [table.name]: {Keys: [first]} } }));
+                return { ...response, UnprocessedKeys: { [table.name]: { Keys: unprocessed } } };
+            }
+            // eslint-disable-next-line
+            return originalSend.apply(this, arguments);
+        });
+        const retried = await table.getByIds([customs[0].id, customs[1].id, bar.id], {ConsistentRead: true});
+        t.equal(commandSendResults().length, 2, 'should retry unprocessed keys');
+        t.strictSame(retried.map(x => x.id), [customs[0].id, customs[1].id, bar.id], 'should load unprocessed keys');
+        commandSendResults.restore();
+
+        const foos = await table.getByIds(all_foos.slice(0, 20).map(f => f.id));
+        t.strictSame(foos.map(f => f.id), all_foos.slice(0, 20).map(f => f.id), 'should load many documents');
+        t.ok(foos.every(f => f instanceof Foo), 'should load all documents as the correct type');
+
+        t.strictSame(await table.getByIds([]), [], 'should accept an empty array');
+        await t.rejects(table.getByIds('id'), {message: 'Invalid ids: must be array of strings of nonzero length.'}, 'should reject non-arrays');
+        await t.rejects(table.getByIds(['']), {message: 'Invalid ids: must be array of strings of nonzero length.'}, 'should reject empty ids');
+        await t.rejects(table.getByIds([], {foo: 1}), {message: /^Invalid options/}, 'should reject invalid options');
+    });
+
     t.test('getByIds', async t => {
         t.rejects(Foo.getByIds([null]), 'should reject null id');
         t.rejects(Foo.getByIds(['someid'], {foo:1}), 'should reject invalid option');
@@ -0,0 +1,186 @@
+const tap = require('tap');
+const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+async function arrayFromAsync(iter) {
+    const r = [];
+    for await (const x of iter) {
+        r.push(x);
+    }
+    return r;
+}
+
+tap.test('multikey index schemas', async t => {
+    const requiredAttributes = (schema) => schema[Symbol.for('dynamodm:schema:indices')].flatMap(i => i.requiredAttributes);
+    const s = DynamoDM.Schema('s', {
+        properties: {
+            tags: {type: 'array', items: {type: 'string'}},
+            scores: {type: 'array', items: {type: 'integer'}},
+        }
+    }, {index: {byTag: {hashKey: 'tags', multikey: true}, byScore: {hashKey: 'scores', multikey: true}}});
+    t.strictSame(requiredAttributes(s), [{AttributeName: 'tags[]', AttributeType: 'S'}, {AttributeName: 'scores[]', AttributeType: 'N'}], 'should index the values of arrays');
+
+    t.throws(() => DynamoDM.Schema('s', {properties: {tags: {type: 'string'}}}, {index: {byTag: {hashKey: 'tags', multikey: true}}}), {message: 'The schema type of property .tags, "{"type":"string"}" used by multikey index "byTag" must be an array of indexable values.'}, 'should require an array property');
+    t.throws(() => DynamoDM.Schema('s', {properties: {tags: {type: 'array', items: {type: 'object'}}}}, {index: {byTag: {hashKey: 'tags', multikey: true}}}), {message: /^The schema type of property .tags, .* must be an array of indexable values.$/}, 'should require indexable array items');
+    t.throws(() => DynamoDM.Schema('s', {properties: {}}, {index: {byTag: {hashKey: 'tags', multikey: true}}}), {message: 'The schema must define the type of property .tags used by index "byTag".'}, 'should require the property to be defined');
+    t.throws(() => DynamoDM.Schema('s', {properties: {a: {type: 'object', properties: {tags: {type: 'array', items: {type: 'string'}}}}}}, {index: {byTag: {hashKey: 'a.tags', multikey: true}}}), {message: 'Invalid index specification for multikey index "byTag": the hashKey must be the name of a top-level array property.'}, 'should reject nested properties');
+    t.throws(() => DynamoDM.Schema('s', {properties: {tags: {type: 'array', items: {type: 'string'}}, n: {type: 'number'}}}, {index: {byTag: {hashKey: 'tags', sortKey: 'n', multikey: true}}}), {message: 'Invalid index specification for multikey index "byTag": multikey indexes cannot be local, or have a sortKey or projected attributes.'}, 'should reject sort keys');
+    t.throws(() => DynamoDM.Schema('s', {properties: {tags: {type: 'array', items: {type: 'string'}}}}, {index: {byTag: {hashKey: 'tags', multikey: true, project: 'all'}}}), {message: 'Invalid index specification for multikey index "byTag": multikey indexes cannot be local, or have a sortKey or projected attributes.'}, 'should reject projections');
+});
+
+tap.test('multikey indexes with table key indexes', async t => {
+    const EventSchema = DynamoDM.Schema('event', {
+        properties: {
+            at:   DynamoDM.Timestamp,
+            tags: {type: 'array', items: {type: 'string'}},
+        }
+    }, {
+        sortKey: 'at',
+        index: {
+            byTag: {hashKey: 'tags', multikey: true},
+            byTime: {hashKey: 'at'},
+        }
+    });
+    const table = DynamoDM.Table({ name: 'test-table-multikey-keys'});
+    table.model(EventSchema);
+    await t.rejects(table.ready(), {message: 'Schemas in table test-table-multikey-keys define multikey indexes, so index "byTime" cannot be keyed only on the id and sort key fields.'}, 'should reject indexes keyed on the sort key field');
+    table.destroyConnection();
+
+    const otherTable = DynamoDM.Table({ name: 'test-table-multikey-keys'});
+    otherTable.model(DynamoDM.Schema('event', {properties: {at: DynamoDM.Timestamp, tags: {type: 'array', items: {type: 'string'}}}}, {sortKey: 'at', index: {byTag: {hashKey: 'tags', multikey: true}}}));
+    otherTable.model(DynamoDM.Schema('other', {properties: {at: DynamoDM.Timestamp}}, {sortKey: 'at', index: {byTime: {hashKey: 'at'}}}));
+    await t.rejects(otherTable.ready(), {message: /^Schemas in table test-table-multikey-keys define multikey indexes, so index "byTime" cannot be keyed/}, 'should reject indexes keyed on the sort key field by other schemas in the table');
+    otherTable.destroyConnection();
+});
+
+tap.test('multikey indexes:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-multikey'});
+    const PostSchema = DynamoDM.Schema('post', {
+        properties: {
+            title:  {type: 'string'},
+            tags:   {type: 'array', items: {type: 'string'}},
+            days:   {type: 'array', items: DynamoDM.Timestamp},
+        }
+    }, {
+        index: {
+            byTag: {hashKey: 'tags', multikey: true},
+            byDay: {hashKey: 'days', multikey: true},
+        }
+    });
+    const Post = table.model(PostSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    const indexItems = async () => (await table.docClient.send(new ScanCommand({TableName: table.name}))).Items.filter(item => 'dynamodm:parent' in item);
+    const tagItems = async (post) => (await indexItems()).filter(item => item['dynamodm:parent'] === post.id && 'tags[]' in item).map(item => item['tags[]']).sort();
+
+    const days = [new Date(Date.UTC(2024, 0, 1)), new Date(Date.UTC(2024, 0, 2))];
+    const posts = [
+        await new Post({title: 'a', tags: ['x', 'y', 'x'], days}).save(),
+        await new Post({title: 'b', tags: ['y', 'z']}).save(),
+        await new Post({title: 'c'}).save(),
+    ];
+
+    await t.test('saving', async t => {
+        t.strictSame(await tagItems(posts[0]), ['x', 'y'], 'should write an index item for each distinct value');
+        t.strictSame(await tagItems(posts[2]), [], 'should not write index items for missing arrays');
+        const dayItems = (await indexItems()).filter(item => 'days[]' in item).map(item => item['days[]']).sort();
+        t.strictSame(dayItems, days.map(d => d.getTime()), 'should marshall the values');
+
+        const loaded = await Post.getById(posts[1].id);
+        loaded.tags = ['z', 'w'];
+        await loaded.save();
+        t.strictSame(await tagItems(posts[1]), ['w', 'z'], 'should add and remove index items when the array is modified');
+        loaded.title = 'b2';
+        await loaded.save();
+        t.strictSame(await tagItems(posts[1]), ['w', 'z'], 'should not change index items when other properties are modified');
+
+        const stale = await Post.getById(posts[1].id);
+        loaded.tags = ['y', 'z'];
+        await loaded.save();
+        stale.tags = ['q'];
+        await t.rejects(stale.save(), {message: /^Version error/}, 'should check the version when writing index items');
+        t.strictSame(await tagItems(posts[1]), ['y', 'z'], 'should not write index items if the document is not saved');
+
+        const partial = await Post.getById(posts[1].id, {select: ['title']});
+        partial.tags = ['q'];
+        await t.rejects(partial.save(), {message: `The model .id="${posts[1].id}" was created from partial data without .tags, which is indexed by the multikey index "byTag", so .tags cannot be modified without reloading it.`}, 'should reject modifying arrays which were not loaded');
+        await t.rejects(partial.remove(), {message: `The model .id="${posts[1].id}" was created from partial data without .tags, which is indexed by the multikey index "byTag", so it cannot be removed without reloading it.`}, 'should reject removing documents without their indexed arrays');
+
+        const tooMany = new Post({tags: Array.from({length: 100}, (_, i) => `t${i}`)});
+        await t.rejects(tooMany.save(), {message: `The model .id="${tooMany.id}" cannot be saved, because it would write 100 multikey index items, and at most 99 can be written with the document.`}, 'should reject arrays with too many values to write');
+    });
+
+    await t.test('queries', async t => {
+        t.strictSame((await Post.queryMany({tags: 'x'})).map(p => p.title), ['a'], 'should query documents by a value of the array');
+        t.strictSame((await Post.queryManyIds({tags: 'y'})).sort(), [posts[0].id, posts[1].id].sort(), 'should query ids');
+        t.strictSame((await Post.queryManyIds({tags: {$in: ['x', 'y', 'z']}})).sort(), [posts[0].id, posts[1].id].sort(), 'should return each document once for $in conditions');
+        t.equal(await Post.countDocuments({tags: 'y'}), 2, 'should count documents');
+        t.equal(await Post.countDocuments({tags: {$in: ['x', 'y']}}), 2, 'should count distinct documents for $in conditions');
+        t.strictSame((await Post.queryMany({days: days[1]})).map(p => p.title), ['a'], 'should query by marshalled values');
+        t.strictSame((await arrayFromAsync(Post.queryIterator({tags: 'y'}))).map(p => p.id).sort(), [posts[0].id, posts[1].id].sort(), 'should iterate over documents');
+
+        const first = await Post.queryPage({tags: 'y'}, {limit: 1});
+        const second = await Post.queryPage({tags: 'y'}, {limit: 1, cursor: first.nextCursor});
+        t.strictSame([...first.items, ...second.items].map(p => p.id).sort(), [posts[0].id, posts[1].id].sort(), 'should query pages');
+        const [firstPost] = await Post.queryMany({tags: 'y'}, {limit: 1});
+        const after = await Post.queryMany({tags: 'y'}, {startAfter: firstPost});
+        t.strictSame(after.map(p => p.id), [posts[0].id, posts[1].id].filter(id => id !== firstPost.id), 'should support startAfter');
+
+        await t.rejects(Post.queryMany({tags: 1}), {message: 'Value does not match schema for tags:  must be string.'}, 'should validate query values against the array items');
+        await t.rejects(Post.queryMany({tags: 'y', title: 'a'}), {message: /^Unsupported query: .*The query field title is not projected into the index byTag/}, 'should not filter multikey queries by other fields');
+
+        t.match(await Post.findOneAndUpdate({tags: 'z'}, {$set: {title: 'b2'}}, {returnNew: true}), {id: posts[1].id, title: 'b2'}, 'should update documents found by a value of the array');
+        t.match(await Post.findOneAndUpdate({tags: {$in: ['w', 'z']}}, {$set: {title: 'b'}}), {id: posts[1].id, title: 'b2'}, 'should update documents found by $in conditions');
+        t.equal(await Post.findOneAndUpdate({tags: 'w'}, {$set: {title: 'w'}}), null, 'should not update documents whose array does not contain the value');
+        t.equal((await Post.getById(posts[1].id)).title, 'b', 'should apply the updates');
+    });
+
+    await t.test('updates and batches', async t => {
+        await t.rejects(Post.updateById(posts[0].id, {$push: {tags: 'w'}}), {message: 'Invalid update: .tags is indexed by the multikey index "byTag", and can only be modified by saving the document.'}, 'should reject updates to indexed arrays');
+        const doc = await Post.getById(posts[0].id);
+        doc.tags = ['v'];
+        t.match(await Post.saveMany([doc]), [{ok: false, error: {message: `The model .id="${doc.id}" has multikey index items to write, and cannot be saved in a batch.`}}], 'should reject batch saves which modify indexed arrays');
+        t.match(await Post.removeMany([posts[0].id]), [{ok: false, error: {message: 'The post model has multikey indexes, so its documents cannot be removed in a batch.'}}], 'should reject batch removes');
+    });
+
+    await t.test('transactions', async t => {
+        const post = new Post({title: 'd', tags: ['t1', 't2']});
+        await table.transaction(tx => tx.save(post));
+        t.strictSame(await tagItems(post), ['t1', 't2'], 'should write index items in transactions');
+        const stale = await Post.getById(post.id);
+        post.title = 'd2';
+        await post.save();
+        stale.tags = ['t3'];
+        const err = await table.transaction(tx => tx.save(stale)).catch(e => e);
+        t.match(err.failedOperations, [{operation: 'save', id: post.id, code: 'ConditionalCheckFailed', error: {message: /^Version error/}}], 'should report the failed operation');
+        await table.transaction(tx => tx.remove(post));
+        t.strictSame(await tagItems(post), [], 'should remove index items in transactions');
+    });
+
+    await t.test('scans and removal', async t => {
+        const scanned = await arrayFromAsync(Post.scan());
+        t.ok(scanned.every(p => p instanceof Post), 'should not scan index items as documents');
+        t.equal(await Post.estimatedCount(), scanned.length, 'should not count index items as documents');
+        t.equal((await arrayFromAsync(table.scanAll())).length, scanned.length, 'should skip index items when scanning the table');
+        t.equal((await arrayFromAsync(table.scanAll({limit: scanned.length}))).length, scanned.length, 'should not count index items towards the scan limit');
+        t.equal((await arrayFromAsync(table.scanAll({limit: 1}))).length, 1, 'should respect the scan limit');
+
+        await posts[0].remove();
+        t.strictSame(await tagItems(posts[0]), [], 'should remove index items with the document');
+        t.strictSame(await Post.queryManyIds({tags: 'x'}), [], 'should not query removed documents');
+    });
+});
+
+tap.end();
@@ -0,0 +1,100 @@
+const tap = require('tap');
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+tap.test('nested index key schemas', async t => {
+    t.throws(() => DynamoDM.Schema('s', {properties: {address: {type: 'object', properties: {city: {type: 'string'}}}}}, {
+        index: {byZip: {hashKey: 'address.zip'}}
+    }), {message: 'The schema must define the type of property .address.zip used by index "byZip".'}, 'should require nested key properties to be defined');
+    t.throws(() => DynamoDM.Schema('s', {properties: {address: {type: 'object', properties: {tags: {type: 'array'}}}}}, {
+        index: {byTags: {hashKey: 'address.tags'}}
+    }), {message: 'The schema type of property .address.tags, "{"type":"array"}" used by index "byTags" is not indexable.'}, 'should require nested key properties to be indexable');
+    t.throws(() => DynamoDM.Schema('s', {properties: {'address.city': {type: 'string'}, address: {type: 'object', properties: {city: {type: 'string'}}}}}, {
+        index: {byCity: {hashKey: 'address.city'}}
+    }), {message: 'Invalid index specification for index "byCity": the nested key shadow attribute .address.city is also a property of the schema.'}, 'should reject shadow attributes which are also properties');
+});
+
+tap.test('nested index keys:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-nested'});
+    const PersonSchema = DynamoDM.Schema('person', {
+        properties: {
+            name:         {type: 'string'},
+            address:      {
+                type: 'object',
+                properties: {
+                    city:  {type: 'string'},
+                    zip:   {type: 'string'},
+                    since: DynamoDM.Timestamp
+                }
+            }
+        },
+        additionalProperties: false
+    }, {
+        index: {
+            byCity: {
+                hashKey: 'address.city',
+                sortKey: 'address.since'
+            },
+            'address.zip': 1
+        }
+    });
+    const Person = table.model(PersonSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    const dates = Array.from({length: 3}, (_, i) => new Date(Date.UTC(2024, 0, i + 1)));
+    const people = [
+        await new Person({name: 'a', address: {city: 'Paris', zip: '75001', since: dates[0]}}).save(),
+        await new Person({name: 'b', address: {city: 'Paris', zip: '75002', since: dates[1]}}).save(),
+        await new Person({name: 'c', address: {city: 'Lyon', zip: '69001', since: dates[2]}}).save(),
+        await new Person({name: 'd'}).save(),
+    ];
+
+    await t.test('saving', async t => {
+        const getItem = async (id) => (await table.docClient.send(new GetCommand({TableName: table.name, Key: {id}}))).Item;
+        const item = await getItem(people[0].id);
+        t.equal(item['address.city'], 'Paris', 'should write the shadow attribute');
+        t.equal(item['address.since'], dates[0].getTime(), 'should marshall the shadow attribute');
+        t.notOk('address.city' in (await getItem(people[3].id)), 'should not write shadow attributes for missing properties');
+
+        const loaded = await Person.getById(people[0].id);
+        t.same(await loaded.toObject(), {
+            id: people[0].id, type: 'person', v: 1, name: 'a',
+            address: {city: 'Paris', zip: '75001', since: dates[0]}
+        }, 'should hide the shadow attributes');
+
+        loaded.address.city = 'Nice';
+        await loaded.save();
+        t.equal((await getItem(people[0].id))['address.city'], 'Nice', 'should update the shadow attribute when the nested property is modified');
+        loaded.address = undefined;
+        await loaded.save();
+        t.notOk('address.city' in (await getItem(people[0].id)), 'should remove the shadow attribute when the nested property is removed');
+        loaded.address = {city: 'Paris', zip: '75001', since: dates[0]};
+        await loaded.save();
+
+        await t.rejects(Person.updateById(people[0].id, {$set: {'address.city': 'Nice'}}), {message: 'Invalid update: .address.city is used by the nested index key .address.city, and can only be modified by saving the document.'}, 'should reject updates to nested key properties');
+        await t.rejects(Person.updateById(people[0].id, {$set: {address: {}}}), {message: 'Invalid update: .address is used by the nested index key .address.city, and can only be modified by saving the document.'}, 'should reject updates to the parents of nested key properties');
+    });
+
+    await t.test('queries', async t => {
+        t.strictSame((await Person.queryMany({'address.city': 'Paris'})).map(p => p.name), ['a', 'b'], 'should query nested hash keys');
+        t.strictSame((await Person.queryMany({'address.city': 'Paris', 'address.since': {$gt: dates[0]}})).map(p => p.name), ['b'], 'should query nested sort keys');
+        t.strictSame((await Person.queryMany({'address.city': {$in: ['Paris', 'Lyon']}})).map(p => p.name).sort(), ['a', 'b', 'c'], 'should support $in conditions on nested hash keys');
+        t.strictSame((await Person.queryMany({'address.zip': '69001'})).map(p => p.name), ['c'], 'should query nested keys of indexes named by their key');
+        t.strictSame((await Person.queryMany({'address.city': 'Paris'}, {startAfter: people[0]})).map(p => p.name), ['b'], 'should support startAfter');
+        await t.rejects(Person.queryMany({'address.city': 1}), {message: 'Value does not match schema for address.city:  must be string.'}, 'should validate nested key values');
+    });
+});
+
+tap.end();
@@ -285,16 +285,42 @@ tap.test('projection', async t => {
             }, 'should return projected attributes');
             t.notHas(m, { notProjected: 'np 3' }, 'should not have non-projected attributes');
 
-            await t.rejects(
-                m.save(),
-                {name:'Error', message:'Document was created from partial query data and cannot be saved.'},
-                'should not be able to save partial model'
-            );
             await t.rejects(
                 m.remove(),
                 {name:'Error', message:/Version error: the model .id="projectsome\.[a-z0-9]*" was updated by another process between loading and removing./},
                 'should not be able to remove partial that lacks required version field'
             );
+
+            const full = await ProjectSome.getById(m.id);
+            m.d = 'updated d 3';
+            await t.rejects(
+                table.transaction(tx => tx.save(m)),
+                {message: /The model .id="projectsome\.[a-z0-9]*" was created from partial data without the version field, and cannot be saved in a transaction./},
+                'should not be able to save partial model without version in a transaction'
+            );
+            await t.resolves(m.save(), 'should be able to save partial model');
+            t.equal(m.v, full.v + 1, 'should set the incremented version');
+            t.equal(m.isModified(), false, 'should not be modified after saving');
+            t.notHas(m, { notProjected: 'np 3' }, 'should still not have non-projected attributes');
+
+            const updated = await ProjectSome.getById(m.id);
+            t.match(updated, {a: 'a 1', b: 3, c: 'c 3', d: 'updated d 3', notProjected: 'np 3', notInSchema: 3, v: full.v + 1}, 'should only update modified attributes');
+
+            full.c = 'concurrently updated c';
+            await t.rejects(full.save(), {message: /Version error/}, 'should increment the stored version');
+        });
+        t.test('reload', async t => {
+            const m = await ProjectSome.queryOne({a:'a 1', b:1}, {onlyProjected: true});
+            m.c = 'not saved';
+            t.equal(await m.reload(), m, 'should resolve with the same document');
+            t.match(m, {a: 'a 1', b: 1, c: 'c 1', d: 'd 1', notProjected: 'np 1', notInSchema: 1}, 'should load all attributes, discarding modifications');
+            t.equal(m.isModified(), false, 'should not be modified after reloading');
+            m.c = 'updated c 1';
+            await m.save();
+            t.equal((await ProjectSome.getById(m.id)).c, 'updated c 1', 'should be able to save reloaded model');
+            await t.resolves(m.remove(), 'should be able to remove reloaded model');
+            await t.rejects(m.reload(), {message: /The model .id="projectsome\.[a-z0-9]*" does not exist in the database./}, 'should reject reloading a removed document');
+            await t.rejects(m.reload({foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
         });
         t.test('queryMany', async t => {
             const models = await ProjectSome.queryMany({a:'a 0'}, {onlyProjected: true});
@@ -305,24 +331,66 @@ tap.test('projection', async t => {
                 t.match(m, { a:`a ${i % 2}`, b:i, c:`c ${i}`, d:`d ${i}`, }, 'should return projected attributes');
                 t.notHas(m, { notProjected: `np ${i}` }, 'should not have non-projected attributes');
                 m.c = 'updated';
-                await t.rejects(
-                    m.save(),
-                    {name:'Error', message:'Document was created from partial query data and cannot be saved.'},
-                    'should not be able to save partial model'
-                );
+                await t.resolves(m.save(), 'should be able to save partial model');
+                t.match(await ProjectSome.getById(m.id), {c: 'updated', notProjected: `np ${i}`}, 'should only update modified attributes');
             }
         });
     });
 
-    // Currently the required schema attributes are applied even when
-    // unmarshalling from projected indexes. This could potentially be relaxed
-    // in the future:
     t.test('querying index that does not project required attribute', async t => {
-        await t.rejects(
-            RNPModel.queryOne({a:'a 1', b:3}, {onlyProjected: true}),
-            {name:'Error', message:"Document does not match schema for rnp:  must have required property 'notProjected'"},
-            'should reject with correct message'
-        );
+        const doc = await new RNPModel({a: 'rnp a', b: 1, c: 'c', d: 'd', notProjected: 'np'}).save();
+        const m = await RNPModel.queryOne({a: 'rnp a', b: 1}, {onlyProjected: true});
+        t.match(m, {id: doc.id, a: 'rnp a', b: 1, c: 'c', d: 'd'}, 'should load the projected attributes');
+        t.notOk('notProjected' in m, 'should not require attributes which are not projected');
+        m.d = 'updated d';
+        await t.resolves(m.save(), 'should save a partial model lacking required attributes which were not projected');
+        t.match(await RNPModel.getById(doc.id), {c: 'c', d: 'updated d', notProjected: 'np'}, 'should only update modified attributes');
+        m.c = undefined;
+        await t.rejects(m.save(), {message: "Document does not match schema for rnp:  must have required property 'c'"}, 'should still require attributes which were loaded');
+        await doc.reload();
+        await doc.remove();
+    });
+
+    t.test('selecting attributes', async t => {
+        const doc = await new RNPModel({a: 'select a', b: 1, c: 'c', d: 'd', notProjected: 'np'}).save();
+        const m = await RNPModel.getById(doc.id, {select: ['d']});
+        t.match(m, {id: doc.id, type: 'rnp', v: 1, d: 'd'}, 'should load the selected attributes, and the id, type and version fields');
+        t.notHas(m, {a: 'select a', c: 'c', notProjected: 'np'}, 'should not load attributes that were not selected');
+        t.equal(m.isModified(), false, 'should not be modified');
+
+        const [m2, missing] = await RNPModel.getByIds([doc.id, 'rnp.missing'], {select: ['c', 'notProjected']});
+        t.match(m2, {c: 'c', notProjected: 'np'}, 'should select attributes in getByIds');
+        t.notHas(m2, {a: 'select a', d: 'd'}, 'should not load attributes that were not selected in getByIds');
+        t.equal(missing, null, 'should return null for missing documents');
+
+        m.d = 'updated d';
+        await t.resolves(m.save(), 'should be able to save a partial model');
+        t.equal(m.v, 2, 'should increment the version');
+        t.match(await RNPModel.getById(doc.id), {a: 'select a', c: 'c', d: 'updated d', notProjected: 'np', v: 2}, 'should only update modified attributes');
+        m2.c = 'updated c';
+        await t.rejects(m2.save(), {message: /Version error/}, 'should check the version when saving a partial model');
+        await t.rejects(RNPModel.saveMany([m2]).then(([r]) => { throw r.error; }), {message: /was created from partial data/}, 'should not save partial models in a batch');
+
+        await m2.reload();
+        t.match(m2, {a: 'select a', b: 1, c: 'c', d: 'updated d', notProjected: 'np'}, 'should fully load a partial model when reloaded');
+
+        const fetched = await RNPModel.queryMany({a: 'select a'}, {select: ['notProjected']});
+        t.equal(fetched.length, 1, 'should select attributes in the fetch phase of queryMany');
+        t.match(fetched[0], {id: doc.id, notProjected: 'np'}, 'should load the selected attributes in queryMany');
+        t.notHas(fetched[0], {c: 'c', d: 'updated d'}, 'should not load attributes that were not selected in queryMany');
+        t.match(await RNPModel.queryOne({a: 'select a'}, {select: ['d']}), {d: 'updated d'}, 'should select attributes in queryOne');
+
+        const all = await ProjectAll.queryMany({strVal: 'str'}, {select: ['numVal']});
+        t.equal(all.length, 5, 'should select attributes when querying project-all indexes');
+        t.ok(all.every(x => typeof x.numVal === 'number' && x.blob === undefined && x.objVal === undefined), 'should only include the selected attributes from project-all indexes');
+
+        await t.rejects(RNPModel.getById(doc.id, {select: 'd'}), {message: /Invalid options/}, 'should reject invalid select options');
+        await t.rejects(RNPModel.getByIds([doc.id], {select: ['']}), {message: /Invalid options/}, 'should reject empty attribute names');
+        await t.rejects(ProjectAll.getById(all[0].id, {select: ['objVal.somekey']}), {message: 'Invalid options: select must only list top-level properties of the projectall schema, and "objVal.somekey" is not one.'}, 'should reject nested paths');
+        await t.rejects(RNPModel.getByIds([doc.id], {select: ['d', 'undefinedProperty']}), {message: 'Invalid options: select must only list top-level properties of the rnp schema, and "undefinedProperty" is not one.'}, 'should reject properties which are not defined by the schema');
+        await t.rejects(RNPModel.queryMany({a: 'select a'}, {select: ['e']}), {message: /^Invalid options: select must only list top-level properties/}, 'should reject undefined properties in queryMany');
+        await t.rejects(RNPModel.queryPage({a: 'select a'}, {select: ['e']}), {message: /^Invalid options: select must only list top-level properties/}, 'should reject undefined properties in queryPage');
+        await t.rejects(RNPModel.queryIterator({a: 'select a'}, {select: ['e']}).next(), {message: /^Invalid options: select must only list top-level properties/}, 'should reject undefined properties in queryIterator');
     });
 });
 
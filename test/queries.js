@@ -124,7 +124,36 @@ tap.test('queries:', async t => {
             }
         }
     });
+    const ManySchema = DynamoDM.Schema('namespace.many', {
+        properties: {
+            n: {type: 'number'}
+        }
+    });
+    const FilteredSchema = DynamoDM.Schema('namespace.filtered', {
+        properties: {
+            group: {type: 'string'},
+            n: {type: 'number'},
+            tag: {type: 'string'},
+            nested: {type: 'object', properties: {a: {type: 'string'}}},
+            labels: {type: 'array', items: {type: 'string'}},
+            unprojected: {type: 'string'}
+        }
+    }, {
+        index: {
+            filteredAll: {
+                hashKey: 'group',
+                sortKey: 'n',
+                project: 'all'
+            },
+            filteredTag: {
+                hashKey: 'tag',
+                project: ['nested', 'n']
+            }
+        }
+    });
     const Foo = table.model(FooSchema);
+    const Filtered = table.model(FilteredSchema);
+    const Many = table.model(ManySchema);
     const Bar = table.model(BarSchema);
     const Ambiguous = table.model(AmbiguousSchema);
     const IndexedString = table.model(IndexedStringSchema);
@@ -392,9 +421,9 @@ tap.test('queries:', async t => {
                 t.equal(foos.length, all_foos.length, 'should return all N of this type');
             });
             t.test('invalid queries', async t => {
-                t.rejects(Foo.queryMany({type: 'namespace.foo', fooVal:3 }), {message:'Unsupported query: "{ type: \'namespace.foo\', fooVal: 3 }". No index found for query fields [type, fooVal]'}, 'rejects non-queryable extra parameters');
-                t.rejects(IndexedNumberAndBinary.queryMany({'blob': Buffer.from('hello query 3'), 'num':7, id:'123' }), {message:'Unsupported query: "{ blob: <Buffer 68 65 6c 6c 6f 20 71 75 65 72 79 20 33>, num: 7, id: \'123\' }" Queries must have at most two properties to match against index hash and range attributes.'}, 'rejects more than two parameters');
-                t.rejects(IndexedNumberAndBinary.queryMany({num:{$gt:0, $lt:2}}), {message:'Only a single $gt/$gte/$lt/$lte/$between/$begins condition is supported in the simple query api.'}, 'rejects multiple conditions');
+                t.rejects(Foo.queryMany({type: 'namespace.foo', fooVal:3 }), {message:'Unsupported query: "{ type: \'namespace.foo\', fooVal: 3 }". The query field fooVal is not projected into the index type for [type], so it cannot be used to filter the query.'}, 'rejects filtering on attributes that are not projected');
+                t.rejects(Foo.queryMany({fooVal:3 }), {message:'Unsupported query: "{ fooVal: 3 }". No index found for query fields [fooVal]'}, 'rejects queries without an index');
+                t.rejects(IndexedNumberAndBinary.queryMany({num:{$gt:0, $lt:2}}), {message:'Unsupported query: "{ num: { \'$gt\': 0, \'$lt\': 2 } }". The conditions [$gt, $lt] cannot be used on the index hash key num, index hash keys only support equality and $in conditions.'}, 'rejects multiple conditions on hash keys');
                 t.rejects(IndexedNumberAndBinary.queryMany({num:{$gt:0}, blob:{$gte:Buffer.from('hello query 3')}}), {message:'Unsupported query: "{ num: { \'$gt\': 0 }, blob: { \'$gte\': <Buffer 68 65 6c 6c 6f 20 71 75 65 72 79 20 33> } }" Queries must include an equality condition for the index hash key.'}, 'rejects multiple conditions on separate keys');
                 t.rejects(IndexedNumberAndBinary.queryMany({type:{$gt:'foo'}}), {message:'Unsupported query: "{ type: { \'$gt\': \'foo\' } }" Queries must include an equality condition for the index hash key.'}, 'rejects $conditions on hash index with a useful error message');
 
@@ -534,6 +563,273 @@ tap.test('queries:', async t => {
             t.end();
         });
 
+        t.test('queryIteratorIds', async t => {
+            const allFooIds = await arrayFromAsync(Foo.queryIteratorIds({ type: 'namespace.foo' }));
+            t.strictSame(allFooIds.sort(), all_foos.map(f => f.id).sort(), 'should yield all IDs');
+            t.equal((await arrayFromAsync(Foo.queryIteratorIds({ type: 'namespace.foo' }, {limit: 7}))).length, 7, 'should respect limit');
+            t.strictSame(await arrayFromAsync(Foo.queryIteratorIds({ type: 'doesnotexist' })), [], 'should yield nothing for no results');
+            await t.rejects(arrayFromAsync(Foo.queryIteratorIds({ type: 'namespace.foo' }, {rawFetchOptions: {}})), {message: /^Invalid options/}, 'should reject invalid options');
+
+            const ac = new AbortController();
+            const ids = [];
+            await t.rejects(async () => {
+                for await (const id of Foo.queryIteratorIds({ type: 'namespace.foo' }, {abortSignal: ac.signal})) {
+                    ids.push(id);
+                    ac.abort(new Error('my reason'));
+                }
+            }, {name: 'AbortError', message: 'Request aborted'}, 'should check the abortSignal between results');
+            t.equal(ids.length, 1, 'should not yield results after aborting');
+            t.end();
+        });
+
+        t.test('queryIterator', async t => {
+            const all = await arrayFromAsync(IndexedString.queryIterator({ someOtherString: 'constant value' }));
+            t.equal(all.length, N, 'should yield all documents');
+            t.ok(all.every(x => x instanceof IndexedString), 'should yield documents of the correct type');
+            t.strictSame(all.map(x => x.someN).sort((a, b) => a - b), Array.from({length: N}, (_, i) => i), 'should yield each document once');
+            t.equal((await arrayFromAsync(IndexedString.queryIterator({ someOtherString: 'constant value' }, {limit: 3}))).length, 3, 'should respect limit');
+
+            const projected = await arrayFromAsync(IndexedString.queryIterator({ someOtherString: 'constant value' }, {onlyProjected: true}));
+            t.equal(projected.length, N, 'should yield all documents with onlyProjected');
+            t.ok(projected.every(x => x instanceof IndexedString && x.someN === undefined), 'should yield partial documents with onlyProjected');
+
+            const ac = new AbortController();
+            const results = [];
+            await t.rejects(async () => {
+                for await (const x of IndexedString.queryIterator({ someOtherString: 'constant value' }, {abortSignal: ac.signal})) {
+                    results.push(x);
+                    ac.abort(new Error('my reason'));
+                }
+            }, {name: 'AbortError', message: 'Request aborted'}, 'should check the abortSignal between results');
+            t.equal(results.length, 1, 'should not yield results after aborting');
+            await t.rejects(arrayFromAsync(IndexedString.queryIterator({ someOtherString: 'constant value' }, {foo: 1})), {message: /^Invalid options/}, 'should reject invalid options');
+            t.end();
+        });
+
+        t.test('queryIterator with many results', async t => {
+            const many = Array.from({length: 450}, (_, n) => new Many({n}));
+            await Many.saveMany(many);
+            const results = await arrayFromAsync(Many.queryIterator({ type: 'namespace.many' }));
+            t.equal(results.length, many.length, 'should yield all documents from multiple batches');
+            t.strictSame(results.map(x => x.n).sort((a, b) => a - b), many.map(x => x.n), 'should yield each document once');
+
+            const iterator = Many.queryIterator({ type: 'namespace.many' });
+            const first = await iterator.next();
+            t.ok(first.value instanceof Many, 'should yield documents');
+            t.strictSame(await iterator.return(), {done: true, value: undefined}, 'should be closeable before completion');
+            t.strictSame(await iterator.next(), {done: true, value: undefined}, 'should be done after being closed');
+
+            let count = 0;
+            for await (const x of Many.queryIterator({ type: 'namespace.many' })) {
+                if (x && ++count === 150) break;
+            }
+            t.equal(count, 150, 'should stop when the consumer breaks');
+            t.end();
+        });
+
+        t.test('filtered queries', async t => {
+            const docs = Array.from({length: 30}, (_, i) => new Filtered({group: i < 25? 'a' : 'b', n: i, tag: `tag ${i%3}`, nested: {a: `nested ${i%2}`}, labels: (i%5)? [] : ['five'], ...(i%2 && {unprojected: 'x'})}));
+            await Filtered.saveMany(docs);
+
+            const r1 = await Filtered.queryMany({group: 'a', tag: 'tag 0'});
+            t.strictSame(r1.map(x => x.n), [0, 3, 6, 9, 12, 15, 18, 21, 24], 'should filter on extra properties');
+            const r2 = await Filtered.queryMany({group: 'a', n: {$gte: 10}, tag: {$begins: 'tag 1'}, 'nested.a': 'nested 0'});
+            t.strictSame(r2.map(x => x.n), [10, 16, 22], 'should filter on nested paths, and combine filters with sort key conditions');
+            const r3 = await Filtered.queryMany({tag: 'tag 2', n: {$between: [5, 12]}});
+            t.strictSame(r3.map(x => x.n).sort((a, b) => a - b), [5, 8, 11], 'should filter on attributes included in the index projection');
+
+            t.strictSame((await Filtered.queryMany({group: 'a', tag: 'tag 1'}, {limit: 4})).map(x => x.n), [1, 4, 7, 10], 'should respect limit when filtering');
+            t.strictSame((await Filtered.queryMany({group: 'a', tag: 'tag 1'}, {limit: 2, rawQueryOptions: {Limit: 3}})).map(x => x.n), [1, 4], 'should respect limit across pages when filtering');
+            t.strictSame((await Filtered.queryManyIds({group: 'a', tag: 'tag 1'}, {limit: 3})), [docs[1].id, docs[4].id, docs[7].id], 'should filter queryManyIds');
+            t.equal((await Filtered.queryOne({group: 'a', tag: 'tag 2', n: {$gt: 20}})).n, 23, 'should filter queryOne');
+
+            const r4 = await Filtered.queryMany({group: 'a', tag: 'tag 0'}, {rawQueryOptions: {FilterExpression: '#x.#y = :x', ExpressionAttributeNames: {'#x': 'nested', '#y': 'a'}, ExpressionAttributeValues: {':x': 'nested 0'}}});
+            t.strictSame(r4.map(x => x.n), [0, 6, 12, 18, 24], 'should combine generated filters with rawQueryOptions.FilterExpression');
+            const r5 = await Filtered.queryMany({group: 'a', n: {$gt: 15}}, {rawQueryOptions: {FilterExpression: '#x = :x', ExpressionAttributeNames: {'#x': 'tag'}, ExpressionAttributeValues: {':x': 'tag 2'}}});
+            t.strictSame(r5.map(x => x.n), [17, 20, 23], 'should support rawQueryOptions.FilterExpression without generated filters');
+            await t.rejects(Filtered.queryMany({group: 'a', tag: 'tag 0'}, {rawQueryOptions: {FilterExpression: '#f0 = :x', ExpressionAttributeNames: {'#f0': 'unprojected'}, ExpressionAttributeValues: {':x': 'x'}}}), {message: 'Unsupported query: the placeholders [#f0] in options.rawQueryOptions are also used by the filter generated for the query.'}, 'should reject clashing placeholders');
+
+            const pages = [];
+            let cursor;
+            do {
+                const page = await Filtered.queryPage({group: 'a', tag: 'tag 1'}, {limit: 3, cursor});
+                pages.push(page.items.map(x => x.n));
+                cursor = page.nextCursor;
+            } while (cursor);
+            t.strictSame(pages.flat(), [1, 4, 7, 10, 13, 16, 19, 22], 'should paginate filtered queries');
+            t.ok(pages.slice(0, -1).every(p => p.length === 3), 'should return full pages of filtered queries');
+
+            await t.rejects(Filtered.queryMany({tag: 'tag 0', unprojected: 'x'}), {message: /The query field unprojected is not projected into the index filteredTag/}, 'should reject filters on attributes that are not projected');
+            await t.rejects(Filtered.queryMany({tag: 'tag 0', unprojected: {$exists: true}}), {message: /The query field unprojected is not projected into the index filteredTag/}, 'should reject filter conditions on attributes that are not projected');
+            await t.rejects(Filtered.queryMany({group: 'a', tag: 1}), {message: 'Value does not match schema for tag:  must be string.'}, 'should validate filter values');
+            t.end();
+        });
+
+        t.test('filter conditions', async t => {
+            const byN = async (query) => (await Filtered.queryMany({group: 'a', ...query})).map(x => x.n);
+            t.strictSame(await byN({tag: {$ne: 'tag 0'}, n: {$lt: 6}}), [1, 2, 4, 5], 'should support $ne');
+            t.strictSame(await byN({unprojected: {$exists: true}, n: {$lt: 6}}), [1, 3, 5], 'should support $exists: true');
+            t.strictSame(await byN({unprojected: {$exists: false}, n: {$lt: 6}}), [0, 2, 4], 'should support $exists: false');
+            t.strictSame(await byN({labels: {$contains: 'five'}}), [0, 5, 10, 15, 20], 'should support $contains for arrays');
+            t.strictSame(await byN({tag: {$contains: 'g 2'}, n: {$lt: 9}}), [2, 5, 8], 'should support $contains for strings');
+            t.strictSame(await byN({labels: {$size: 1}, n: {$gt: 10}}), [15, 20], 'should support $size');
+            t.strictSame(await byN({tag: {$in: ['tag 1', 'tag 2']}, n: {$lt: 6}}), [1, 2, 4, 5], 'should support $in');
+            t.strictSame(await byN({'nested.a': {$not: {$in: ['nested 0']}}, n: {$lt: 6}}), [1, 3, 5], 'should support $not');
+            t.strictSame(await byN({tag: {$ne: 'tag 0', $not: {$begins: 'tag 1'}}, n: {$lt: 10}}), [2, 5, 8], 'should support multiple conditions for the same field');
+
+            await t.rejects(Filtered.queryMany({group: {$ne: 'a'}}), {message: 'Unsupported query: "{ group: { \'$ne\': \'a\' } }". The conditions [$ne] cannot be used on the index hash key group, index hash keys only support equality and $in conditions.'}, 'should reject filter conditions on index hash keys');
+            await t.rejects(Filtered.queryMany({group: 'a', n: {$ne: 3}}), {message: 'Unsupported query: "{ group: \'a\', n: { \'$ne\': 3 } }". The query field n cannot be used to filter the query, because n is the sort key of the index filteredAll. Index sort keys only support equality and $gt, $gte, $lt, $lte, $between, $begins conditions.'}, 'should reject filter conditions on index sort keys');
+            await t.rejects(Filtered.queryMany({group: 'a', labels: {$contains: 1}}), {message: 'Value does not match schema for labels:  must be string.'}, 'should validate $contains values for arrays');
+            await t.rejects(Filtered.queryMany({group: 'a', tag: {$contains: 1}}), {message: 'Value does not match schema for tag:  must be string.'}, 'should validate $contains values for strings');
+            await t.rejects(Filtered.queryMany({group: 'a', tag: {$ne: 1}}), {message: 'Value does not match schema for tag:  must be string.'}, 'should validate $ne values');
+            await t.rejects(Filtered.queryMany({group: 'a', labels: {$size: -1}}), {message: 'Condition "$size" for .labels requires a non-negative integer value.'}, 'should validate $size values');
+            await t.rejects(Filtered.queryMany({group: 'a', tag: {$not: 'x'}}), {message: 'Condition "$not" for .tag requires an object of conditions.'}, 'should validate $not values');
+            await t.rejects(Filtered.queryMany({group: 'a', tag: {$regex: 'x'}}), {message: 'Condition "$regex" is not supported. Supported conditions are: $gt, $gte, $lt, $lte, $between, $begins, $in, $ne, $exists, $contains, $size, $not.'}, 'should reject unsupported conditions');
+            t.end();
+        });
+
+        t.test('$in queries', async t => {
+            const groups = ['x', 'y', 'z'];
+            const docs = Array.from({length: 60}, (_, i) => new Filtered({group: groups[i%3], n: i, tag: 'fan out', nested: {a: `nested ${i%2}`}}));
+            await Filtered.saveMany(docs);
+
+            t.strictSame((await Filtered.queryMany({group: {$in: ['x', 'y', 'z']}}, {limit: 100})).map(x => x.n), docs.map(x => x.n), 'should merge results in sort key order');
+            t.strictSame((await Filtered.queryMany({group: {$in: ['z', 'x']}, n: {$lt: 12}}, {rawQueryOptions: {ScanIndexForward: false}})).map(x => x.n), [11, 9, 8, 6, 5, 3, 2, 0], 'should merge results in reverse sort key order');
+            t.strictSame((await Filtered.queryMany({group: {$in: ['x', 'y', 'z']}}, {limit: 10, rawQueryOptions: {Limit: 2}})).map(x => x.n), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], 'should apply limit to the merged results across pages');
+            t.strictSame((await Filtered.queryMany({group: {$in: ['x', 'x', 'y']}, n: {$lt: 8}})).map(x => x.n), [0, 1, 3, 4, 6, 7], 'should de-duplicate results');
+            t.strictSame((await Filtered.queryMany({group: {$in: ['y']}, n: {$lt: 8}})).map(x => x.n), [1, 4, 7], 'should support a single value');
+            t.strictSame((await Filtered.queryMany({group: {$in: ['x', 'y']}, 'nested.a': 'nested 0', n: {$lt: 20}})).map(x => x.n), [0, 4, 6, 10, 12, 16, 18], 'should combine with filters');
+            t.strictSame((await Filtered.queryMany({group: 'a', tag: {$in: ['tag 0', 'tag 1']}, n: {$lt: 8}})).map(x => x.n), [0, 1, 3, 4, 6, 7], 'should support $in on filtered fields');
+            t.strictSame(await Filtered.queryManyIds({group: {$in: ['x', 'y', 'z']}, n: {$gte: 55}}), docs.slice(55).map(x => x.id), 'should support queryManyIds');
+            t.strictSame((await arrayFromAsync(Filtered.queryIterator({group: {$in: ['y', 'z']}}, {limit: 5}))).map(x => x.n), [1, 2, 4, 5, 7], 'should support queryIterator');
+            t.equal((await Filtered.queryOne({group: {$in: ['y', 'z']}, n: {$gt: 30}})).n, 31, 'should support queryOne');
+
+            const byTag = await Filtered.queryMany({tag: {$in: ['tag 1', 'tag 0']}});
+            t.equal(byTag.length, 20, 'should query indexes without a sort key');
+            t.ok(byTag.slice(0, 10).every(x => x.tag === 'tag 1') && byTag.slice(10).every(x => x.tag === 'tag 0'), 'should return results in the order of the $in values for indexes without a sort key');
+
+            const updated = await Filtered.findOneAndUpdate({group: {$in: ['y', 'z']}, n: {$gt: 50}}, {$set: {'nested.a': 'updated'}}, {returnNew: true});
+            t.match(updated, {n: 52, nested: {a: 'updated'}}, 'should support findOneAndUpdate');
+
+            let inFlight = 0, maxInFlight = 0;
+            const originalSend = table.docClient.send;
+            const sendResults = t.capture(table.docClient, 'send', async function() {
+                inFlight += 1;
+                maxInFlight = Math.max(inFlight, maxInFlight);
+                try {
+                    // eslint-disable-next-line
+                    return await originalSend.apply(this, arguments);
+                } finally {
+                    inFlight -= 1;
+                }
+            });
+            const manyGroups = Array.from({length: 10}, (_, i) => `group ${i}`);
+            t.strictSame(await Filtered.queryMany({group: {$in: manyGroups}}), [], 'should return no results when nothing matches');
+            t.equal(sendResults().length, 10, 'should run one query for each value');
+            t.ok(maxInFlight <= 4, 'should limit the number of concurrent queries');
+            sendResults.restore?.();
+
+            await t.rejects(Filtered.queryMany({group: {$in: []}}), {message: 'Condition "$in" in query requires an array of 1 to 100 values.'}, 'should reject empty $in');
+            await t.rejects(Filtered.queryMany({group: {$in: 'x'}}), {message: 'Condition "$in" in query requires an array of 1 to 100 values.'}, 'should reject non-array $in');
+            await t.rejects(Filtered.queryMany({group: {$in: [1]}}), {message: 'Value does not match schema for group:  must be string.'}, 'should validate $in values');
+            await t.rejects(Filtered.queryMany({group: {$in: ['x', 'y']}}, {startAfter: docs[0]}), {message: /options.startAfter is not supported for queries with an \$in condition/}, 'should reject startAfter');
+            await t.rejects(Filtered.queryPage({group: {$in: ['x', 'y']}}), {message: /queryPage does not support \$in conditions with more than one value/}, 'should reject queryPage with multiple values');
+            t.strictSame((await Filtered.queryPage({group: {$in: ['x']}, n: {$lt: 7}})).items.map(x => x.n), [0, 3, 6], 'should support queryPage with a single value');
+            await t.rejects(Filtered.queryMany({n: {$in: [1, 2]}}), {message: /No index found for query fields \[n\]/}, 'should only use $in on hash keys');
+            t.end();
+        });
+
+        t.test('countDocuments', async t => {
+            t.equal(await Filtered.countDocuments({group: 'a'}), 25, 'should count matching documents');
+            t.equal(await Filtered.countDocuments({group: 'a', tag: 'tag 0'}), 9, 'should count filtered queries');
+            t.equal(await Filtered.countDocuments({group: 'a', n: {$gte: 20}}), 5, 'should count with sort key conditions');
+            t.equal(await Filtered.countDocuments({group: {$in: ['x', 'y', 'z', 'x']}}), 60, 'should count $in queries');
+            t.equal(await Filtered.countDocuments({group: 'nothing'}), 0, 'should count no matches');
+            t.equal(await Filtered.countDocuments({group: 'a'}, {max: 10}), 10, 'should stop counting at max');
+            t.equal(await Filtered.countDocuments({group: 'a', tag: 'tag 0'}, {max: 3}), 3, 'should stop counting filtered queries at max');
+            t.equal(await Filtered.countDocuments({group: {$in: ['x', 'y']}}, {max: 30}), 30, 'should stop counting $in queries at max');
+            t.equal(await Filtered.countDocuments({group: 'b'}, {max: 10}), 5, 'should count fewer than max');
+            t.equal(await Many.countDocuments({type: 'namespace.many'}), 450, 'should count many documents');
+
+            const ac = new AbortController();
+            ac.abort(new Error('my reason'));
+            await t.rejects(Filtered.countDocuments({group: 'a'}, {abortSignal: ac.signal}), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+            await t.rejects(Filtered.countDocuments({group: 'a'}, {max: 0}), {message: /^Invalid options/}, 'should reject invalid max');
+            await t.rejects(Filtered.countDocuments({group: 'a'}, {limit: 1}), {message: /^Invalid options/}, 'should reject invalid options');
+            await t.rejects(Filtered.countDocuments({unprojected: 'x'}), {message: /No index found/}, 'should reject unsupported queries');
+            t.end();
+        });
+
+        t.test('estimatedCount', async t => {
+            t.equal(await Many.estimatedCount(), 450, 'should count all documents of the model');
+            t.equal(await Filtered.estimatedCount(), 90, 'should count only documents of the model');
+            await t.rejects(Many.estimatedCount({max: 1}), {message: /^Invalid options/}, 'should reject invalid options');
+
+            const singleTable = DynamoDM.Table({ name: 'test-table-queries-single'});
+            const Single = singleTable.model(DynamoDM.Schema('single', {properties: {n: {type: 'number'}}}));
+            await singleTable.ready();
+            t.after(async () => {
+                await singleTable.deleteTable();
+                singleTable.destroyConnection();
+            });
+            await Single.saveMany(Array.from({length: 7}, (_, n) => new Single({n})));
+            t.equal(await Single.estimatedCount(), 7, 'should count documents in single-model tables');
+            t.end();
+        });
+
+        t.test('queryPage', async t => {
+            const pages = [];
+            let cursor;
+            do {
+                const page = await IndexedString.queryPage({ someOtherString: 'constant value' }, {limit: 3, ...(cursor && {cursor})});
+                pages.push(page.items);
+                cursor = page.nextCursor;
+                t.type(cursor === null || /^[A-Za-z0-9_-]+$/.test(cursor), 'boolean', 'should return a URL-safe cursor');
+            } while (cursor);
+            t.ok(pages.slice(0, -1).every(p => p.length === 3), 'should return pages of limit documents');
+            const all = pages.flat();
+            t.equal(all.length, N, 'should return all documents across pages');
+            t.ok(all.every(x => x instanceof IndexedString), 'should return documents of the correct type');
+            t.strictSame(all.map(x => x.someN).sort((a, b) => a - b), Array.from({length: N}, (_, i) => i), 'should return each document once');
+
+            const sorted = [];
+            cursor = undefined;
+            do {
+                const page = await Bar.queryPage({ type: 'ambiguous.bar', barVal: {$gte: 2} }, {limit: 4, cursor});
+                sorted.push(...page.items.map(x => x.barVal));
+                cursor = page.nextCursor;
+            } while (cursor);
+            t.strictSame(sorted, Array.from({length: N - 2}, (_, i) => i + 2), 'should page through sorted results in order');
+
+            const binaryPage1 = await IndexedNumberAndBinary.queryPage({ blob: Buffer.from('hello query 1') }, {limit: 1});
+            const binaryPage2 = await IndexedNumberAndBinary.queryPage({ blob: Buffer.from('hello query 1') }, {limit: 5, cursor: binaryPage1.nextCursor});
+            t.strictSame([...binaryPage1.items, ...binaryPage2.items].map(x => x.num), [1, 5, 9], 'should support cursors with binary keys');
+            t.equal(binaryPage2.nextCursor, null, 'should return a null cursor after the last page');
+
+            const projected = await IndexedString.queryPage({ someOtherString: 'constant value' }, {limit: 2, onlyProjected: true});
+            t.ok(projected.items.length === 2 && projected.items.every(x => x.someN === undefined), 'should support onlyProjected');
+
+            const emptyPage = await IndexedString.queryPage({ someOtherString: 'no such value' });
+            t.strictSame(emptyPage, {items: [], nextCursor: null}, 'should return an empty page for no results');
+
+            const page1 = await IndexedString.queryPage({ someOtherString: 'constant value' }, {limit: 2});
+            await t.rejects(IndexedString.queryPage({ someString: 'string number 1' }, {cursor: page1.nextCursor}), {message: 'Invalid cursor: the cursor is for a different query.'}, 'should reject cursors for a different query');
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'other value' }, {cursor: page1.nextCursor}), {message: 'Invalid cursor: the cursor is for a different query.'}, 'should reject cursors for different query values');
+            const filteredPage1 = await IndexedString.queryPage({ someOtherString: 'constant value', id: {$gt: 'namespace.indexedString.'} }, {limit: 2});
+            t.equal(filteredPage1.items.length, 2, 'should page filtered queries');
+            await t.resolves(IndexedString.queryPage({ someOtherString: 'constant value', id: {$gt: 'namespace.indexedString.'} }, {cursor: filteredPage1.nextCursor}), 'should accept cursors for the same filtered query');
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'constant value', id: {$lt: 'namespace.indexedString.'} }, {cursor: filteredPage1.nextCursor}), {message: 'Invalid cursor: the cursor is for a different query.'}, 'should reject cursors for a query with a different filter');
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'constant value' }, {cursor: filteredPage1.nextCursor}), {message: 'Invalid cursor: the cursor is for a different query.'}, 'should reject cursors for a query without the filter');
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'constant value' }, {cursor: 'not a cursor'}), {message: 'Invalid cursor.'}, 'should reject invalid cursors');
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'constant value' }, {limit: 0}), {message: /^Invalid options/}, 'should reject invalid limits');
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'constant value' }, {startAfter: page1.items[1]}), {message: /^Invalid options/}, 'should reject startAfter');
+
+            const ac = new AbortController();
+            ac.abort(new Error('my reason'));
+            await t.rejects(IndexedString.queryPage({ someOtherString: 'constant value' }, {abortSignal: ac.signal}), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+            t.end();
+        });
+
         t.test('queryOne', async t => {
             const aFoo = await Foo.queryOne({ type: 'namespace.foo' });
             t.equal(aFoo.constructor, (new Foo()).constructor, 'should have the correct constructor');
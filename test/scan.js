@@ -0,0 +1,137 @@
+const tap = require('tap');
+const { PutCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+async function arrayFromAsync(iter) {
+    const r = [];
+    for await (const x of iter) {
+        r.push(x);
+    }
+    return r;
+}
+
+tap.test('scans:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-scan'});
+    const singleTable = DynamoDM.Table({ name: 'test-table-scan-single'});
+    const ThingSchema = DynamoDM.Schema('thing', {
+        properties: {
+            n:            {type: 'number'},
+            tags:         {type: 'array', items: {type: 'string'}},
+        }
+    });
+    const OtherSchema = DynamoDM.Schema('other', {
+        properties: {
+            s:            {type: 'string'},
+        }
+    });
+    const Thing = table.model(ThingSchema);
+    const Other = table.model(OtherSchema);
+    const SingleThing = singleTable.model(ThingSchema);
+
+    await table.ready();
+    await singleTable.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        await singleTable.deleteTable();
+        table.destroyConnection();
+        singleTable.destroyConnection();
+    });
+
+    const things = Array.from({length: 40}, (_, n) => new Thing({n, tags: n % 2? ['odd'] : []}));
+    const others = Array.from({length: 10}, (_, n) => new Other({s: `other ${n}`}));
+    await Thing.saveMany(things);
+    await Other.saveMany(others);
+    await SingleThing.saveMany(Array.from({length: 5}, (_, n) => new SingleThing({n})));
+
+    await t.test('Model.scan', async t => {
+        const results = await arrayFromAsync(Thing.scan());
+        t.equal(results.length, things.length, 'should yield all documents of the model');
+        t.ok(results.every(x => x instanceof Thing), 'should yield documents of the model only');
+        t.strictSame(results.map(x => x.n).sort((a, b) => a - b), things.map(x => x.n), 'should yield each document once');
+        t.notOk(results[0].isModified(), 'yielded documents should not be modified');
+        results[0].n = 100;
+        await t.resolves(results[0].save(), 'yielded documents should be saveable');
+        results[0].n = things.find(x => x.id === results[0].id).n;
+        await results[0].save();
+
+        const segmented = await arrayFromAsync(Thing.scan({segments: 4}));
+        t.strictSame(segmented.map(x => x.n).sort((a, b) => a - b), things.map(x => x.n), 'should yield each document once from parallel segments');
+
+        const filtered = await arrayFromAsync(Thing.scan({filter: {n: {$lt: 10}, tags: {$contains: 'odd'}}, segments: 2}));
+        t.strictSame(filtered.map(x => x.n).sort((a, b) => a - b), [1, 3, 5, 7, 9], 'should filter documents');
+
+        t.equal((await arrayFromAsync(Thing.scan({limit: 5}))).length, 5, 'should respect limit');
+        t.equal((await arrayFromAsync(Thing.scan({limit: 7, segments: 3}))).length, 7, 'should respect limit across segments');
+        t.equal((await arrayFromAsync(Thing.scan({limit: 3, filter: {tags: {$size: 1}}}))).length, 3, 'should respect limit when filtering');
+        t.equal((await arrayFromAsync(Other.scan())).length, others.length, 'should only yield documents of each model');
+
+        const singleResults = await arrayFromAsync(SingleThing.scan());
+        t.equal(singleResults.length, 5, 'should scan single-model tables');
+
+        await t.rejects(arrayFromAsync(Thing.scan({filter: {n: 'a'}})), {message: 'Value does not match schema for n:  must be number.'}, 'should validate filters');
+        await t.rejects(arrayFromAsync(Thing.scan({segments: 0})), {message: /^Invalid options/}, 'should reject invalid segments');
+        await t.rejects(arrayFromAsync(Thing.scan({foo: 1})), {message: /^Invalid options/}, 'should reject invalid options');
+
+        const ac = new AbortController();
+        ac.abort(new Error('my reason'));
+        await t.rejects(arrayFromAsync(Thing.scan({abortSignal: ac.signal})), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+    });
+
+    await t.test('backpressure', async t => {
+        const commandSendResults = t.capture(table.docClient, 'send', table.docClient.send);
+        const iterator = Thing.scan({segments: 3});
+        const first = await iterator.next();
+        t.ok(first.value instanceof Thing, 'should yield documents');
+        const scansSent = () => commandSendResults().filter(({args}) => args[0] instanceof ScanCommand);
+        t.ok(scansSent().length <= 4, 'should not fetch more than one page ahead for each segment');
+        t.ok(scansSent().every(({args}) => args[0].input.TotalSegments === 3), 'should scan segments of the table');
+        await iterator.return();
+    });
+
+    await t.test('listAllIds', async t => {
+        const ids = await arrayFromAsync(Thing.listAllIds());
+        t.strictSame(ids.sort(), things.map(x => x.id).sort(), 'should yield the ids of all documents of the model');
+        t.strictSame((await arrayFromAsync(Other.listAllIds())).sort(), others.map(x => x.id).sort(), 'should only yield the ids of each model');
+        t.equal((await arrayFromAsync(Thing.listAllIds({limit: 5}))).length, 5, 'should respect limit');
+
+        const commandSendResults = t.capture(table.docClient, 'send', table.docClient.send);
+        await arrayFromAsync(Thing.listAllIds({limit: 1}));
+        t.equal(commandSendResults()[0].args[0].input.IndexName, 'type', 'should query the type index');
+
+        const singleIds = await arrayFromAsync(SingleThing.listAllIds());
+        t.equal(singleIds.length, 5, 'should scan single-model tables');
+        t.ok(singleIds.every(id => typeof id === 'string' && id.startsWith('thing.')), 'should yield ids from single-model tables');
+        t.equal((await arrayFromAsync(SingleThing.listAllIds({limit: 2}))).length, 2, 'should respect limit for single-model tables');
+
+        await t.rejects(arrayFromAsync(Thing.listAllIds({foo: 1})), {message: /^Invalid options/}, 'should reject invalid options');
+        const ac = new AbortController();
+        ac.abort(new Error('my reason'));
+        await t.rejects(arrayFromAsync(Thing.listAllIds({abortSignal: ac.signal})), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+        await t.rejects(arrayFromAsync(SingleThing.listAllIds({abortSignal: ac.signal})), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable for single-model tables');
+    });
+
+    await t.test('table.scanAll', async t => {
+        const results = await arrayFromAsync(table.scanAll({segments: 2}));
+        t.equal(results.length, things.length + others.length, 'should yield all documents');
+        t.equal(results.filter(x => x instanceof Thing).length, things.length, 'should yield documents of each model');
+        t.equal(results.filter(x => x instanceof Other).length, others.length, 'should yield documents of each model');
+        t.equal((await arrayFromAsync(table.scanAll({limit: 12}))).length, 12, 'should respect limit');
+        await t.rejects(arrayFromAsync(table.scanAll({filter: {}})), {message: /^Invalid options/}, 'should reject invalid options');
+
+        const ac = new AbortController();
+        ac.abort(new Error('my reason'));
+        await t.rejects(arrayFromAsync(table.scanAll({abortSignal: ac.signal})), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+
+        await table.docClient.send(new PutCommand({TableName: table.name, Item: {id: 'unknown.1', type: 'unknown'}}));
+        await t.rejects(arrayFromAsync(table.scanAll()), {message: 'Table has no matching model type for type "unknown", so the item .id="unknown.1" cannot be loaded.'}, 'should reject items of unknown types');
+    });
+});
+
+tap.end();
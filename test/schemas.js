@@ -909,7 +909,7 @@ tap.test('schema errors', async t => {
                     aaa: false
                 }
             });
-        }, {message: 'Invalid index specification false: must be 1, true, or {hashKey:"", sortKey?:"", project?:"all"|"keys"|[...]}.'}, 'should throw with key:false');
+        }, {message: 'Invalid index specification false: must be 1, true, {hashKey:"", sortKey?:"", project?:"all"|"keys"|[...]}, or {local:true, sortKey:"", project?:"all"|"keys"|[...]}.'}, 'should throw with key:false');
 
         t.throws(() => {
             DynamoDM.Schema('namespace.shouldthrow', {
@@ -923,13 +923,106 @@ tap.test('schema errors', async t => {
 
         t.throws(() => {
             DynamoDM.Schema('namespace.shouldthrow', {
-                properties: { aaa: {type: 'string'}, bbb: {type: 'string'}, boolField: {type: 'boolean'} }
+                properties: { aaa: {type: 'string'}, bbb: {type: 'string'}, arrField: {type: 'array'} }
+            }, {
+                index: {
+                    arrField: 1
+                }
+            });
+        }, {message: 'The schema type of property .arrField, "{"type":"array"}" used by index "arrField" is not indexable.'} , 'should throw on a non-indexable field type');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'} }
+            }, {
+                index: {
+                    byAaa: {local: true, sortKey: 'aaa'}
+                }
+            });
+        }, {message: 'Invalid index specification for local index "byAaa": local indexes can only be used by schemas with a sortKey.'} , 'should throw on a local index without a sortKey');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'}, bbb: {type: 'string'} }
+            }, {
+                sortKey: 'bbb',
+                index: {
+                    byAaa: {local: true, hashKey: 'aaa', sortKey: 'aaa'}
+                }
+            });
+        }, {message: 'Invalid index specification for local index "byAaa": the hash key of a local index must be the id field .id.'} , 'should throw on a local index with a different hash key');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'}, bbb: {type: 'string'} }
+            }, {
+                sortKey: 'bbb',
+                index: {
+                    byAaa: {local: true}
+                }
+            });
+        }, {message: /^Invalid index specification {"local":true}/} , 'should throw on a local index without a sort key');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'}, boolField: {type: 'boolean'} }
+            }, {
+                index: {
+                    byAaa: {hashKey: 'aaa', sortKey: {compose: ['aaa', 'boolField']}}
+                }
+            });
+        }, {message: 'The schema type of property .boolField, "{"type":"boolean"}" used by index "byAaa" cannot be part of a composed key, which requires strings, numbers, or Timestamps.'} , 'should throw on a composed key with a non-composable part');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'} }
+            }, {
+                index: {
+                    byAaa: {hashKey: 'aaa', sortKey: {compose: ['aaa', 'ccc']}}
+                }
+            });
+        }, {message: 'The schema must define the type of property .ccc used by index "byAaa".'} , 'should throw on a composed key with an unknown part');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'}, bbb: {type: 'string'} }
+            }, {
+                index: {
+                    byAaa: {hashKey: 'aaa', sortKey: {compose: ['aaa', 'bbb'], attribute: 'bbb'}}
+                }
+            });
+        }, {message: 'Invalid index specification for index "byAaa": the derived key attribute .bbb is also a property of the schema.'} , 'should throw on a derived key attribute which is a property');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'} }
+            }, {
+                index: {
+                    byAaa: {hashKey: 'aaa', sortKey: {compute: 'aaa', attribute: 'computed'}}
+                }
+            });
+        }, {message: 'Invalid index specification for index "byAaa": compute must be a function.'} , 'should throw on a computed key without a function');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'} }
+            }, {
+                index: {
+                    byAaa: {hashKey: 'aaa', sortKey: {compute: () => 'x'}}
+                }
+            });
+        }, {message: /^Invalid index specification {"hashKey":"aaa","sortKey":{}}/} , 'should throw on a computed key without an attribute name');
+
+        t.throws(() => {
+            DynamoDM.Schema('namespace.shouldthrow', {
+                properties: { aaa: {type: 'string'}, bbb: {type: 'string'} }
             }, {
                 index: {
-                    boolField: 1
+                    byAaa: {hashKey: 'aaa', sortKey: {compose: ['aaa', 'bbb'], attribute: 'ab'}},
+                    byBbb: {hashKey: 'bbb', sortKey: {compose: ['bbb', 'aaa'], attribute: 'ab'}}
                 }
             });
-        }, {message: 'The schema type of property .boolField, "{"type":"boolean"}" used by index "boolField" is not indexable.'} , 'should throw on a non-indexable field type');
+        }, {message: 'Invalid index specification for index "byBbb": the derived key attribute .ab is defined differently by another index.'} , 'should throw on indexes which define the same derived key differently');
     });
 
     t.teardown(async () => {
@@ -0,0 +1,267 @@
+const tap = require('tap');
+const { DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+async function arrayFromAsync(iter) {
+    const r = [];
+    for await (const x of iter) {
+        r.push(x);
+    }
+    return r;
+}
+
+tap.test('sort key schemas', async t => {
+    t.throws(() => DynamoDM.Schema('s', {properties: {n: {type: 'number'}}}, {sortKey: 'missing'}), {message: 'Invalid sortKey: the schema must define the property .missing.'}, 'should require the sort key property to be defined');
+    t.throws(() => DynamoDM.Schema('s', {properties: {id: DynamoDM.DocIdField}}, {sortKey: 'id'}), {message: 'Invalid sortKey: .id is a built-in field, and cannot be used as the sort key.'}, 'should reject built-in fields');
+    t.throws(() => DynamoDM.Schema('s', {properties: {o: {type: 'object'}}}, {sortKey: 'o'}), {message: 'Invalid sortKey: the property .o must be a string, number, or Timestamp.'}, 'should reject unindexable types');
+    const s = DynamoDM.Schema('s', {properties: {at: DynamoDM.Timestamp}}, {sortKey: 'at'});
+    t.equal(s.sortKeyFieldName, 'at', 'should have the sortKeyFieldName');
+    t.equal(DynamoDM.Schema('s2', {}).sortKeyFieldName, '', 'should have an empty sortKeyFieldName by default');
+
+    const table = DynamoDM.Table({ name: 'test-table-sortkey-mismatch'});
+    table.model(s);
+    table.model(DynamoDM.Schema('other', {properties: {at: {type: 'string'}}}, {sortKey: 'at'}));
+    await t.rejects(table.ready(), {message: 'Schemas in the same table must have the same type of sortKey .at (encountered:N,S).'}, 'should reject schemas with different sort key types');
+    table.destroyConnection();
+
+    const table2 = DynamoDM.Table({ name: 'test-table-sortkey-mismatch2'});
+    table2.model(s);
+    table2.model(DynamoDM.Schema('other', {}));
+    await t.rejects(table2.ready(), {message: 'Schemas in the same table must have the same sortKey (encountered:at,(none)).'}, 'should reject schemas with different sort keys');
+    table2.destroyConnection();
+});
+
+tap.test('sort keys:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-sortkey'});
+    const EventSchema = DynamoDM.Schema('event', {
+        properties: {
+            at:           DynamoDM.Timestamp,
+            kind:         {type: 'string'},
+            n:            {type: 'number'},
+        }
+    }, {sortKey: 'at', index: {kind: 1}});
+    const NoteSchema = DynamoDM.Schema('note', {
+        properties: {
+            at:           DynamoDM.Timestamp,
+            text:         {type: 'string'},
+        }
+    }, {sortKey: 'at'});
+    const Event = table.model(EventSchema);
+    const Note = table.model(NoteSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    const id = 'user.1';
+    const dates = Array.from({length: 10}, (_, i) => new Date(Date.UTC(2024, 0, i + 1)));
+    await Promise.all(dates.map((at, n) => new Event({id, at, n, kind: n % 2? 'odd' : 'even'}).save()));
+    await new Event({id: 'user.2', at: dates[0], n: 100, kind: 'odd'}).save();
+    // (items of different models in the same collection must have different sort keys)
+    const note = await new Note({id, at: new Date(Date.UTC(2024, 0, 1, 12)), text: 'a note'}).save();
+
+    await t.test('table key schema', async t => {
+        const otherTable = DynamoDM.Table({ name: 'test-table-sortkey'});
+        otherTable.model(DynamoDM.Schema('event', {}));
+        await t.rejects(otherTable.ready(), {message: 'Table test-table-sortkey exists with incompatible key schema [{"AttributeName":"id","KeyType":"HASH"},{"AttributeName":"at","KeyType":"RANGE"}], the schemas require "id" to be the hash key.'}, 'should reject tables with a different sort key');
+        otherTable.destroyConnection();
+    });
+
+    await t.test('getById', async t => {
+        const event = await Event.getById(id, dates[3]);
+        t.ok(event instanceof Event, 'should get the document by id and sort key');
+        t.equal(event.n, 3, 'should get the document with the matching sort key');
+        t.strictSame(event.at, dates[3], 'should unmarshall the sort key');
+        t.equal(await Event.getById(id, new Date(0)), null, 'should resolve null for a missing document');
+        t.equal((await Event.getById(id, dates[3], {ConsistentRead: true})).n, 3, 'should support options');
+        await t.rejects(Event.getById(id), {message: 'Value for .at is undefined.'}, 'should require the sort key value');
+        await t.rejects(Event.getById(id, 'x'), {message: 'Value does not match schema for at:  must be a Date.'}, 'should check the sort key value against the schema');
+
+        const found = await Event.getByIds([[id, dates[1]], ['user.2', dates[0]], [id, new Date(0)], [id, dates[2]]]);
+        t.strictSame(found.map(x => x?.n ?? null), [1, 100, null, 2], 'should get documents by [id, sortKey] pairs, in order');
+        await t.rejects(Event.getByIds([id]), {message: 'Invalid id: must be an [id, at] pair for models with a sort key.'}, 'should require [id, sortKey] pairs');
+        await t.rejects(Event.getByIds(id), {message: 'Invalid ids: must be array of [id, at] pairs.'}, 'should require an array');
+
+        await new Event({id: 'event.1', at: dates[2], n: 2}).save();
+        t.equal((await table.getById(['event.1', dates[2]])).n, 2, 'should get documents from the table by [id, sortKey] pairs');
+        await t.rejects(table.getById(['user.1', dates[2]]), {message: 'Table has no matching model type for id "user.1", so it cannot be loaded.'}, 'should infer the model from the id');
+        t.equal((await table.getById([id, dates[0]], {resolveType: 'typeField', ConsistentRead: true})).n, 0, 'should get documents from the table by type field');
+        const mixed = await table.getByIds([[id, dates[0]], [id, note.at], ['note.1', dates[0]]]);
+        t.ok(mixed[0] instanceof Event, 'should get documents from the table by [id, sortKey] pairs');
+        t.ok(mixed[1] instanceof Note, 'should get documents of different models in the same collection');
+        t.equal(mixed[2], null, 'should resolve null for missing documents from the table');
+    });
+
+    await t.test('save and remove', async t => {
+        const event = await Event.getById(id, dates[4]);
+        event.n = 40;
+        await event.save();
+        t.equal(event.v, 2, 'should increment the version');
+        t.equal((await Event.getById(id, dates[4])).n, 40, 'should save the document with the same sort key');
+        t.equal((await Event.getById(id, dates[5])).n, 5, 'should not modify the other documents in the collection');
+
+        event.at = new Date(0);
+        await t.rejects(event.save(), {message: `The sort key .at of the existing model .id="${id}" cannot be modified.`}, 'should reject modifying the sort key');
+        event.at = dates[4];
+
+        const duplicate = new Event({id, at: dates[4]});
+        await t.rejects(duplicate.save(), {message: `An item already exists with id field .id="${id}"`}, 'should reject duplicates with the same id and sort key');
+
+        const extra = await new Event({id, at: new Date(Date.UTC(2025, 0, 1)), n: 11}).save();
+        await extra.reload();
+        t.equal(extra.n, 11, 'should reload the document');
+        await extra.remove();
+        t.equal(await Event.getById(id, extra.at), null, 'should remove the document');
+        t.equal((await Event.getById(id, dates[9])).n, 9, 'should not remove the other documents in the collection');
+
+        const many = await Event.saveMany([new Event({id: 'user.3', at: dates[0]}), new Event({id: 'user.3', at: dates[1]})]);
+        t.ok(many.every(r => r.ok), 'should save many documents with the same id');
+        const removed = await Event.removeMany([['user.3', dates[0]], ['user.3', dates[1]]]);
+        t.ok(removed.every(r => r.ok), 'should remove many documents by [id, sortKey] pairs');
+        t.strictSame(await Event.getByIds([['user.3', dates[0]], ['user.3', dates[1]]]), [null, null], 'should remove the documents');
+    });
+
+    await t.test('updates', async t => {
+        const updated = await Event.updateById([id, dates[6]], {$set: {kind: 'updated'}});
+        t.equal(updated.kind, 'updated', 'should update by [id, sortKey] pair');
+        t.equal(updated.n, 6, 'should update the document with the matching sort key');
+        t.equal(await Event.updateById([id, new Date(0)], {$set: {kind: 'x'}}), null, 'should not update missing documents');
+        await t.rejects(Event.updateById([id, dates[6]], {$set: {at: new Date(0)}}), {message: 'Invalid update: .at is maintained automatically and cannot be updated.'}, 'should reject updating the sort key');
+        await t.rejects(Event.updateById(id, {$set: {kind: 'x'}}), {message: 'Invalid id: must be an [id, at] pair for models with a sort key.'}, 'should require [id, sortKey] pairs');
+        t.strictSame(await Event.increment([id, dates[6]], {n: 1}), {n: 7}, 'should increment by [id, sortKey] pair');
+        const upserted = await Event.upsert(['user.4', dates[0]], {$set: {n: 1}});
+        t.strictSame(upserted.at, dates[0], 'should upsert with the sort key');
+
+        await table.transaction(async tx => {
+            tx.update(Event, [id, dates[7]], {$set: {kind: 'tx'}});
+            tx.update(Event, [id, dates[8]], {$set: {kind: 'tx'}});
+            t.throws(() => tx.update(Event, [id, dates[7]], {$set: {kind: 'tx'}}), {message: `The transaction already includes an operation on .id="${id}".`}, 'should reject multiple operations on the same item');
+        });
+        const [a, b] = await table.transactGet([{Model: Event, id: [id, dates[7]]}, {Model: Event, id: [id, dates[8]]}]);
+        t.strictSame([a.kind, b.kind], ['tx', 'tx'], 'should update items with the same id in a transaction');
+    });
+
+    await t.test('queries', async t => {
+        const collection = await Event.queryMany({id});
+        t.strictSame(collection.map(x => x.at.getTime()), dates.map(x => x.getTime()), 'should query the item collection in sort key order');
+        t.ok(collection.every(x => x instanceof Event), 'should only include documents of the model');
+
+        const after = await Event.queryMany({id, at: {$gt: dates[6]}});
+        t.strictSame(after.map(x => x.n), [7, 8, 9], 'should query with sort key conditions');
+        const reversed = await Event.queryMany({id, at: {$between: [dates[1], dates[3]]}}, {rawQueryOptions: {ScanIndexForward: false}});
+        t.strictSame(reversed.map(x => x.n), [3, 2, 1], 'should query in reverse sort key order');
+        const filtered = await Event.queryMany({id, kind: 'even', n: {$lt: 4}});
+        t.strictSame(filtered.map(x => x.n), [0, 2], 'should filter queries of the item collection');
+
+        const notes = await Note.queryMany({id});
+        t.strictSame(notes.map(x => x.text), [note.text], 'should only query documents of the model');
+
+        const ids = await Event.queryManyIds({id, at: {$lte: dates[1]}});
+        t.strictSame(ids, [[id, dates[0]], [id, dates[1]]], 'should return [id, sortKey] pairs from queryManyIds');
+        const iteratedIds = await arrayFromAsync(Event.queryIteratorIds({id}, {limit: 2}));
+        t.strictSame(iteratedIds, [[id, dates[0]], [id, dates[1]]], 'should yield [id, sortKey] pairs from queryIteratorIds');
+
+        const byIndex = await Event.queryMany({kind: 'odd'});
+        t.strictSame(byIndex.map(x => x.n).sort((a, b) => a - b), [1, 3, 5, 9, 100], 'should still query other indexes');
+        const first = await Event.queryOne({kind: 'odd', id: 'user.2'});
+        t.equal(first.n, 100, 'should filter index queries by id');
+
+        const page1 = await Event.queryPage({id}, {limit: 4});
+        const page2 = await Event.queryPage({id}, {limit: 4, cursor: page1.nextCursor});
+        t.strictSame([...page1.items, ...page2.items].map(x => x.at.getTime()), dates.slice(0, 8).map(x => x.getTime()), 'should paginate the item collection');
+        const startAfter = await Event.queryMany({id}, {startAfter: collection[7]});
+        t.strictSame(startAfter.map(x => x.n), [8, 9], 'should support startAfter');
+
+        await t.rejects(Event.queryMany({id, at: {$in: [dates[0]]}}), {message: /at is the sort key of the table/}, 'should reject unsupported sort key conditions');
+    });
+
+    await t.test('listAllIds', async t => {
+        const ids = await arrayFromAsync(Note.listAllIds());
+        t.strictSame(ids, [[id, note.at]], 'should yield [id, sortKey] pairs');
+    });
+});
+
+tap.test('local indexes:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-sortkey-lsi'});
+    const MessageSchema = DynamoDM.Schema('message', {
+        properties: {
+            at:           DynamoDM.Timestamp,
+            score:        {type: 'number'},
+            text:         {type: 'string'},
+        }
+    }, {sortKey: 'at', index: {
+        byScore: {local: true, sortKey: 'score', project: 'all'},
+        byText: {local: true, hashKey: 'id', sortKey: 'text'},
+        text: 1
+    }});
+    const Message = table.model(MessageSchema);
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    const id = 'thread.1';
+    const dates = Array.from({length: 6}, (_, i) => new Date(Date.UTC(2024, 0, i + 1)));
+    const scores = [5, 3, 9, 1, 7, 2];
+    await Promise.all(dates.map((at, i) => new Message({id, at, score: scores[i], text: `text ${i}`}).save()));
+    await new Message({id: 'thread.2', at: dates[0], score: 100, text: 'text 0'}).save();
+
+    await t.test('table creation', async t => {
+        const {Table} = await table.client.send(new DescribeTableCommand({TableName: table.name}));
+        t.strictSame(Table.LocalSecondaryIndexes.map(x => x.IndexName).sort(), ['byScore', 'byText'], 'should create the local indexes');
+        t.strictSame(Table.GlobalSecondaryIndexes.map(x => x.IndexName), ['text'], 'should create global indexes separately');
+        t.strictSame(Table.LocalSecondaryIndexes.find(x => x.IndexName === 'byScore').KeySchema, [{AttributeName: 'id', KeyType: 'HASH'}, {AttributeName: 'score', KeyType: 'RANGE'}], 'should use the table hash key');
+
+        const missing = DynamoDM.Table({ name: 'test-table-sortkey-lsi'});
+        missing.model(DynamoDM.Schema('message', {properties: {at: DynamoDM.Timestamp, n: {type: 'number'}}}, {sortKey: 'at', index: {byN: {local: true, sortKey: 'n'}}}));
+        await t.rejects(missing.ready(), {message: 'Table test-table-sortkey-lsi exists without the local index "byN", local indexes can only be created when the table is created.'}, 'should reject missing local indexes');
+        missing.destroyConnection();
+
+        const different = DynamoDM.Table({ name: 'test-table-sortkey-lsi'});
+        different.model(DynamoDM.Schema('message', {properties: {at: DynamoDM.Timestamp, text: {type: 'string'}}}, {sortKey: 'at', index: {byScore: {local: true, sortKey: 'text'}}}));
+        await t.rejects(different.ready(), {message: 'Table test-table-sortkey-lsi exists with a different local index "byScore" [{"AttributeName":"id","KeyType":"HASH"},{"AttributeName":"score","KeyType":"RANGE"}], local indexes cannot be updated after the table is created.'}, 'should reject different local indexes');
+        different.destroyConnection();
+    });
+
+    await t.test('index compatibility', async t => {
+        const incompatible = DynamoDM.Table({ name: 'test-table-sortkey-lsi-incompatible'});
+        incompatible.model(DynamoDM.Schema('a', {properties: {at: DynamoDM.Timestamp, n: {type: 'number'}}}, {sortKey: 'at', index: {byN: {local: true, sortKey: 'n'}}}));
+        incompatible.model(DynamoDM.Schema('b', {properties: {at: DynamoDM.Timestamp, n: {type: 'number'}}}, {sortKey: 'at', index: {byN: {hashKey: 'id', sortKey: 'n'}}}));
+        await t.rejects(incompatible.ready(), {message: 'Schema(s) "a, b" define incompatible versions of index "byN".'}, 'should reject local and global indexes with the same name');
+        incompatible.destroyConnection();
+
+        const tooMany = DynamoDM.Table({ name: 'test-table-sortkey-lsi-toomany'});
+        tooMany.model(DynamoDM.Schema('a', {properties: {at: DynamoDM.Timestamp, n: {type: 'number'}}}, {
+            sortKey: 'at',
+            index: Object.fromEntries(Array.from({length: 6}, (_, i) => [`byN${i}`, {local: true, sortKey: 'n'}]))
+        }));
+        await t.rejects(tooMany.ready(), {message: 'Schemas in table test-table-sortkey-lsi-toomany define more than 5 local indexes.'}, 'should reject too many local indexes');
+        tooMany.destroyConnection();
+    });
+
+    await t.test('queries', async t => {
+        const commandSendResults = t.capture(table.docClient, 'send', table.docClient.send);
+        const byScore = await Message.queryMany({id, score: {$gte: 3}});
+        t.strictSame(byScore.map(x => x.score), [3, 5, 7, 9], 'should query the local index in sort key order');
+        t.equal(commandSendResults()[0].args[0].input.IndexName, 'byScore', 'should query the local index');
+        commandSendResults.restore();
+
+        const byText = await Message.queryMany({id, text: {$begins: 'text 1'}});
+        t.strictSame(byText.map(x => x.score), [3], 'should fetch documents from local indexes which do not project all attributes');
+        t.strictSame((await Message.queryMany({id})).map(x => x.score), scores, 'should query the table for queries of only the id');
+        t.strictSame((await Message.queryMany({text: 'text 0'})).map(x => x.score).sort((a, b) => a - b), [5, 100], 'should query global indexes');
+    });
+});
+
+tap.end();
@@ -0,0 +1,210 @@
+const tap = require('tap');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+tap.test('transactions:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-transactions'});
+    const otherTable = DynamoDM.Table({ name: 'test-table-transactions-other'});
+    const AccountSchema = DynamoDM.Schema('account', {
+        properties: {
+            balance:      {type: 'number'},
+            tags:         {type: 'array', items: {type: 'string'}},
+            createdAt:    DynamoDM.CreatedAtField,
+            updatedAt:    DynamoDM.UpdatedAtField
+        }
+    });
+    const TransferSchema = DynamoDM.Schema('transfer', {
+        properties: {
+            from:         {type: 'string'},
+            to:           {type: 'string'},
+            amount:       {type: 'number'},
+        },
+        required: ['amount']
+    });
+    const Account = table.model(AccountSchema);
+    const Transfer = table.model(TransferSchema);
+    const OtherAccount = otherTable.model(DynamoDM.Schema('account', {}));
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+        otherTable.destroyConnection();
+    });
+
+    await t.test('committing', async t => {
+        const a = await new Account({balance: 10}).save();
+        const b = await new Account({balance: 0}).save();
+        const c = await new Account({balance: 0}).save();
+        const d = await new Account({balance: 0}).save();
+        const transfer = new Transfer({from: a.id, to: b.id, amount: 5});
+
+        a.balance -= 5;
+        const result = await table.transaction(async tx => {
+            tx.save(a);
+            tx.update(Account, b.id, {$inc: {balance: 5}});
+            tx.save(transfer);
+            tx.remove(c);
+            tx.conditionCheck(Account, d.id, {ConditionExpression: 'attribute_exists(balance)'});
+            return 'result';
+        });
+        t.equal(result, 'result', 'should resolve with the return value of the callback');
+
+        t.equal(a.v, 2, 'should increment the version of saved documents');
+        t.equal(a.isModified(), false, 'saved documents should not be modified');
+        t.equal(transfer.v, 1, 'should set the version of new documents');
+        t.match(await Account.getById(a.id), {balance: 5, v: 2}, 'should save modified documents');
+        t.match(await Account.getById(b.id), {balance: 5, v: 2}, 'should apply updates');
+        t.match(await Transfer.getById(transfer.id), {from: a.id, to: b.id, amount: 5, v: 1}, 'should create new documents');
+        t.equal(await Account.getById(c.id), null, 'should remove documents');
+
+        transfer.amount = 6;
+        await t.resolves(transfer.save(), 'documents created in a transaction should be saved as existing documents afterwards');
+        t.equal(transfer.v, 2, 'should increment the version of documents created in a transaction');
+
+        await t.resolves(table.transaction(() => {}), 'should allow empty transactions');
+    });
+
+    await t.test('cancellation', async t => {
+        const a = await new Account({balance: 10}).save();
+        const b = await new Account({balance: 10}).save();
+        const aConcurrent = await Account.getById(a.id);
+        aConcurrent.balance = 0;
+        await aConcurrent.save();
+
+        a.balance = 5;
+        const transfer = new Transfer({from: a.id, to: b.id, amount: 5});
+        const err = await table.transaction(async tx => {
+            tx.save(transfer);
+            tx.save(a);
+            tx.update(Account, b.id, {$inc: {balance: 5}});
+            tx.conditionCheck(Account, b.id + 'x', {ConditionExpression: 'attribute_exists(balance)'});
+        }).catch(e => e);
+        t.match(err, {
+            message: `Transaction cancelled: Version error: the model .id="${a.id}" was updated by another process between loading and saving. Condition check of .id="${b.id}x" failed.`
+        }, 'should reject with the errors from the failed operations');
+        t.equal(err.failedOperations.length, 2, 'should only report the failed operations');
+        t.match(err.failedOperations[0], {operation: 'save', id: a.id, Model: Account, code: 'ConditionalCheckFailed', error: {message: /Version error/}}, 'should report failed saves');
+        t.equal(err.failedOperations[0].document, a, 'should report the failed document');
+        t.match(err.failedOperations[1], {operation: 'conditionCheck', id: b.id + 'x', Model: Account, code: 'ConditionalCheckFailed'}, 'should report failed condition checks');
+
+        t.equal(a.v, 1, 'should not increment the version of documents when the transaction fails');
+        t.equal(a.isModified('balance'), true, 'documents should still be modified when the transaction fails');
+        t.equal(await Transfer.getById(transfer.id), null, 'should not create new documents');
+        t.match(await Account.getById(b.id), {balance: 10, v: 1}, 'should not apply updates');
+        await t.resolves(transfer.save(), 'new documents should still be new when the transaction fails');
+
+        await t.rejects(table.transaction(tx => {
+            tx.update(Account, 'nonexistent', {$set: {balance: 1}});
+        }), {message: 'Transaction cancelled: Update of .id="nonexistent" failed, the document does not exist.'}, 'should not update nonexistent documents');
+
+        const aAgain = await Account.getById(a.id);
+        aConcurrent.balance = 2;
+        await aConcurrent.save();
+        await t.rejects(table.transaction(tx => {
+            tx.remove(aAgain);
+        }), {message: `Transaction cancelled: Version error: the model .id="${a.id}" was updated by another process between loading and removing.`}, 'should check the version of removed documents');
+
+        const duplicate = new Account({id: b.id});
+        await t.rejects(table.transaction(tx => {
+            tx.save(duplicate);
+        }), {message: `Transaction cancelled: An item already exists with id field .id="${b.id}"`}, 'should not overwrite existing documents');
+    });
+
+    await t.test('callback errors', async t => {
+        const a = new Account({balance: 1});
+        let escapedTx;
+        await t.rejects(table.transaction(async tx => {
+            escapedTx = tx;
+            tx.save(a);
+            throw new Error('callback error');
+        }), {message: 'callback error'}, 'should reject with the error from the callback');
+        t.equal(await Account.getById(a.id), null, 'should not commit when the callback throws');
+        t.throws(() => escapedTx.save(new Account()), {message: 'The transaction has already completed.'}, 'should not allow operations after completing');
+    });
+
+    await t.test('invalid operations', async t => {
+        const a = await new Account({balance: 1}).save();
+        await t.rejects(table.transaction(tx => {
+            tx.save(a);
+            tx.update(Account, a.id, {$inc: {balance: 1}});
+        }), {message: `The transaction already includes an operation on .id="${a.id}".`}, 'should reject multiple operations on the same document');
+        await t.rejects(table.transaction(tx => {
+            for (let i = 0; i < 101; i++) {
+                tx.conditionCheck(Account, `id${i}`, {ConditionExpression: 'attribute_exists(id)'});
+            }
+        }), {message: 'Transactions are limited to 100 operations.'}, 'should reject too many operations');
+        await t.rejects(table.transaction(tx => {
+            tx.save(new OtherAccount());
+        }), {message: 'Only models belonging to table test-table-transactions can be used in its transactions.'}, 'should reject models from other tables');
+        await t.rejects(table.transaction(tx => {
+            tx.save({id: 'x'});
+        }), {message: 'Only models belonging to table test-table-transactions can be used in its transactions.'}, 'should reject non-models');
+        await t.rejects(table.transaction(tx => {
+            tx.update(Account, a.id, {$addToSet: {tags: 'a'}});
+        }), {message: 'Invalid update: $addToSet is not supported in transactions.'}, 'should reject $addToSet');
+        await t.rejects(table.transaction(tx => {
+            tx.update(Account, a.id, {$set: {balance: 'a'}});
+        }), {message: 'Value does not match schema for balance:  must be number.'}, 'should validate updates');
+        await t.rejects(table.transaction(tx => {
+            tx.conditionCheck(Account, a.id, {Condition: 'x'});
+        }), {message: /Invalid condition/}, 'should reject invalid conditions');
+        await t.rejects(table.transaction(tx => {
+            const invalid = new Account({balance: 1});
+            invalid.balance = 'a';
+            tx.save(invalid);
+        }), {message: 'Document does not match schema for account: /balance must be number.'}, 'should validate documents');
+        await t.rejects(table.transaction(() => {}, {foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
+        await t.rejects(table.transaction(), {message: 'The transaction callback must be a function.'}, 'should reject missing callback');
+    });
+
+    await t.test('transactGet', async t => {
+        const a = await new Account({balance: 1, tags: ['x']}).save();
+        const transfer = await new Transfer({from: a.id, to: a.id, amount: 1}).save();
+        const results = await table.transactGet([
+            {Model: Account, id: a.id},
+            {Model: Transfer, id: transfer.id},
+            {Model: Account, id: 'nonexistent'},
+        ]);
+        t.equal(results.length, 3, 'should return a result for each item');
+        t.equal(results[0].constructor, Account, 'should return models of the requested type');
+        t.strictSame(results[0], a, 'should return the stored document');
+        t.equal(results[1].constructor, Transfer, 'should return models of different types');
+        t.strictSame(results[1], transfer, 'should return the stored document of each type');
+        t.equal(results[2], null, 'should return null for missing documents');
+        t.notOk(results[0].isModified(), 'returned documents should not be modified');
+        results[0].balance = 2;
+        await t.resolves(results[0].save(), 'returned documents should be saveable');
+
+        t.strictSame(await table.transactGet([]), [], 'should return an empty array for no items');
+        await t.rejects(table.transactGet([{Model: OtherAccount, id: a.id}]), {message: 'Only models belonging to table test-table-transactions can be used in its transactions.'}, 'should reject models from other tables');
+        await t.rejects(table.transactGet([{Model: Account, id: a.id}, {Model: Account, id: a.id}]), {message: `Invalid items: the document with id "${a.id}" is requested more than once.`}, 'should reject duplicate items');
+        await t.rejects(table.transactGet([{Model: Account, id: 1}]), {message: 'Invalid id: must be string of nonzero length.'}, 'should reject invalid ids');
+        await t.rejects(table.transactGet({Model: Account, id: a.id}), {message: 'Invalid items: must be an array of {Model, id}.'}, 'should reject non-array items');
+        await t.rejects(table.transactGet(Array.from({length: 101}, (_, i) => ({Model: Account, id: `id${i}`}))), {message: 'Transactions are limited to 100 operations.'}, 'should reject too many items');
+        await t.rejects(table.transactGet([], {foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
+        await t.rejects(table.transactGet([{Model: Transfer, id: a.id}]), {message: /Document does not match schema for transfer/}, 'should validate documents against the schema of the requested model');
+
+        const ac = new AbortController();
+        ac.abort(new Error('my reason'));
+        await t.rejects(table.transactGet([{Model: Account, id: a.id}], {abortSignal: ac.signal}), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+    });
+
+    await t.test('abort', async t => {
+        const ac = new AbortController();
+        ac.abort(new Error('my reason'));
+        const a = new Account({balance: 1});
+        await t.rejects(table.transaction(tx => {
+            tx.save(a);
+        }, {abortSignal: ac.signal}), {name: 'AbortError', message: 'Request aborted'}, 'should be abortable');
+        t.equal(a.v, 0, 'should not update aborted documents');
+    });
+});
+
+tap.end();
@@ -0,0 +1,379 @@
+const tap = require('tap');
+
+const clientOptions = {
+    endpoint: 'http://localhost:8000'
+};
+
+const DynamoDMConstructor = require('../');
+const DynamoDM = DynamoDMConstructor({clientOptions, logger:{level:'error'}});
+
+tap.test('updateById:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-update'});
+    const ThingSchema = DynamoDM.Schema('namespace.thing', {
+        properties: {
+            id:           DynamoDM.DocIdField,
+            aaaa:         {type: 'string'},
+            bbbb:         {type: 'number'},
+            count:        {type: 'integer'},
+            tags:         {type: 'array', items: {type: 'string'}},
+            times:        {type: 'array', items: DynamoDM.Timestamp},
+            nested:       {type: 'object', properties: { a: {type: 'string'}, ts: DynamoDM.Timestamp }, required: ['a']},
+            blob:         DynamoDM.Binary,
+            createdAt:    DynamoDM.CreatedAtField,
+            updatedAt:    DynamoDM.UpdatedAtField
+        },
+        required: ['id', 'aaaa'],
+        additionalProperties: false
+    });
+    const Thing = table.model(ThingSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    await t.test('$set', async t => {
+        const x = await new Thing({aaaa: 'a', bbbb: 1}).save();
+        const y = await Thing.updateById(x.id, {$set: {aaaa: 'b', blob: Buffer.from('hello update'), nested: {a: 'n', ts: new Date(1e6)}}});
+        t.equal(y.constructor, Thing, 'should return a model of the correct type');
+        t.equal(y.aaaa, 'b', 'should update string');
+        t.equal(y.bbbb, 1, 'should not modify other properties');
+        t.ok(Buffer.from('hello update').equals(y.blob), 'should update buffer');
+        t.equal(y.nested.ts.getTime(), 1e6, 'should marshall nested timestamps');
+        t.equal(y.v, 2, 'should increment the version');
+        t.ok(y.updatedAt > x.updatedAt, 'should update the updatedAt field');
+        t.equal(y.createdAt.getTime(), x.createdAt.getTime(), 'should not update the createdAt field');
+
+        const z = await Thing.updateById(x.id, {$set: {'nested.a': 'm', 'nested.ts': new Date(2e6)}});
+        t.equal(z.nested.a, 'm', 'should update nested property');
+        t.equal(z.nested.ts.getTime(), 2e6, 'should update nested timestamp');
+        t.strictSame(await Thing.getById(x.id), z, 'should return the stored document');
+    });
+
+    await t.test('$unset', async t => {
+        const x = await new Thing({aaaa: 'a', bbbb: 1, blob: Buffer.from('b')}).save();
+        const y = await Thing.updateById(x.id, {$unset: {bbbb: true, blob: 1}});
+        t.equal(y.bbbb, undefined, 'should remove number');
+        t.equal(y.blob, undefined, 'should remove buffer');
+        await t.rejects(Thing.updateById(x.id, {$unset: {aaaa: true}}), {message: 'Invalid update: .aaaa is required by the schema for namespace.thing and cannot be removed.'}, 'should not allow removing required properties');
+    });
+
+    await t.test('$inc', async t => {
+        const x = await new Thing({aaaa: 'a', bbbb: 1}).save();
+        let y = await Thing.updateById(x.id, {$inc: {bbbb: 2.5, count: 1}});
+        t.equal(y.bbbb, 3.5, 'should increment existing number');
+        t.equal(y.count, 1, 'should increment from 0 for missing number');
+        y = await Thing.updateById(x.id, {$inc: {count: -3}});
+        t.equal(y.count, -2, 'should decrement');
+        await t.rejects(Thing.updateById(x.id, {$inc: {aaaa: 1}}), {message: 'Invalid update: $inc requires .aaaa to be a number in the schema for namespace.thing.'}, 'should reject non-numeric fields');
+        await t.rejects(Thing.updateById(x.id, {$inc: {count: 0.5}}), {message: 'Invalid update: $inc value for integer .count must be an integer.'}, 'should reject non-integer increment of integer');
+        await t.rejects(Thing.updateById(x.id, {$inc: {bbbb: '1'}}), {message: 'Invalid update: $inc value for .bbbb must be a number.'}, 'should reject non-numeric increment');
+    });
+
+    await t.test('$push', async t => {
+        const x = await new Thing({aaaa: 'a'}).save();
+        let y = await Thing.updateById(x.id, {$push: {tags: 'a', times: new Date(1e6)}});
+        t.strictSame(y.tags, ['a'], 'should create missing array');
+        t.equal(y.times[0].getTime(), 1e6, 'should marshall pushed values');
+        y = await Thing.updateById(x.id, {$push: {tags: {$each: ['b', 'a']}}});
+        t.strictSame(y.tags, ['a', 'b', 'a'], 'should append multiple values');
+        await t.rejects(Thing.updateById(x.id, {$push: {tags: 1}}), {message: 'Value does not match schema for tags:  must be string.'}, 'should validate pushed values');
+        await t.rejects(Thing.updateById(x.id, {$push: {aaaa: 'a'}}), {message: 'Invalid update: $push requires .aaaa to be an array in the schema for namespace.thing.'}, 'should reject non-array fields');
+    });
+
+    await t.test('$addToSet', async t => {
+        const x = await new Thing({aaaa: 'a', tags: ['a']}).save();
+        let y = await Thing.updateById(x.id, {$addToSet: {tags: {$each: ['b', 'b', 'c']}}});
+        t.strictSame(y.tags, ['a', 'b', 'c'], 'should add new values once');
+        y = await Thing.updateById(x.id, {$addToSet: {tags: {$each: ['a', 'd']}}, $set: {aaaa: 'updated'}});
+        t.strictSame(y.tags, ['a', 'b', 'c', 'd'], 'should skip values that are already present');
+        t.equal(y.aaaa, 'updated', 'should still apply other updates');
+        const {v, updatedAt} = y;
+        y = await Thing.updateById(x.id, {$addToSet: {tags: 'a'}});
+        t.strictSame(y.tags, ['a', 'b', 'c', 'd'], 'should not modify the set when all values are present');
+        t.equal(y.v, v, 'should not increment the version when all values are present');
+        t.strictSame(y.updatedAt, updatedAt, 'should not update updatedAt when all values are present');
+    });
+
+    await t.test('nonexistent document', async t => {
+        t.equal(await Thing.updateById('nonexistent', {$set: {aaaa: 'b'}}), null, 'should return null');
+        t.equal(await Thing.getById('nonexistent'), null, 'should not create a document');
+    });
+
+    await t.test('invalid updates', async t => {
+        const x = await new Thing({aaaa: 'a'}).save();
+        await t.rejects(Thing.updateById(x.id, {$set: {aaaa: 1}}), {message: 'Value does not match schema for aaaa:  must be string.'}, 'should validate values');
+        await t.rejects(Thing.updateById(x.id, {$set: {'nested.ts': 'x'}}), {message: 'Value does not match schema for nested.ts:  must be a Date.'}, 'should validate nested values');
+        await t.rejects(Thing.updateById(x.id, {$set: {unknown: 1}}), {message: 'Property .unknown is not defined by the schema for namespace.thing.'}, 'should reject properties not allowed by the schema');
+        await t.rejects(Thing.updateById(x.id, {$set: {id: 'x'}}), {message: 'Invalid update: .id is maintained automatically and cannot be updated.'}, 'should reject updating the id');
+        await t.rejects(Thing.updateById(x.id, {$set: {updatedAt: new Date()}}), {message: 'Invalid update: .updatedAt is maintained automatically and cannot be updated.'}, 'should reject updating updatedAt');
+        await t.rejects(Thing.updateById(x.id, {$inc: {v: 1}}), {message: 'Invalid update: .v is maintained automatically and cannot be updated.'}, 'should reject updating the version');
+        await t.rejects(Thing.updateById(x.id, {$set: {nested: {a: 'b'}}, $unset: {'nested.ts': 1}}), {message: 'Invalid update: .nested.ts conflicts with .nested.'}, 'should reject overlapping paths');
+        await t.rejects(Thing.updateById(x.id, {$rename: {aaaa: 'b'}}), {message: 'Update operator "$rename" is not supported. Supported operators are: $set, $unset, $inc, $push, $addToSet.'}, 'should reject unsupported operators');
+        await t.rejects(Thing.updateById(x.id, {$set: 'a'}), {message: 'Invalid update: "$set" must be an object of property paths and values.'}, 'should reject invalid operator values');
+        await t.rejects(Thing.updateById(x.id, null), {message: 'Invalid update: must be an object of update operators.'}, 'should reject invalid update');
+        await t.rejects(Thing.updateById(x.id, {$set: {aaaa: 'b'}}, {foo: 1}), /^Invalid options/, 'should reject invalid options');
+        await t.rejects(Thing.updateById('', {$set: {aaaa: 'b'}}), {message: 'Invalid id: must be string of nonzero length.'}, 'should reject invalid id');
+        t.equal((await Thing.getById(x.id)).v, 1, 'failed updates should not modify the document');
+    });
+
+    await t.test('aborting updateById', async t => {
+        const x = await new Thing({aaaa: 'a'}).save();
+        const ac0 = new AbortController();
+        ac0.abort(new Error('my reason 0'));
+        await t.rejects(Thing.updateById(x.id, {$set: {aaaa: 'b'}}, {abortSignal: ac0.signal}), {name:'AbortError', message:'Request aborted'}, 'updateById should be abortable with an AbortController that is already aborted');
+    });
+});
+
+tap.test('upsert and findOneAndUpdate:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-upsert'});
+    const CounterSchema = DynamoDM.Schema('counter', {
+        properties: {
+            name:         {type: 'string'},
+            status:       {type: 'string'},
+            n:            {type: 'number'},
+            tags:         {type: 'array', items: {type: 'string'}},
+            createdAt:    DynamoDM.CreatedAtField,
+            updatedAt:    DynamoDM.UpdatedAtField
+        }
+    }, {index: {name: 1}});
+    const OtherSchema = DynamoDM.Schema('other', {
+        properties: {
+            name:         {type: 'string'},
+            n:            {type: 'number'},
+        }
+    }, {index: {name: 1}});
+    const RequiredSchema = DynamoDM.Schema('required', {
+        properties: {
+            name:         {type: 'string'},
+            n:            {type: 'number'},
+            group:        {type: ['string', 'null']},
+        },
+        required: ['name', 'n', 'group']
+    }, {index: {group: 1}});
+    const Counter = table.model(CounterSchema);
+    const Other = table.model(OtherSchema);
+    const Required = table.model(RequiredSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    await t.test('upsert', async t => {
+        const inserted = await Counter.upsert('counter.a', {$setOnInsert: {status: 'new'}, $set: {name: 'a'}, $inc: {n: 1}});
+        t.equal(inserted.constructor, Counter, 'should return a model of the correct type');
+        t.match(inserted, {id: 'counter.a', type: 'counter', status: 'new', name: 'a', n: 1, v: 1}, 'should insert a new document');
+        t.ok(inserted.createdAt instanceof Date && inserted.updatedAt instanceof Date, 'should set timestamps of inserted documents');
+        t.strictSame(await Counter.getById('counter.a'), inserted, 'should store the inserted document');
+
+        const updated = await Counter.upsert('counter.a', {$setOnInsert: {status: 'new again'}, $set: {name: 'b'}, $inc: {n: 2}, $addToSet: {tags: 'x'}});
+        t.match(updated, {status: 'new', name: 'b', n: 3, tags: ['x'], v: 2}, 'should update an existing document');
+        t.equal(updated.createdAt.getTime(), inserted.createdAt.getTime(), 'should not change createdAt of existing documents');
+        t.match(await Counter.upsert('counter.a', {$addToSet: {tags: {$each: ['x', 'y']}}}), {tags: ['x', 'y'], v: 3}, 'should support $addToSet');
+
+        const other = await new Other({name: 'a'}).save();
+        await t.rejects(Counter.upsert(other.id, {$set: {name: 'c'}}), {message: `Upsert of .id="${other.id}" failed, a document of a different type exists with this id.`}, 'should not update documents of other types');
+        await t.rejects(Counter.upsert(other.id, {$addToSet: {tags: 'x'}}), {message: `Upsert of .id="${other.id}" failed, a document of a different type exists with this id.`}, 'should not update documents of other types with $addToSet');
+        t.strictSame(await Other.getById(other.id), other, 'should not modify documents of other types');
+
+        await t.rejects(Counter.upsert('counter.b', {$setOnInsert: {n: 'a'}}), {message: 'Value does not match schema for n:  must be number.'}, 'should validate $setOnInsert values');
+        await t.rejects(Counter.upsert('counter.b', {$setOnInsert: {type: 'x'}}), {message: 'Invalid update: .type is maintained automatically and cannot be updated.'}, 'should reject updating the type');
+        await t.rejects(Counter.upsert('counter.b', {$setOnInsert: {n: 1}, $inc: {n: 1}}), {message: 'Invalid update: .n conflicts with .n.'}, 'should reject overlapping paths');
+        await t.rejects(Counter.upsert('', {$set: {n: 1}}), {message: 'Invalid id: must be string of nonzero length.'}, 'should reject invalid ids');
+        await t.rejects(Counter.upsert('counter.b', {$set: {n: 1}}, {foo: 1}), {message: /Invalid options/}, 'should reject invalid options');
+
+        await t.rejects(Required.upsert('required.a', {$inc: {n: 1}}), {message: 'Invalid update: the required property .name must be set (for example with $setOnInsert), because upserts may insert a new document.'}, 'should reject upserts which do not set required properties');
+        await t.rejects(Required.upsert('required.a', {$setOnInsert: {name: 'a'}, $set: {'n.x': 1}}), {message: /^Invalid update: the required property \.n must be set/}, 'should not treat nested paths as setting required properties');
+        t.equal(await Required.getById('required.a'), null, 'should not write a document when rejecting the upsert');
+        t.match(await Required.upsert('required.a', {$setOnInsert: {name: 'a'}, $inc: {n: 1}}), {name: 'a', n: 1, group: null}, 'should insert documents which set the required properties');
+        await t.rejects(Counter.updateById('counter.a', {$setOnInsert: {n: 1}}), {message: 'Update operator "$setOnInsert" is not supported. Supported operators are: $set, $unset, $inc, $push, $addToSet.'}, 'updateById should not support $setOnInsert');
+    });
+
+    await t.test('findOneAndUpdate', async t => {
+        const other = await new Other({name: 'f', n: 0}).save();
+        const x = await new Counter({name: 'f', n: 1}).save();
+        const original = await Counter.findOneAndUpdate({name: 'f'}, {$inc: {n: 1}});
+        t.equal(original.constructor, Counter, 'should return a model of the correct type');
+        t.match(original, {id: x.id, n: 1, v: 1}, 'should return the document before the update by default');
+        t.match(await Counter.getById(x.id), {n: 2, v: 2}, 'should update the document');
+        t.match(await Other.getById(other.id), {n: 0, v: 1}, 'should not update documents of other types matching the query');
+
+        const updated = await Counter.findOneAndUpdate({name: 'f'}, {$inc: {n: 1}, $addToSet: {tags: 'a'}}, {returnNew: true});
+        t.match(updated, {id: x.id, n: 3, tags: ['a'], v: 3}, 'should return the updated document with returnNew');
+        t.match(await Counter.findOneAndUpdate({name: 'f'}, {$addToSet: {tags: 'a'}}, {returnNew: true}), {tags: ['a'], v: 3}, 'should support $addToSet of existing values, without modifying the document');
+        t.equal(await Counter.findOneAndUpdate({name: 'nonexistent'}, {$addToSet: {tags: 'a'}}), null, 'should return null if no document matches with $addToSet');
+
+        t.equal(await Counter.findOneAndUpdate({name: 'nonexistent'}, {$inc: {n: 1}}), null, 'should return null if no document matches');
+        await t.rejects(Counter.findOneAndUpdate({name: 'f'}, {$set: {n: 'a'}}), {message: 'Value does not match schema for n:  must be number.'}, 'should validate updates');
+        await t.rejects(Counter.findOneAndUpdate({name: 'f'}, {$setOnInsert: {n: 1}}), {message: /Update operator "\$setOnInsert" is not supported/}, 'should not support $setOnInsert');
+        await t.rejects(Counter.findOneAndUpdate({name: 'f'}, {$inc: {n: 1}}, {returnNew: 1}), {message: /Invalid options/}, 'should reject invalid options');
+    });
+});
+
+tap.test('increment:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-increment'});
+    const AccountSchema = DynamoDM.Schema('account', {
+        properties: {
+            views:        {type: 'integer'},
+            balance:      {type: 'number'},
+            name:         {type: 'string'},
+            stats:        {type: 'object', properties: {likes: {type: 'integer'}}},
+            updatedAt:    DynamoDM.UpdatedAtField
+        }
+    });
+    const Account = table.model(AccountSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    await t.test('incrementing', async t => {
+        const a = await new Account({views: 1, balance: 10, stats: {likes: 0}}).save();
+        t.strictSame(await Account.increment(a.id, {views: 1, balance: -2.5, 'stats.likes': 2}), {views: 2, balance: 7.5, 'stats.likes': 2}, 'should return the new values');
+        t.match(await Account.getById(a.id), {views: 2, balance: 7.5, stats: {likes: 2}, v: 2}, 'should update the document and increment the version');
+        const b = await new Account({}).save();
+        t.strictSame(await Account.increment(b.id, {views: 3}), {views: 3}, 'should treat missing properties as 0');
+        const results = await Promise.all(Array.from({length: 10}, () => Account.increment(a.id, {views: 1})));
+        t.strictSame(results.map(r => r.views).sort((x, y) => x - y), [3, 4, 5, 6, 7, 8, 9, 10, 11, 12], 'should increment atomically');
+        t.equal(await Account.increment('nonexistent', {views: 1}), null, 'should return null for nonexistent documents');
+        t.equal(await Account.getById('nonexistent'), null, 'should not create documents');
+    });
+
+    await t.test('bounds', async t => {
+        const a = await new Account({views: 8, balance: 2, stats: {}}).save();
+        t.strictSame(await Account.increment(a.id, {views: 2}, {max: 10}), {views: 10}, 'should increment up to the maximum');
+        const err = await Account.increment(a.id, {views: 1}, {max: 10}).catch(e => e);
+        t.type(err, DynamoDM.ConditionFailedError, 'should reject with a ConditionFailedError when exceeding the maximum');
+        t.equal(err.message, `Increment of .id="${a.id}" failed, .views would be greater than the maximum of 10.`, 'should report the exceeded bound');
+        await t.rejects(Account.increment(a.id, {balance: -3}, {min: 0}), {name: 'ConditionFailedError', message: `Increment of .id="${a.id}" failed, .balance would be less than the minimum of 0.`}, 'should reject when exceeding the minimum');
+        t.strictSame(await Account.increment(a.id, {balance: -2, views: -5}, {min: 0, max: 10}), {balance: 0, views: 5}, 'should check the bound in the direction of each increment');
+        await t.rejects(Account.increment(a.id, {'stats.likes': 11}, {max: 10}), {message: `Increment of .id="${a.id}" failed, .stats.likes would be greater than the maximum of 10.`}, 'should check missing properties against bounds');
+        t.strictSame(await Account.increment(a.id, {'stats.likes': 10}, {max: 10}), {'stats.likes': 10}, 'should allow missing properties within bounds');
+        t.match(await Account.getById(a.id), {views: 5, balance: 0, stats: {likes: 10}}, 'should not apply failed increments');
+    });
+
+    await t.test('invalid increments', async t => {
+        const a = await new Account({views: 1}).save();
+        await t.rejects(Account.increment(a.id, {name: 1}), {message: 'Invalid increment: .name must be a number in the schema for account.'}, 'should reject non-numeric properties');
+        await t.rejects(Account.increment(a.id, {unknown: 1}), {message: 'Invalid increment: .unknown must be a number in the schema for account.'}, 'should reject properties not in the schema');
+        await t.rejects(Account.increment(a.id, {views: 0.5}), {message: 'Invalid update: $inc value for integer .views must be an integer.'}, 'should reject non-integer increments of integers');
+        await t.rejects(Account.increment(a.id, {views: '1'}), {message: 'Invalid update: $inc value for .views must be a number.'}, 'should reject non-numeric increments');
+        await t.rejects(Account.increment(a.id, {}), {message: 'Invalid increment: must be an object of property paths and numbers.'}, 'should reject empty increments');
+        await t.rejects(Account.increment('', {views: 1}), {message: 'Invalid id: must be string of nonzero length.'}, 'should reject invalid ids');
+        await t.rejects(Account.increment(a.id, {views: 1}, {max: '1'}), {message: /Invalid options/}, 'should reject invalid options');
+        t.equal((await Account.getById(a.id)).v, 1, 'should not modify the document');
+    });
+});
+
+tap.test('modification tracking:', async t => {
+    const table = DynamoDM.Table({ name: 'test-table-update-tracking'});
+    const ThingSchema = DynamoDM.Schema('thing', {
+        properties: {
+            aaaa:         {type: 'string'},
+            bbbb:         {type: 'number'},
+            nested:       {type: 'object', properties: { a: {type: 'string'}, b: {type: 'string'} }},
+            ts:           DynamoDM.Timestamp,
+            blob:         DynamoDM.Binary,
+            updatedAt:    DynamoDM.UpdatedAtField
+        }
+    }, {versioning: false});
+    const Thing = table.model(ThingSchema);
+
+    await table.ready();
+
+    t.after(async () => {
+        await table.deleteTable();
+        table.destroyConnection();
+    });
+
+    await t.test('isModified and modifiedPaths', async t => {
+        const x = new Thing({aaaa: 'a', nested: {a: 'a'}, ts: new Date(1e6), blob: Buffer.from('b')});
+        t.equal(x.isModified(), false, 'new documents should not be modified');
+        t.strictSame(x.modifiedPaths(), [], 'new documents should have no modified paths');
+        await x.save();
+        t.strictSame(x.modifiedPaths(), [], 'saved documents should have no modified paths');
+
+        x.aaaa = 'b';
+        x.nested.b = 'b';
+        t.equal(x.isModified(), true, 'should be modified');
+        t.equal(x.isModified('aaaa'), true, 'should detect modified property');
+        t.equal(x.isModified('nested'), true, 'should detect modified nested object');
+        t.equal(x.isModified('nested.b'), true, 'should detect modified nested property');
+        t.equal(x.isModified('nested.a'), false, 'should not report unmodified nested property');
+        t.equal(x.isModified('bbbb'), false, 'should not report unmodified property');
+        t.strictSame(x.modifiedPaths().sort(), ['aaaa', 'nested'], 'should list modified top-level properties');
+
+        x.ts.setTime(2e6);
+        x.blob[0] = 0;
+        delete x.aaaa;
+        x.bbbb = undefined;
+        t.strictSame(x.modifiedPaths().sort(), ['aaaa', 'blob', 'nested', 'ts'], 'should detect in-place modifications and removed properties, but not undefined properties that were already missing');
+
+        const y = await Thing.getById(x.id);
+        t.equal(y.isModified(), false, 'loaded documents should not be modified');
+    });
+
+    await t.test('revert', async t => {
+        const x = await new Thing({aaaa: 'a', nested: {a: 'a'}, ts: new Date(1e6)}).save();
+        x.aaaa = 'b';
+        x.bbbb = 2;
+        x.nested.a = 'b';
+        x.ts.setTime(2e6);
+        t.equal(x.revert(), x, 'should return the document');
+        t.equal(x.isModified(), false, 'should not be modified after reverting');
+        t.equal(x.aaaa, 'a', 'should revert modified property');
+        t.notOk('bbbb' in x, 'should remove added property');
+        t.equal(x.nested.a, 'a', 'should revert nested property');
+        t.equal(x.ts.getTime(), 1e6, 'should revert in-place modification');
+        x.aaaa = 'c';
+        x.revert();
+        t.equal(x.aaaa, 'a', 'should be able to revert again');
+    });
+
+    await t.test('save only writes modified properties', async t => {
+        const x = await new Thing({aaaa: 'a', bbbb: 1, nested: {a: 'a'}}).save();
+        const y = await Thing.getById(x.id);
+        await Thing.updateById(x.id, {$set: {bbbb: 2}});
+
+        y.aaaa = 'b';
+        delete y.nested;
+        await y.save();
+        t.equal(y.isModified(), false, 'should not be modified after saving');
+
+        const z = await Thing.getById(x.id);
+        t.equal(z.aaaa, 'b', 'should save modified property');
+        t.equal(z.nested, undefined, 'should remove deleted property');
+        t.equal(z.bbbb, 2, 'should not overwrite unmodified property');
+        t.ok(z.updatedAt > x.updatedAt, 'should update updatedAt');
+    });
+
+    await t.test('modifications during save', async t => {
+        const x = await new Thing({aaaa: 'a'}).save();
+        x.aaaa = 'b';
+        const saved = x.save();
+        x.aaaa = 'c';
+        await saved;
+        t.equal(x.isModified('aaaa'), true, 'modifications made while saving should still be modified afterwards');
+        await x.save();
+        t.equal((await Thing.getById(x.id)).aaaa, 'c', 'should save the later modification');
+    });
+
+    await t.test('saving a removed document', async t => {
+        const x = await new Thing({aaaa: 'a'}).save();
+        const y = await Thing.getById(x.id);
+        await x.remove();
+        y.aaaa = 'b';
+        await t.rejects(y.save(), {message: `The model .id="${x.id}" was removed by another process between loading and saving.`}, 'should not re-create a removed document');
+        t.equal(await Thing.getById(x.id), null, 'document should still be removed');
+    });
+});
+
+tap.end();